@@ -37,13 +37,13 @@ process.on('uncaughtException', (err) => {
 // ---------------------------------------------------------------------------
 // Module imports (after dotenv is loaded)
 // ---------------------------------------------------------------------------
-const { db }                        = require('./src/db/index.js');
+const { db, getPairingTokens }      = require('./src/db/index.js');
 const { startWebServer }            = require('./src/web/index.js');
 const { startBot, client, wireConnectionEvents } = require('./src/bot/index.js');
-const { createConnection, getAllConnections, removeConnection } = require('./src/rustplus/index.js');
+const { createConnection, getConnection, getAllConnections, removeConnection } = require('./src/rustplus/index.js');
 const { startFcmListener, stopFcmListener } = require('./src/rustplus/fcmListener.js');
 const { startTracker, stopTracker }         = require('./src/battlemetrics/tracker.js');
-const { closeBrowser: closeMooseBrowser }   = require('./src/stats/moose.js');
+const { closeBrowser }                      = require('./src/browser/index.js');
 
 // ---------------------------------------------------------------------------
 // Bootstrap
@@ -96,24 +96,36 @@ async function bootstrap() {
 
     console.log(`[App] Found ${pairings.length} server pairing(s) in database — opening connections...`);
 
+    const tokenless = [];
+
     for (const pairing of pairings) {
       // Each pairing requires a player token from the linked user record.
       // Tokens are stored on the users table under rust_plus_token.
+      // If the owner has no token, the first account on the pairing's token
+      // list is used instead.
+      let steamId     = pairing.user_steam_id;
       let playerToken = null;
 
       try {
         const userRow = db.prepare('SELECT rust_plus_token FROM users WHERE steam_id = ?')
           .get(pairing.user_steam_id);
 
-        if (!userRow || !userRow.rust_plus_token) {
-          console.warn(
-            `[App] Skipping pairing id=${pairing.id} (${pairing.rust_server_ip}:${pairing.rust_server_port}) ` +
-            `— no rust_plus_token for steam_id=${pairing.user_steam_id}`
-          );
-          continue;
+        if (userRow && userRow.rust_plus_token) {
+          playerToken = Number(userRow.rust_plus_token);
+        } else {
+          const fallback = getPairingTokens(pairing.id)[0];
+          if (fallback) {
+            steamId     = fallback.steam_id;
+            playerToken = Number(fallback.rust_plus_token);
+          }
         }
 
-        playerToken = Number(userRow.rust_plus_token);
+        if (!playerToken) {
+          // /setup pairings carry no token of their own — they join the
+          // server's connection once every tokened pairing has opened it
+          tokenless.push(pairing);
+          continue;
+        }
       } catch (userLookupErr) {
         console.error(
           `[App] DB error looking up token for pairing id=${pairing.id} ` +
@@ -133,14 +145,16 @@ async function bootstrap() {
         );
 
         createConnection({
-          steamId:     pairing.user_steam_id,
+          steamId:     steamId,
           playerToken: playerToken,
           server: {
             ip:   pairing.rust_server_ip,
             port: pairing.rust_server_port,
           },
+          pairingId: pairing.id,
           guildId:   pairing.discord_guild_id   || undefined,
           channelId: pairing.discord_channel_id || undefined,
+          connectionMode: pairing.connection_mode,
         });
 
         connectionCount++;
@@ -154,6 +168,38 @@ async function bootstrap() {
       }
     }
 
+    // Token-less pairings subscribe to an existing connection for their server
+    // (pairings are loaded oldest first, so the tokened one may come later)
+    for (const pairing of tokenless) {
+      if (!getConnection(pairing.rust_server_ip, pairing.rust_server_port)) {
+        console.warn(
+          `[App] Skipping pairing id=${pairing.id} (${pairing.rust_server_ip}:${pairing.rust_server_port}) ` +
+          `— no rust_plus_token for steam_id=${pairing.user_steam_id} or any account on its token list, ` +
+          'and no other pairing has a connection to this server'
+        );
+        continue;
+      }
+
+      try {
+        createConnection({
+          server: {
+            ip:   pairing.rust_server_ip,
+            port: pairing.rust_server_port,
+          },
+          pairingId: pairing.id,
+          guildId:   pairing.discord_guild_id   || undefined,
+          channelId: pairing.discord_channel_id || undefined,
+          connectionMode: pairing.connection_mode,
+        });
+      } catch (connErr) {
+        console.error(
+          `[App] Failed to subscribe pairing id=${pairing.id} ` +
+          `(${pairing.rust_server_ip}:${pairing.rust_server_port}):`,
+          connErr.message
+        );
+      }
+    }
+
     console.log(`[App] Loaded ${connectionCount} Rust+ connection(s) from database.`);
   } catch (err) {
     console.error('[App] Error loading server pairings from database:', err);
@@ -250,8 +296,8 @@ function shutdown(signal) {
     console.error('[App] Error stopping BattleMetrics trackers during shutdown:', err.message);
   }
 
-  // Close moose.gg Puppeteer browser (if open)
-  closeMooseBrowser().catch(() => {});
+  // Close the Puppeteer browser shared by moose.gg stats and the map renderer (if open)
+  closeBrowser().catch(() => {});
 
   // Stop the FCM pairing listener
   try {
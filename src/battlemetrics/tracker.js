@@ -15,6 +15,7 @@
 
 const { findServerByIp, getOnlinePlayers } = require('./api');
 const { db }                               = require('../db');
+const { PRIORITY }                         = require('../rustplus/requestQueue.js');
 
 const POLL_INTERVAL_MS = 60 * 1000; // 60 seconds
 
@@ -98,26 +99,26 @@ async function findAndCacheBmServer(connection) {
  */
 async function notify(connection, teamMsg, buildEmbed) {
   // Rust team chat
-  try {
-    const rustClient = connection.getClient();
-    if (rustClient && connection._isConnected) {
-      rustClient.sendTeamMessage(teamMsg);
-    }
-  } catch (e) {
-    console.warn('[BattleMetrics] Team chat send failed:', e.message);
+  if (connection.isConnected()) {
+    connection.sendTeamMessage(teamMsg, { priority: PRIORITY.EVENT }).catch((e) =>
+      console.warn('[BattleMetrics] Team chat send failed:', e.message)
+    );
   }
 
   // Discord embed
   try {
     const { client }     = require('../bot');
     const { EmbedBuilder } = require('discord.js');
-    const channelId = connection.channelId;
-    if (!channelId || !client || !client.isReady()) return;
+    if (!client || !client.isReady()) return;
 
-    const channel = await client.channels.fetch(channelId).catch(() => null);
-    if (!channel) return;
+    // Every pairing sharing this connection gets the notice
+    for (const channelId of connection.getChannelIds()) {
+      const channel = await client.channels.fetch(channelId).catch(() => null);
+      if (!channel) continue;
 
-    await channel.send({ embeds: [buildEmbed(EmbedBuilder)] });
+      await channel.send({ embeds: [buildEmbed(EmbedBuilder)] })
+        .catch((e) => console.warn(`[BattleMetrics] Discord send to #${channelId} failed:`, e.message));
+    }
   } catch (e) {
     console.warn('[BattleMetrics] Discord send failed:', e.message);
   }
@@ -21,6 +21,18 @@
 //   'storageUpdated'  { entityId, name, items, capacity }
 //   'connected'       { serverIp, serverPort }
 //   'disconnected'    { serverIp, serverPort, intentional }
+//   'reconnecting'    { attempt, delayMs }
+//   'parked'          { attempts, delayMs }
+//   'shopWatchMatched' { watch, order }  — from marketPoller.js
+//   'vendorStopped'   { grid, location, route }  — from mapPoller.js
+//   'raidAlert'       { base, location, hits, label, escalated, ... }  — from mapPoller.js
+//   'heliApproaching' { location, heading, speed, warnings }  — from mapPoller.js
+//   'cargoPhase'      { phase, location, harbor, leavesAt }  — from mapPoller.js
+//   'oilRigPhase'     { rig, label, phase, location, unlocksAt }  — from mapPoller.js
+//
+// Connection status embeds (lost / reconnect attempt / back online / parked)
+// are throttled per connection and muted for STATUS_STARTUP_MUTE_SECONDS
+// after the bot starts, so restarts don't flood the channel.
 
 'use strict';
 
@@ -32,13 +44,23 @@ const {
   SlashCommandBuilder,
   EmbedBuilder,
   ChannelType,
+  AttachmentBuilder,
 } = require('discord.js');
 
-const { db } = require('../db/index.js');
+const {
+  db,
+  upsertShopWatch,
+  deleteShopWatch,
+  getGuildShopWatches,
+  upsertBase,
+  deleteBase,
+  getPairingBases,
+} = require('../db/index.js');
 const {
   createConnection,
   getAllConnections,
   getConnection,
+  PRIORITY,
 } = require('../rustplus/index.js');
 
 // --- ADDED: Map marker poller — timer state queries ---
@@ -46,9 +68,19 @@ const {
   getTimerSummary,
   getTimerState,
   getSingleTimerMessage,
-  getLiveCrateStatus,
+  getVendorStatus,
+  getCargoStatus,
+  getOilRigStatus,
 } = require('../rustplus/mapPoller.js');
 
+const { getServerInfo } = require('../rustplus/serverInfoPoller.js');
+const { getTimeSummary } = require('../rustplus/timePoller.js');
+const { renderServerMap } = require('../map/renderer.js');
+const { searchMarket, formatOrder } = require('../rustplus/marketPoller.js');
+const { getItemName, findItemIds, SCRAP_ITEM_ID } = require('../rustplus/items.js');
+const { gridToPosition, describeLocation } = require('../rustplus/grid.js');
+const { getHotspotSummary } = require('../rustplus/explosionLog.js');
+
 // --- ADDED: BattleMetrics integration ---
 const bmApi     = require('../battlemetrics/api.js');
 const bmTracker = require('../battlemetrics/tracker.js');
@@ -91,12 +123,33 @@ const commandDefinitions = [
         .setDescription('Discord channel to receive Rust+ notifications')
         .setRequired(true)
         .addChannelTypes(ChannelType.GuildText)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName('mode')
+        .setDescription('How to reach the server (default: direct)')
+        .setRequired(false)
+        .addChoices(
+          { name: 'Direct',                      value: 'direct' },
+          { name: 'Facepunch proxy',             value: 'proxy' },
+          { name: 'Auto (proxy if direct fails)', value: 'auto' }
+        )
     ),
 
   new SlashCommandBuilder()
     .setName('devices')
     .setDescription('List all smart devices paired with this guild\'s Rust server'),
 
+  new SlashCommandBuilder()
+    .setName('rename')
+    .setDescription('Name (or rename) a paired smart device')
+    .addStringOption((opt) =>
+      opt.setName('entity_id').setDescription('Entity ID of the device (shown in /devices)').setRequired(true)
+    )
+    .addStringOption((opt) =>
+      opt.setName('name').setDescription('New device name').setRequired(true).setMaxLength(64)
+    ),
+
   new SlashCommandBuilder()
     .setName('switch')
     .setDescription('Toggle a smart switch on or off')
@@ -129,6 +182,10 @@ const commandDefinitions = [
     .setName('status')
     .setDescription('Show all active Rust+ WebSocket connections'),
 
+  new SlashCommandBuilder()
+    .setName('reconnect')
+    .setDescription('Revive this guild\'s Rust+ connection if it is parked or stopped'),
+
   new SlashCommandBuilder()
     .setName('say')
     .setDescription('Send a message to Rust team chat')
@@ -139,7 +196,116 @@ const commandDefinitions = [
   // --- ADDED: /timers command ---
   new SlashCommandBuilder()
     .setName('timers')
-    .setDescription('Show current Cargo, Heli, Bradley, and Oil Rig event timers'),
+    .setDescription('Show Cargo, Heli, Bradley, Oil Rig, Chinook, supply drop and Travelling Vendor timers'),
+
+  new SlashCommandBuilder()
+    .setName('time')
+    .setDescription('Show the in-game time and real minutes until dark or dawn'),
+
+  new SlashCommandBuilder()
+    .setName('map')
+    .setDescription('Post an image of the server map with live team and event markers')
+    .addStringOption((opt) =>
+      opt.setName('square').setDescription('Zoom to a grid square, e.g. G12').setRequired(false).setMaxLength(4)
+    )
+    .addBooleanOption((opt) =>
+      opt.setName('grid').setDescription('Show the grid overlay (default: on)').setRequired(false)
+    )
+    .addBooleanOption((opt) =>
+      opt.setName('monuments').setDescription('Show monument names (default: on)').setRequired(false)
+    )
+    .addBooleanOption((opt) =>
+      opt.setName('team').setDescription('Show team member positions (default: on)').setRequired(false)
+    )
+    .addBooleanOption((opt) =>
+      opt.setName('events').setDescription('Show cargo, heli, Chinook and crate markers (default: on)').setRequired(false)
+    ),
+
+  new SlashCommandBuilder()
+    .setName('shop')
+    .setDescription('Find the cheapest vending machines selling an item')
+    .addStringOption((opt) =>
+      opt.setName('item').setDescription('Item name, shorthand or ID, e.g. c4, hqm, rifle body').setRequired(true)
+    ),
+
+  new SlashCommandBuilder()
+    .setName('base')
+    .setDescription('Save base locations — explosions near a base raise a raid alert')
+    .addSubcommand((sub) =>
+      sub
+        .setName('add')
+        .setDescription('Save a base by grid square or world coordinates (re-adding a name moves it)')
+        .addStringOption((opt) =>
+          opt.setName('name').setDescription('Base name, e.g. main').setRequired(true).setMaxLength(32)
+        )
+        .addStringOption((opt) =>
+          opt.setName('grid').setDescription('Grid square, e.g. G12 (uses the centre of the square)').setRequired(false).setMaxLength(4)
+        )
+        .addNumberOption((opt) =>
+          opt.setName('x').setDescription('World X coordinate (with y, instead of grid)').setRequired(false).setMinValue(0)
+        )
+        .addNumberOption((opt) =>
+          opt.setName('y').setDescription('World Y coordinate (with x, instead of grid)').setRequired(false).setMinValue(0)
+        )
+        .addNumberOption((opt) =>
+          opt.setName('radius').setDescription('Alert radius in metres (default: 100)').setRequired(false).setMinValue(20).setMaxValue(500)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName('remove')
+        .setDescription('Forget a saved base')
+        .addStringOption((opt) =>
+          opt.setName('name').setDescription('Base name').setRequired(true)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub.setName('list').setDescription('List this server\'s saved bases')
+    ),
+
+  new SlashCommandBuilder()
+    .setName('booms')
+    .setDescription('List active and recent raid hotspots from explosions seen on the map'),
+
+  new SlashCommandBuilder()
+    .setName('watch')
+    .setDescription('Get alerted when a vending machine sells an item at or under a price')
+    .addSubcommand((sub) =>
+      sub
+        .setName('add')
+        .setDescription('Watch an item (re-adding an item updates its price)')
+        .addStringOption((opt) =>
+          opt.setName('item').setDescription('Item name, shorthand or ID, e.g. c4').setRequired(true)
+        )
+        .addNumberOption((opt) =>
+          opt.setName('price').setDescription('Alert at or under this price per item').setRequired(true).setMinValue(0)
+        )
+        .addStringOption((opt) =>
+          opt.setName('currency').setDescription('Currency item (default: scrap)').setRequired(false)
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName('notify')
+            .setDescription('Where to send alerts (default: Discord)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Discord',   value: 'discord' },
+              { name: 'Team chat', value: 'team' },
+              { name: 'Both',      value: 'both' }
+            )
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName('remove')
+        .setDescription('Stop watching an item')
+        .addIntegerOption((opt) =>
+          opt.setName('id').setDescription('Watch ID (shown in /watch list)').setRequired(true)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub.setName('list').setDescription('List this server\'s shop watches')
+    ),
 
   // --- ADDED: BattleMetrics commands ---
   new SlashCommandBuilder()
@@ -176,6 +342,16 @@ const commandDefinitions = [
     ),
 ];
 
+/** Display labels for RustPlusConnection.getState() values. */
+const CONNECTION_STATE_LABELS = {
+  connected:    'Connected',
+  connecting:   'Connecting',
+  reconnecting: 'Reconnecting',
+  parked:       'Parked (slow retries)',
+  auth_failed:  'Auth failed',
+  stopped:      'Stopped',
+};
+
 // ---------------------------------------------------------------------------
 // Helper — query DB for a guild's server pairing
 // ---------------------------------------------------------------------------
@@ -258,6 +434,7 @@ async function handleSetup(interaction) {
   const ip      = interaction.options.getString('ip', true).trim();
   const port    = interaction.options.getInteger('port', true);
   const channel = interaction.options.getChannel('channel', true);
+  const mode    = interaction.options.getString('mode') || 'direct';
   const guildId = interaction.guildId;
 
   // Basic IP format validation (IPv4 or hostname)
@@ -272,22 +449,26 @@ async function handleSetup(interaction) {
   try {
     const upsert = db.prepare(`
       INSERT INTO server_pairings
-        (user_steam_id, rust_server_ip, rust_server_port, discord_guild_id, discord_channel_id)
-      VALUES (?, ?, ?, ?, ?)
+        (user_steam_id, rust_server_ip, rust_server_port, discord_guild_id, discord_channel_id, connection_mode)
+      VALUES (?, ?, ?, ?, ?, ?)
     `);
-    upsert.run('discord', ip, port, guildId, channel.id);
+    const pairingId = upsert.run('discord', ip, port, guildId, channel.id, mode).lastInsertRowid;
 
-    console.log(`[Bot] /setup: guild=${guildId} linked ${ip}:${port} → channel #${channel.name}`);
+    console.log(`[Bot] /setup: guild=${guildId} linked ${ip}:${port} → channel #${channel.name} (mode: ${mode})`);
 
-    // Attempt to create a Rust+ connection (will fail gracefully if no token,
-    // since we are using a placeholder steam config here)
+    // Attempt to create a Rust+ connection. If another pairing already has a
+    // socket open to this server, this channel simply subscribes to it;
+    // otherwise it fails gracefully, since we only have a placeholder steam
+    // config here and no token.
     try {
       const newConn = createConnection({
         steamId:     'discord',
         playerToken: 0,
         server:      { ip, port },
+        pairingId,
         guildId,
         channelId:   channel.id,
+        connectionMode: mode,
       });
 
       // Wire Discord event-forwarding for this new connection.
@@ -302,7 +483,7 @@ async function handleSetup(interaction) {
     }
 
     await interaction.editReply({
-      content: `\u2705 Rust server \`${ip}:${port}\` linked to <#${channel.id}>`,
+      content: `\u2705 Rust server \`${ip}:${port}\` linked to <#${channel.id}> (connection mode: ${mode})`,
     });
   } catch (err) {
     console.error('[Bot] /setup error:', err);
@@ -346,7 +527,9 @@ async function handleDevices(interaction) {
   for (const device of devices) {
     embed.addFields({
       name: `${device.name || '(unnamed)'} — ${device.device_type || 'Unknown'}`,
-      value: `Entity ID: \`${device.entity_id}\``,
+      value: device.status === 'unreachable'
+        ? `Entity ID: \`${device.entity_id}\` — ⚠️ unreachable (destroyed or unpaired?)`
+        : `Entity ID: \`${device.entity_id}\``,
       inline: false,
     });
   }
@@ -354,6 +537,58 @@ async function handleDevices(interaction) {
   await interaction.editReply({ embeds: [embed] });
 }
 
+/**
+ * /rename entity_id name
+ * Names a device that was auto-registered from an in-game pairing.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleRename(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const entityId = interaction.options.getString('entity_id', true).trim();
+  const newName  = interaction.options.getString('name', true).trim();
+
+  const pairing = getPairingForGuild(interaction.guildId);
+  if (!pairing) {
+    return replyError(interaction, 'No Rust server linked to this guild. Use /setup first.');
+  }
+
+  if (!newName) {
+    return replyError(interaction, 'Device name cannot be empty.');
+  }
+
+  const device = db.prepare(
+    'SELECT * FROM devices WHERE rust_server_ip = ? AND rust_server_port = ? AND entity_id = ?'
+  ).get(pairing.rust_server_ip, pairing.rust_server_port, entityId);
+
+  if (!device) {
+    return replyError(interaction, `No device with entity ID \`${entityId}\` on this server.`);
+  }
+
+  // /switch, /alarm and /storage look devices up by name — names must be unique per server
+  const clash = db.prepare(
+    `SELECT id FROM devices
+     WHERE rust_server_ip = ? AND rust_server_port = ? AND lower(name) = lower(?) AND id != ?`
+  ).get(pairing.rust_server_ip, pairing.rust_server_port, newName, device.id);
+
+  if (clash) {
+    return replyError(interaction, `Another device is already named '${newName}'.`);
+  }
+
+  try {
+    db.prepare('UPDATE devices SET name = ? WHERE id = ?').run(newName, device.id);
+  } catch (err) {
+    console.error('[Bot] /rename error:', err);
+    return replyError(interaction, `Database error: ${err.message}`);
+  }
+
+  console.log(`[Bot] /rename: ${interaction.user.tag} named entity ${entityId} '${newName}'`);
+  await interaction.editReply({
+    content: `\u2705 ${device.device_type || 'Device'} \`${entityId}\` is now named **${newName}**.`,
+  });
+}
+
 /**
  * /switch name state
  * Toggles a smart switch via the Rust+ connection.
@@ -385,29 +620,18 @@ async function handleSwitch(interaction) {
     );
   }
 
-  const rustClient = connection.getClient();
   const entityId   = Number(device.entity_id);
   const value      = state === 'on';
   const username   = interaction.member?.displayName || interaction.user.username;
 
   try {
-    await new Promise((resolve, reject) => {
-      rustClient.setEntityValue(entityId, value, (message) => {
-        if (message.response && message.response.error) {
-          reject(new Error(message.response.error.error || 'Unknown Rust+ error'));
-        } else {
-          resolve(message);
-        }
-      });
-    });
+    await connection.setEntityValue(entityId, value);
 
     // --- ADDED: Notify Rust+ team chat about the Discord-triggered switch toggle ---
     // Format: "checkmark [name] turned [on/off] by [Discord username]"
-    try {
-      rustClient.sendTeamMessage(`\u2705 ${deviceName} turned ${state} by ${username}`);
-    } catch (chatErr) {
-      console.warn('[Bot] /switch: sendTeamMessage failed:', chatErr.message);
-    }
+    connection.sendTeamMessage(`\u2705 ${deviceName} turned ${state} by ${username}`).catch((chatErr) =>
+      console.warn('[Bot] /switch: sendTeamMessage failed:', chatErr.message)
+    );
 
     console.log(`[Bot] /switch: ${username} turned ${deviceName} (${entityId}) ${state}`);
     await interaction.editReply({
@@ -449,21 +673,10 @@ async function handleAlarm(interaction) {
     );
   }
 
-  const rustClient = connection.getClient();
   const entityId   = Number(device.entity_id);
 
   try {
-    const info = await new Promise((resolve, reject) => {
-      rustClient.getEntityInfo(entityId, (message) => {
-        if (message.response && message.response.error) {
-          reject(new Error(message.response.error.error || 'Unknown Rust+ error'));
-        } else if (message.response && message.response.entityInfo) {
-          resolve(message.response.entityInfo);
-        } else {
-          reject(new Error('Unexpected response format from Rust+'));
-        }
-      });
-    });
+    const info = await connection.getEntityInfo(entityId);
 
     const isActive = info.payload && info.payload.value === true;
 
@@ -514,21 +727,10 @@ async function handleStorage(interaction) {
     );
   }
 
-  const rustClient = connection.getClient();
   const entityId   = Number(device.entity_id);
 
   try {
-    const info = await new Promise((resolve, reject) => {
-      rustClient.getEntityInfo(entityId, (message) => {
-        if (message.response && message.response.error) {
-          reject(new Error(message.response.error.error || 'Unknown Rust+ error'));
-        } else if (message.response && message.response.entityInfo) {
-          resolve(message.response.entityInfo);
-        } else {
-          reject(new Error('Unexpected response format from Rust+'));
-        }
-      });
-    });
+    const info = await connection.getEntityInfo(entityId);
 
     const items    = (info.payload && info.payload.items) || [];
     const capacity = (info.payload && info.payload.capacity) || 0;
@@ -589,11 +791,33 @@ async function handleStatus(interaction) {
     embed.setColor(0x57F287); // green — at least one connection registered
 
     for (const conn of allConnections) {
-      const status    = conn.isConnected() ? 'Connected' : 'Disconnected';
+      const status    = CONNECTION_STATE_LABELS[conn.getState()] || conn.getState();
       const colorHint = conn.isConnected() ? '' : ' (offline)';
+
+      // Aggregate request latency across all methods
+      const stats    = Object.values(conn.getRequestStats());
+      const count    = stats.reduce((n, st) => n + st.count, 0);
+      const avgMs    = count ? Math.round(stats.reduce((n, st) => n + st.avgMs * st.count, 0) / count) : null;
+      const timeouts = stats.reduce((n, st) => n + st.timeouts, 0);
+      const latency  = avgMs === null ? 'n/a' : `${avgMs}ms avg (${count} req, ${timeouts} timed out)`;
+
+      const queue    = conn.getQueueStats();
+      const queueStr = `${queue.depth} waiting ` +
+        `(user ${queue.byPriority.user} / event ${queue.byPriority.event} / poll ${queue.byPriority.poll}), ` +
+        `${queue.dropped} stale dropped`;
+
+      const subscribers = `${conn.getSubscribers().length} (${conn.getChannelIds().length} channel(s))`;
+
+      const info    = getServerInfo(conn.serverIp, conn.serverPort);
+      const infoStr = info
+        ? `\nPlayers: ${info.players}/${info.maxPlayers}` +
+          (info.queuedPlayers ? ` (+${info.queuedPlayers} queued)` : '') +
+          (info.wipeTime ? `\nWiped: <t:${info.wipeTime}:R>` : '')
+        : '';
+
       embed.addFields({
         name: `${conn.serverIp}:${conn.serverPort}${colorHint}`,
-        value: `Status: **${status}**\nGuild: \`${conn.guildId || 'N/A'}\``,
+        value: `Status: **${status}**\nGuild: \`${conn.guildId || 'N/A'}\`\nAccount: \`${conn.steamId}\`\nMode: ${conn.getConnectionMode()}${conn.isUsingProxy() ? ' (via proxy)' : ''}\nPairings: ${subscribers}\nLatency: ${latency}\nQueue: ${queueStr}${infoStr}`,
         inline: true,
       });
     }
@@ -602,6 +826,35 @@ async function handleStatus(interaction) {
   await interaction.editReply({ embeds: [embed] });
 }
 
+/**
+ * /reconnect
+ * Revives the guild's Rust+ connection: a parked or auth-failed connection
+ * gets a fresh attempt (and a full backoff budget); a live one reconnects.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleReconnect(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const pairing = getPairingForGuild(interaction.guildId);
+  if (!pairing) {
+    return replyError(interaction, 'No Rust server linked to this guild. Use /setup first.');
+  }
+
+  const server     = `${pairing.rust_server_ip}:${pairing.rust_server_port}`;
+  const connection = getConnection(pairing.rust_server_ip, pairing.rust_server_port);
+  if (!connection) {
+    return replyError(interaction, `No Rust+ connection is registered for \`${server}\`. Re-run /setup.`);
+  }
+
+  const previous = connection.revive(interaction.user.tag || interaction.user.username);
+  console.log(`[Bot] /reconnect: ${interaction.user.username} revived ${server} (was ${previous})`);
+
+  await interaction.editReply({
+    content: `\uD83D\uDD04 Reconnecting to \`${server}\` (was ${CONNECTION_STATE_LABELS[previous] || previous}).`,
+  });
+}
+
 /**
  * /say message
  * Sends a message to the Rust team chat via the Rust+ connection.
@@ -628,13 +881,10 @@ async function handleSay(interaction) {
     );
   }
 
-  const rustClient = connection.getClient();
   const chatMessage = `[Discord] ${username}: ${message}`;
 
   try {
-    rustClient.sendTeamMessage(chatMessage, (response) => {
-      console.log('[Bot] /say sendTeamMessage response:', JSON.stringify(response));
-    });
+    await connection.sendTeamMessage(chatMessage);
     console.log(`[Bot] /say: ${username} sent team message: ${message}`);
     await interaction.editReply({ content: '\u2705 Message sent to team chat.' });
   } catch (err) {
@@ -674,6 +924,33 @@ async function handleTimers(interaction) {
   await interaction.editReply({ embeds: [embed] });
 }
 
+/**
+ * /time
+ * Shows the in-game clock and how long (in real minutes) until dark or dawn.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleTime(interaction) {
+  await interaction.deferReply({ ephemeral: false });
+
+  const pairing = getPairingForGuild(interaction.guildId);
+  if (!pairing) {
+    return replyError(interaction, 'No Rust server linked to this guild. Use /setup first.');
+  }
+
+  const ip   = pairing.rust_server_ip;
+  const port = pairing.rust_server_port;
+
+  const embed = new EmbedBuilder()
+    .setTitle('\uD83D\uDD52 In-Game Time')
+    .setDescription(getTimeSummary(ip, port))
+    .setColor(0x5865F2)
+    .setFooter({ text: `Server: ${ip}:${port}` })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
 // ---------------------------------------------------------------------------
 // BattleMetrics slash command handlers
 // ---------------------------------------------------------------------------
@@ -956,63 +1233,392 @@ async function handleStats(interaction) {
   console.log(`[Bot] /stats: fetched stats for "${result.name}" on ${result.server}`);
 }
 
-// ---------------------------------------------------------------------------
-// Interaction router
-// ---------------------------------------------------------------------------
+/**
+ * /map [square] [grid] [monuments] [team] [events]
+ * Renders the server map with the selected layers, optionally cropped to a grid square.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleMap(interaction) {
+  await interaction.deferReply({ ephemeral: false });
 
-/** @type {Map<string, (interaction: import('discord.js').ChatInputCommandInteraction) => Promise<void>>} */
-const commandHandlers = new Map([
-  ['setup',    handleSetup],
-  ['devices',  handleDevices],
-  ['switch',   handleSwitch],
-  ['alarm',    handleAlarm],
-  ['storage',  handleStorage],
-  ['status',   handleStatus],
-  ['say',      handleSay],
-  ['timers',   handleTimers],
-  // --- ADDED: BattleMetrics commands ---
-  ['track',    handleTrack],
-  ['untrack',  handleUntrack],
-  ['online',   handleOnline],
-  ['whois',    handleWhois],
-  // --- ADDED: moose.gg stats ---
-  ['stats',    handleStats],
-]);
+  const pairing = getPairingForGuild(interaction.guildId);
+  if (!pairing) {
+    return replyError(interaction, 'No Rust server linked to this guild. Use /setup first.');
+  }
 
-// ---------------------------------------------------------------------------
-// Ollama LLM helper — used by !ask team chat command
-// ---------------------------------------------------------------------------
+  const connection = getConnection(pairing.rust_server_ip, pairing.rust_server_port);
+  if (!connection || !connection.isConnected()) {
+    return replyError(
+      interaction,
+      `Rust+ connection to \`${pairing.rust_server_ip}:${pairing.rust_server_port}\` is not active.`
+    );
+  }
+
+  const layers = {};
+  for (const layer of ['grid', 'monuments', 'team', 'events']) {
+    const value = interaction.options.getBoolean(layer);
+    if (value !== null) layers[layer] = value;
+  }
+  const square = interaction.options.getString('square');
+
+  let png;
+  try {
+    png = await renderServerMap(connection, { layers, square });
+  } catch (err) {
+    console.error('[Bot] /map render error:', err.message);
+    return replyError(interaction, `Failed to render the map: ${err.message}`);
+  }
+
+  const file = new AttachmentBuilder(png, { name: 'map.png' });
+  const embed = new EmbedBuilder()
+    .setTitle(square ? `\uD83D\uDDFA\uFE0F Map \u2014 ${square.toUpperCase()}` : '\uD83D\uDDFA\uFE0F Server Map')
+    .setImage('attachment://map.png')
+    .setColor(0x5865F2)
+    .setFooter({ text: `Server: ${pairing.rust_server_ip}:${pairing.rust_server_port}` })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed], files: [file] });
+}
+
+/** Maximum vending machine orders listed by /shop */
+const SHOP_RESULT_LIMIT = 10;
 
 /**
- * Ask a question to the locally-running Ollama instance and get a short answer.
- * Uses http (no external deps). Calls back with (err, answerString).
+ * Convert an SQLite CURRENT_TIMESTAMP string (UTC) to unix seconds.
+ * @param {string} value — e.g. "2026-01-02 18:04:11"
+ * @returns {number}
+ */
+function sqlTimeToUnix(value) {
+  return Math.floor(Date.parse(`${value.replace(' ', 'T')}Z`) / 1000);
+}
+
+/**
+ * Format a unit price without trailing float noise, e.g. 50 or 12.5.
+ * @param {number} price
+ * @returns {string}
+ */
+function formatUnitPrice(price) {
+  return String(Math.round(price * 100) / 100);
+}
+
+/**
+ * /shop item:<name>
+ * Lists the cheapest in-stock vending machine orders for an item from the
+ * latest market snapshot, plus the item's price history this wipe.
  *
- * Configurable via env vars:
- *   OLLAMA_HOST  — default 127.0.0.1
- *   OLLAMA_PORT  — default 11434
- *   OLLAMA_MODEL — default llama3
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleShop(interaction) {
+  await interaction.deferReply({ ephemeral: false });
+
+  const pairing = getPairingForGuild(interaction.guildId);
+  if (!pairing) {
+    return replyError(interaction, 'No Rust server linked to this guild. Use /setup first.');
+  }
+
+  const ip    = pairing.rust_server_ip;
+  const port  = pairing.rust_server_port;
+  const query = interaction.options.getString('item');
+
+  const result = searchMarket(ip, port, query);
+  if (result.itemIds.length === 0) {
+    return replyError(interaction, `Unknown item "${query}". Try a full name, a shorthand like \`c4\` or a numeric item ID.`);
+  }
+
+  const lines = result.orders.slice(0, SHOP_RESULT_LIMIT).map((o, i) =>
+    `**${i + 1}.** ${formatOrder(o)}` +
+    (o.quantity > 1 ? ` *(${formatUnitPrice(o.unitPrice)} each)*` : '')
+  );
+
+  const embed = new EmbedBuilder()
+    .setTitle(`\uD83D\uDED2 Shops \u2014 ${query}`)
+    .setDescription(lines.length > 0 ? lines.join('\n') : 'Nobody has this in stock right now.')
+    .setColor(lines.length > 0 ? 0x57F287 : 0xFEE75C)
+    .setFooter({ text: `Server: ${ip}:${port}` })
+    .setTimestamp();
+
+  if (result.orders.length > SHOP_RESULT_LIMIT) {
+    embed.addFields({ name: 'More', value: `${result.orders.length - SHOP_RESULT_LIMIT} more order(s) not shown`, inline: false });
+  }
+
+  if (result.history.length > 0) {
+    const history = result.history.slice(0, 5).map((h) =>
+      `${h.itemName} (${h.currencyName}): first listed <t:${sqlTimeToUnix(h.firstSeenAt)}:R>, ` +
+      `lowest ${formatUnitPrice(h.lowest)} each <t:${sqlTimeToUnix(h.lowestAt)}:R>, ${h.changes} price change(s)`
+    );
+    embed.addFields({ name: 'This wipe', value: history.join('\n'), inline: false });
+  }
+
+  if (result.capturedAt) {
+    embed.addFields({ name: 'Snapshot', value: `<t:${sqlTimeToUnix(result.capturedAt)}:R>`, inline: true });
+  }
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+/** Display labels for shop_watches.notify values. */
+const WATCH_NOTIFY_LABELS = {
+  discord: 'Discord',
+  team:    'team chat',
+  both:    'Discord + team chat',
+};
+
+/**
+ * Resolve a /watch item or currency option to exactly one item ID.
+ * @param {string} query
+ * @returns {{ itemId: number }|{ error: string }}
+ */
+function resolveWatchItem(query) {
+  const ids = findItemIds(query);
+  if (ids.length === 1) return { itemId: ids[0] };
+  if (ids.length === 0) {
+    return { error: `Unknown item "${query}". Try a full name, a shorthand like \`c4\` or a numeric item ID.` };
+  }
+  const names = ids.slice(0, 5).map((id) => getItemName(id)).join(', ');
+  return { error: `"${query}" matches several items (${names}${ids.length > 5 ? ', ...' : ''}). Be more specific.` };
+}
+
+/**
+ * /watch add|remove|list
+ * Manages the guild's shop watchlist. Matches are detected by the market
+ * poller and forwarded by wireConnectionEvents ('shopWatchMatched').
  *
- * @param {string} question
- * @param {function(Error|null, string|null): void} callback
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
  */
-function askOllama(question, callback) {
-  const http = require('http');
-  const host  = process.env.OLLAMA_HOST  || '127.0.0.1';
-  const port  = parseInt(process.env.OLLAMA_PORT  || '11434', 10);
-  const model = process.env.OLLAMA_MODEL || 'llama3';
+async function handleWatch(interaction) {
+  await interaction.deferReply({ ephemeral: false });
 
-  const body = JSON.stringify({
-    model,
-    messages: [
-      {
-        role: 'system',
-        content: [
-          'You are an assistant that ONLY answers questions about the video game Rust (the survival game by Facepunch Studios).',
-          'Every question is about Rust gameplay. Never assume a question is about anything other than the game Rust.',
-          'Answer in 1-2 short sentences. Keep your reply under 200 characters.',
-          '',
-          'RAID COSTS (exact — do not guess):',
-          'Wood Wall: 2 Rockets / 1 C4 / 3 Satchels',
+  const pairing = getPairingForGuild(interaction.guildId);
+  if (!pairing) {
+    return replyError(interaction, 'No Rust server linked to this guild. Use /setup first.');
+  }
+
+  const ip   = pairing.rust_server_ip;
+  const port = pairing.rust_server_port;
+  const sub  = interaction.options.getSubcommand();
+
+  if (sub === 'add') {
+    const item = resolveWatchItem(interaction.options.getString('item'));
+    if (item.error) return replyError(interaction, item.error);
+
+    const currencyQuery = interaction.options.getString('currency');
+    const currency = currencyQuery ? resolveWatchItem(currencyQuery) : { itemId: SCRAP_ITEM_ID };
+    if (currency.error) return replyError(interaction, currency.error);
+
+    const watch = upsertShopWatch(interaction.guildId, ip, port, {
+      itemId:     item.itemId,
+      currencyId: currency.itemId,
+      maxPrice:   interaction.options.getNumber('price'),
+      notify:     interaction.options.getString('notify') || 'discord',
+      addedBy:    interaction.user.tag,
+    });
+
+    console.log(`[Bot] /watch add #${watch.id}: ${getItemName(watch.item_id)} <= ${watch.max_price} on ${ip}:${port}`);
+    return interaction.editReply({
+      content:
+        `\u2705 Watch #${watch.id}: **${getItemName(watch.item_id)}** at or under ` +
+        `**${formatUnitPrice(watch.max_price)} ${getItemName(watch.currency_id)}** each ` +
+        `\u2014 alerts go to ${WATCH_NOTIFY_LABELS[watch.notify]}. Shops are checked every 5 minutes.`,
+    });
+  }
+
+  if (sub === 'remove') {
+    const id = interaction.options.getInteger('id');
+    if (!deleteShopWatch(interaction.guildId, id)) {
+      return replyError(interaction, `No watch #${id} in this server. See /watch list.`);
+    }
+    console.log(`[Bot] /watch remove #${id} on ${ip}:${port}`);
+    return interaction.editReply({ content: `\u2705 Watch #${id} removed.` });
+  }
+
+  const watches = getGuildShopWatches(interaction.guildId, ip, port);
+  const lines = watches.map((w) =>
+    `**#${w.id}** ${getItemName(w.item_id)} \u2264 ${formatUnitPrice(w.max_price)} ${getItemName(w.currency_id)} ` +
+    `\u2014 ${WATCH_NOTIFY_LABELS[w.notify]} *(by ${w.added_by || 'unknown'})*`
+  );
+
+  const embed = new EmbedBuilder()
+    .setTitle('\uD83D\uDD14 Shop Watchlist')
+    .setDescription(lines.length > 0 ? lines.join('\n') : 'No items watched. Add one with `/watch add`.')
+    .setColor(0x5865F2)
+    .setFooter({ text: `Server: ${ip}:${port}` })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+/** Default raid alert radius around a saved base, in metres (world units) */
+const DEFAULT_BASE_RADIUS = 100;
+
+/**
+ * /base add|remove|list
+ * Manages the pairing's saved bases. Raid detection runs in mapPoller and is
+ * forwarded by wireConnectionEvents ('raidAlert').
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleBase(interaction) {
+  await interaction.deferReply({ ephemeral: false });
+
+  const pairing = getPairingForGuild(interaction.guildId);
+  if (!pairing) {
+    return replyError(interaction, 'No Rust server linked to this guild. Use /setup first.');
+  }
+
+  const ip   = pairing.rust_server_ip;
+  const port = pairing.rust_server_port;
+  const sub  = interaction.options.getSubcommand();
+
+  if (sub === 'add') {
+    const name   = interaction.options.getString('name').trim();
+    const square = interaction.options.getString('grid');
+    const x      = interaction.options.getNumber('x');
+    const y      = interaction.options.getNumber('y');
+    const radius = interaction.options.getNumber('radius') || DEFAULT_BASE_RADIUS;
+
+    let position = null;
+    if (x !== null && y !== null) {
+      position = { x, y };
+    } else if (square) {
+      position = gridToPosition(ip, port, square);
+      if (!position) {
+        return replyError(
+          interaction,
+          `Could not place "${square}" — check the grid square, or try again once the map has loaded.`
+        );
+      }
+    } else {
+      return replyError(interaction, 'Give the base a `grid` square or both `x` and `y` coordinates.');
+    }
+
+    const base = upsertBase(pairing.id, { name, x: position.x, y: position.y, radius, addedBy: interaction.user.tag });
+    console.log(`[Bot] /base add "${base.name}" at ${Math.round(base.x)},${Math.round(base.y)} on ${ip}:${port}`);
+    return interaction.editReply({
+      content:
+        `\u2705 Base **${base.name}** saved at ${describeLocation(ip, port, base.x, base.y)} ` +
+        `(${Math.round(base.x)}, ${Math.round(base.y)}). Explosions within ${base.radius}m raise a raid alert here.`,
+    });
+  }
+
+  if (sub === 'remove') {
+    const name = interaction.options.getString('name').trim();
+    if (!deleteBase(pairing.id, name)) {
+      return replyError(interaction, `No base named "${name}". See /base list.`);
+    }
+    console.log(`[Bot] /base remove "${name}" on ${ip}:${port}`);
+    return interaction.editReply({ content: `\u2705 Base **${name}** removed.` });
+  }
+
+  const bases = getPairingBases(pairing.id);
+  const lines = bases.map((b) =>
+    `**${b.name}** \u2014 ${describeLocation(ip, port, b.x, b.y)} ` +
+    `(${Math.round(b.x)}, ${Math.round(b.y)}), radius ${b.radius}m`
+  );
+
+  const embed = new EmbedBuilder()
+    .setTitle('\uD83C\uDFE0 Saved Bases')
+    .setDescription(lines.length > 0 ? lines.join('\n') : 'No bases saved. Add one with `/base add`.')
+    .setColor(0x5865F2)
+    .setFooter({ text: `Server: ${ip}:${port}` })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * /booms
+ * Lists raid hotspots: clusters of explosions seen on the map this wipe that
+ * are still going or ended in the last few hours (explosionLog.js).
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleBooms(interaction) {
+  await interaction.deferReply({ ephemeral: false });
+
+  const pairing = getPairingForGuild(interaction.guildId);
+  if (!pairing) {
+    return replyError(interaction, 'No Rust server linked to this guild. Use /setup first.');
+  }
+
+  const ip   = pairing.rust_server_ip;
+  const port = pairing.rust_server_port;
+
+  const embed = new EmbedBuilder()
+    .setTitle('\uD83D\uDCA5 Raid Hotspots')
+    .setDescription(getHotspotSummary(ip, port))
+    .setColor(0xED4245)
+    .setFooter({ text: `Server: ${ip}:${port}` })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+// ---------------------------------------------------------------------------
+// Interaction router
+// ---------------------------------------------------------------------------
+
+/** @type {Map<string, (interaction: import('discord.js').ChatInputCommandInteraction) => Promise<void>>} */
+const commandHandlers = new Map([
+  ['setup',    handleSetup],
+  ['devices',  handleDevices],
+  ['rename',   handleRename],
+  ['switch',   handleSwitch],
+  ['alarm',    handleAlarm],
+  ['storage',  handleStorage],
+  ['status',   handleStatus],
+  ['reconnect', handleReconnect],
+  ['say',      handleSay],
+  ['timers',   handleTimers],
+  ['time',     handleTime],
+  ['map',      handleMap],
+  ['shop',     handleShop],
+  ['watch',    handleWatch],
+  ['base',     handleBase],
+  ['booms',    handleBooms],
+  // --- ADDED: BattleMetrics commands ---
+  ['track',    handleTrack],
+  ['untrack',  handleUntrack],
+  ['online',   handleOnline],
+  ['whois',    handleWhois],
+  // --- ADDED: moose.gg stats ---
+  ['stats',    handleStats],
+]);
+
+// ---------------------------------------------------------------------------
+// Ollama LLM helper — used by !ask team chat command
+// ---------------------------------------------------------------------------
+
+/**
+ * Ask a question to the locally-running Ollama instance and get a short answer.
+ * Uses http (no external deps). Calls back with (err, answerString).
+ *
+ * Configurable via env vars:
+ *   OLLAMA_HOST  — default 127.0.0.1
+ *   OLLAMA_PORT  — default 11434
+ *   OLLAMA_MODEL — default llama3
+ *
+ * @param {string} question
+ * @param {function(Error|null, string|null): void} callback
+ */
+function askOllama(question, callback) {
+  const http = require('http');
+  const host  = process.env.OLLAMA_HOST  || '127.0.0.1';
+  const port  = parseInt(process.env.OLLAMA_PORT  || '11434', 10);
+  const model = process.env.OLLAMA_MODEL || 'llama3';
+
+  const body = JSON.stringify({
+    model,
+    messages: [
+      {
+        role: 'system',
+        content: [
+          'You are an assistant that ONLY answers questions about the video game Rust (the survival game by Facepunch Studios).',
+          'Every question is about Rust gameplay. Never assume a question is about anything other than the game Rust.',
+          'Answer in 1-2 short sentences. Keep your reply under 200 characters.',
+          '',
+          'RAID COSTS (exact — do not guess):',
+          'Wood Wall: 2 Rockets / 1 C4 / 3 Satchels',
           'Stone Wall: 10 Rockets / 4 C4 / 10 Satchels',
           'Sheet Metal Wall: 23 Rockets / 8 C4 / 23 Satchels',
           'Armored Wall: 46 Rockets / 15 C4 / 46 Satchels',
@@ -1168,10 +1774,42 @@ function getRaidCost(target) {
 // Event forwarding — rustplus → Discord
 // ---------------------------------------------------------------------------
 
+/** When this module loaded — start of the status-embed mute window */
+const BOT_STARTED_AT = Date.now();
+
+/** Default status-embed mute after startup, in seconds (env override) */
+const DEFAULT_STATUS_STARTUP_MUTE_SECONDS = 120;
+
+/** Minimum gap between 'lost' / 'reconnect attempt' embeds for one connection */
+const STATUS_THROTTLE_MS = 5 * 60 * 1000;
+
+/**
+ * True while connection status embeds are still muted after startup.
+ * @returns {boolean}
+ */
+function isStatusMuted() {
+  const n = parseFloat(process.env.STATUS_STARTUP_MUTE_SECONDS);
+  const muteSeconds = Number.isFinite(n) && n >= 0 ? n : DEFAULT_STATUS_STARTUP_MUTE_SECONDS;
+  return Date.now() - BOT_STARTED_AT < muteSeconds * 1000;
+}
+
+/**
+ * Human-readable duration, e.g. "45s", "12 min", "2h 5m".
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDowntime(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
 /**
  * Wire event forwarding for a single RustPlusConnection instance.
- * Looks up the Discord channel from the connection's channelId property
- * (set when createConnection was called from /setup).
+ * Events fan out to every Discord channel subscribed to the connection —
+ * several guilds/pairings can share one Rust+ socket.
  *
  * @param {import('../rustplus/index.js').RustPlusConnection} connection
  */
@@ -1179,46 +1817,55 @@ function wireConnectionEvents(connection) {
   const serverLabel = `${connection.serverIp}:${connection.serverPort}`;
 
   /**
-   * Resolve the Discord text channel for this connection.
-   * Falls back to querying the DB if the connection has no cached channelId.
-   * @returns {import('discord.js').TextChannel|null}
+   * Resolve every Discord text channel subscribed to this connection.
+   * Falls back to the server's pairings in the DB if no subscriber has a channel.
+   * @returns {import('discord.js').TextChannel[]}
    */
-  function resolveChannel() {
-    // Use the channelId stored on the connection object (set during /setup)
-    let channelId = connection.channelId;
-
-    // If not on the object, look it up from the DB using guildId
-    if (!channelId && connection.guildId) {
-      const pairing = getPairingForGuild(connection.guildId);
-      if (pairing) channelId = pairing.discord_channel_id;
+  function resolveChannels() {
+    let channelIds = connection.getChannelIds();
+
+    if (channelIds.length === 0) {
+      const rows = db.prepare(
+        "SELECT discord_channel_id FROM server_pairings WHERE rust_server_ip = ? AND rust_server_port = ? AND discord_channel_id != ''"
+      ).all(connection.serverIp, connection.serverPort);
+      channelIds = Array.from(new Set(rows.map((r) => r.discord_channel_id).filter(Boolean)));
     }
 
-    // As a final fallback, search all pairings by server ip:port
-    if (!channelId) {
-      const stmt = db.prepare(
-        'SELECT * FROM server_pairings WHERE rust_server_ip = ? AND rust_server_port = ? LIMIT 1'
-      );
-      const row = stmt.get(connection.serverIp, connection.serverPort);
-      if (row) channelId = row.discord_channel_id;
+    if (channelIds.length === 0) {
+      console.warn(`[Bot] No Discord channel configured for server ${serverLabel} — skipping event forward`);
+      return [];
     }
 
-    if (!channelId) {
-      console.warn(`[Bot] No Discord channel configured for server ${serverLabel} — skipping event forward`);
-      return null;
+    const channels = [];
+    for (const channelId of channelIds) {
+      const channel = client.channels.cache.get(channelId);
+      if (!channel || !channel.isTextBased()) {
+        console.warn(`[Bot] Cached channel ${channelId} not found or not text-based`);
+        continue;
+      }
+      channels.push(channel);
     }
+    return channels;
+  }
 
-    const channel = client.channels.cache.get(channelId);
-    if (!channel || !channel.isTextBased()) {
-      console.warn(`[Bot] Cached channel ${channelId} not found or not text-based`);
-      return null;
+  /**
+   * Send the same message to each channel. Failures are logged per channel.
+   * @param {import('discord.js').TextChannel[]} channels
+   * @param {object} message  — channel.send() options
+   * @param {string} what     — event name for the error log
+   */
+  function sendToChannels(channels, message, what) {
+    for (const channel of channels) {
+      channel.send(message).catch((err) =>
+        console.error(`[Bot] Failed to forward ${what} to Discord (#${channel.id}): ${err.message}`)
+      );
     }
-    return channel;
   }
 
   // -- teamChat ------------------------------------------------------------
   connection.on('teamChat', (payload) => {
-    const channel = resolveChannel();
-    if (!channel) return;
+    const channels = resolveChannels();
+    if (channels.length === 0) return;
 
     const embed = new EmbedBuilder()
       .setTitle('\uD83D\uDCAC Team Chat')
@@ -1227,15 +1874,13 @@ function wireConnectionEvents(connection) {
       .setTimestamp(payload.time ? new Date(payload.time * 1000) : new Date())
       .setFooter({ text: serverLabel });
 
-    channel.send({ embeds: [embed] }).catch((err) =>
-      console.error(`[Bot] Failed to forward teamChat to Discord: ${err.message}`)
-    );
+    sendToChannels(channels, { embeds: [embed] }, 'teamChat');
   });
 
   // -- alarmTriggered ------------------------------------------------------
   connection.on('alarmTriggered', (payload) => {
-    const channel = resolveChannel();
-    if (!channel) return;
+    const channels = resolveChannels();
+    if (channels.length === 0) return;
 
     const embed = new EmbedBuilder()
       .setTitle('\u26A0\uFE0F Alarm Triggered!')
@@ -1248,15 +1893,13 @@ function wireConnectionEvents(connection) {
       .setTimestamp();
 
     // @here goes in message content (not inside embed) so it actually pings
-    channel.send({ content: '@here', embeds: [embed] }).catch((err) =>
-      console.error(`[Bot] Failed to forward alarmTriggered to Discord: ${err.message}`)
-    );
+    sendToChannels(channels, { content: '@here', embeds: [embed] }, 'alarmTriggered');
   });
 
   // -- storageUpdated ------------------------------------------------------
   connection.on('storageUpdated', (payload) => {
-    const channel = resolveChannel();
-    if (!channel) return;
+    const channels = resolveChannels();
+    if (channels.length === 0) return;
 
     const embed = new EmbedBuilder()
       .setTitle('\uD83D\uDCE6 Storage Monitor Update')
@@ -1269,15 +1912,13 @@ function wireConnectionEvents(connection) {
       .setFooter({ text: serverLabel })
       .setTimestamp();
 
-    channel.send({ embeds: [embed] }).catch((err) =>
-      console.error(`[Bot] Failed to forward storageUpdated to Discord: ${err.message}`)
-    );
+    sendToChannels(channels, { embeds: [embed] }, 'storageUpdated');
   });
 
   // -- switchChanged -------------------------------------------------------
   connection.on('switchChanged', (payload) => {
-    const channel = resolveChannel();
-    if (!channel) return;
+    const channels = resolveChannels();
+    if (channels.length === 0) return;
 
     const stateStr = payload.value ? 'ON' : 'OFF';
 
@@ -1291,9 +1932,7 @@ function wireConnectionEvents(connection) {
       .setFooter({ text: serverLabel })
       .setTimestamp();
 
-    channel.send({ embeds: [embed] }).catch((err) =>
-      console.error(`[Bot] Failed to forward switchChanged to Discord: ${err.message}`)
-    );
+    sendToChannels(channels, { embeds: [embed] }, 'switchChanged');
   });
 
   // -- teamChat !commands --------------------------------------------------
@@ -1304,26 +1943,12 @@ function wireConnectionEvents(connection) {
 
     const cmd = text.toLowerCase().split(/\s+/)[0]; // e.g. '!cargo'
     const timers = getTimerState(connection.serverIp, connection.serverPort);
-    const rustClient = connection.getClient();
 
     // Helper to send a response — works even if timers state is not yet populated
     function reply(msg) {
-      console.log(`[Bot] reply() called: rustClient=${rustClient ? 'ok' : 'NULL'}, msg="${msg}"`);
-      try {
-        if (rustClient) {
-          rustClient.sendTeamMessage(msg, (res) => {
-            if (res && res.response && res.response.error) {
-              console.warn(`[Bot] ${cmd} reply error:`, res.response.error.error);
-            } else {
-              console.log(`[Bot] ${cmd} reply sent ok`);
-            }
-          });
-        } else {
-          console.warn(`[Bot] ${cmd} reply skipped — rustClient is null`);
-        }
-      } catch (err) {
-        console.warn(`[Bot] ${cmd} sendTeamMessage failed:`, err.message);
-      }
+      return connection.sendTeamMessage(msg)
+        .then(() => console.log(`[Bot] ${cmd} reply sent ok`))
+        .catch((err) => console.warn(`[Bot] ${cmd} reply failed:`, err.message));
     }
 
     console.log(`[Bot] Team chat command received: ${cmd} on ${connection.serverIp}:${connection.serverPort}`);
@@ -1331,24 +1956,71 @@ function wireConnectionEvents(connection) {
     if (cmd === '!banana') {
       reply('Farm Wood');
     } else if (cmd === '!cargo') {
-      reply(timers ? getSingleTimerMessage('cargo', timers.cargo) : '🚢 Cargo: unknown (bot just started)');
+      reply(getCargoStatus(connection.serverIp, connection.serverPort));
     } else if (cmd === '!heli') {
-      reply(timers ? getSingleTimerMessage('heli', timers.heli) : '🚁 Heli: unknown (bot just started)');
+      reply(timers ? getSingleTimerMessage('heli', timers.heli, connection.serverIp, connection.serverPort) : '🚁 Heli: unknown (bot just started)');
     } else if (cmd === '!bradley') {
-      reply(timers ? getSingleTimerMessage('bradley', timers.bradley) : '💥 Bradley: unknown (bot just started)');
+      reply(timers ? getSingleTimerMessage('bradley', timers.bradley, connection.serverIp, connection.serverPort) : '💥 Bradley: unknown (bot just started)');
+    } else if (cmd === '!chinook' || cmd === '!ch47') {
+      reply(timers ? getSingleTimerMessage('chinook', timers.chinook, connection.serverIp, connection.serverPort) : '\uD83D\uDE81 Chinook: unknown (bot just started)');
+    } else if (cmd === '!supply' || cmd === '!drop') {
+      reply(timers ? getSingleTimerMessage('supply', timers.supply, connection.serverIp, connection.serverPort) : '\uD83D\uDCE6 Supply Drop: unknown (bot just started)');
+    } else if (cmd === '!vendor') {
+      reply(getVendorStatus(connection.serverIp, connection.serverPort));
     } else if (cmd === '!oil' || cmd === '!oilrig') {
-      // Live query — checks actual map markers for current crate status and grid position
-      getLiveCrateStatus(connection, (msg) => reply(msg));
+      reply(getOilRigStatus(connection.serverIp, connection.serverPort));
+    } else if (cmd === '!largeoil') {
+      reply(getOilRigStatus(connection.serverIp, connection.serverPort, 'large'));
+    } else if (cmd === '!smalloil') {
+      reply(getOilRigStatus(connection.serverIp, connection.serverPort, 'small'));
     } else if (cmd === '!timers') {
       const summary = getTimerSummary(connection.serverIp, connection.serverPort);
       // Split into lines and send each as a separate message (team chat has length limits)
       const lines = summary.split('\n').filter(l => l.trim());
-      try {
-        for (const line of lines) {
-          if (rustClient) rustClient.sendTeamMessage(line);
-        }
-      } catch (err) {
-        console.warn('[Bot] !timers sendTeamMessage failed:', err.message);
+      for (const line of lines) reply(line);
+    } else if (cmd === '!booms') {
+      const lines = getHotspotSummary(connection.serverIp, connection.serverPort).split('\n');
+      for (const line of lines) reply(line);
+    } else if (cmd === '!time') {
+      reply(getTimeSummary(connection.serverIp, connection.serverPort));
+    } else if (cmd === '!map') {
+      // Team chat can't show images — render and post to the linked Discord channel(s)
+      const square   = text.split(/\s+/)[1] || null;
+      const channels = resolveChannels();
+      if (channels.length === 0) {
+        reply('\uD83D\uDDFA\uFE0F No Discord channel linked to post the map to.');
+        return;
+      }
+      renderServerMap(connection, { square }).then((png) => {
+        const embed = new EmbedBuilder()
+          .setTitle(square ? `\uD83D\uDDFA\uFE0F Map \u2014 ${square.toUpperCase()}` : '\uD83D\uDDFA\uFE0F Server Map')
+          .setDescription(`Requested in team chat by ${payload.playerName || payload.steamId}`)
+          .setImage('attachment://map.png')
+          .setColor(0x5865F2)
+          .setFooter({ text: serverLabel })
+          .setTimestamp();
+        sendToChannels(channels, {
+          embeds: [embed],
+          files:  [new AttachmentBuilder(png, { name: 'map.png' })],
+        }, '!map');
+        reply('\uD83D\uDDFA\uFE0F Map posted to Discord.');
+      }).catch((e) => {
+        console.error('[Bot] !map error:', e.message);
+        reply(`\uD83D\uDDFA\uFE0F Map failed: ${e.message}`);
+      });
+    } else if (cmd === '!shop') {
+      const query = text.slice('!shop'.length).trim();
+      if (!query) {
+        reply('Usage: !shop <item> — e.g. !shop c4, !shop hqm');
+        return;
+      }
+      const result = searchMarket(connection.serverIp, connection.serverPort, query);
+      if (result.itemIds.length === 0) {
+        reply(`Unknown item "${query}".`);
+      } else if (result.orders.length === 0) {
+        reply(`\uD83D\uDED2 Nobody is selling "${query}" right now.`);
+      } else {
+        for (const order of result.orders.slice(0, 3)) reply(`\uD83D\uDED2 ${formatOrder(order)}`);
       }
     } else if (cmd === '!raid') {
       const target = text.slice('!raid'.length).trim();
@@ -1501,23 +2173,28 @@ function wireConnectionEvents(connection) {
   });
 
   // -- spawn (map marker appeared) -----------------------------------------
-  // Emitted by mapPoller when a tracked entity spawns on the map.
+  // Emitted by mapPoller when a tracked entity spawns on the map (not Oil
+  // Rig — its Chinook arrival comes as 'oilRigPhase').
   connection.on('spawn', (payload) => {
-    const channel = resolveChannel();
-    if (!channel) return;
+    const channels = resolveChannels();
+    if (channels.length === 0) return;
 
     const titles = {
       cargo:   '\uD83D\uDEA2 Cargo Ship Spawned',
       heli:    '\uD83D\uDE81 Patrol Helicopter Incoming',
       bradley: '\uD83D\uDCA5 Bradley APC Active',
-      oilrig:  '\uD83D\uDEE2\uFE0F Oil Rig Locked',
+      chinook: '\uD83D\uDE81 Chinook Crate Drop',
+      supply:  '\uD83D\uDCE6 Supply Drop',
+      vendor:  '\uD83D\uDED2 Travelling Vendor Arrived',
     };
 
     const descriptions = {
       cargo:   'Cargo Ship has appeared on the map!',
       heli:    'Patrol Helicopter is incoming!',
       bradley: 'Bradley APC is active at Launch Site!',
-      oilrig:  'Oil Rig is locked — scientists have been called!',
+      chinook: 'A Chinook is dropping a locked crate at a monument!',
+      supply:  'A supply drop is on its way down!',
+      vendor:  'The Travelling Vendor is on the road — `!vendor` shows where.',
     };
 
     const title = titles[payload.event]   || `${payload.event} spawned`;
@@ -1531,22 +2208,27 @@ function wireConnectionEvents(connection) {
       .setFooter({ text: serverLabel })
       .setTimestamp();
 
-    channel.send({ embeds: [embed] }).catch((err) =>
-      console.error(`[Bot] Failed to forward spawn event to Discord: ${err.message}`)
-    );
+    if (payload.location) {
+      embed.addFields({ name: 'Location', value: payload.location, inline: true });
+    }
+
+    sendToChannels(channels, { embeds: [embed] }, 'spawn event');
   });
 
   // -- despawn (map marker disappeared) ------------------------------------
   // Emitted by mapPoller when a tracked entity despawns from the map.
   connection.on('despawn', (payload) => {
-    const channel = resolveChannel();
-    if (!channel) return;
+    const channels = resolveChannels();
+    if (channels.length === 0) return;
 
     const titles = {
       cargo:   '\uD83D\uDEA2 Cargo Ship Left',
       heli:    '\uD83D\uDE81 Patrol Helicopter Gone',
       bradley: '\uD83D\uDCA5 Bradley APC Destroyed',
       oilrig:  '\uD83D\uDEE2\uFE0F Oil Rig Crate Gone',
+      chinook: '\uD83D\uDE81 Chinook Crate Gone',
+      supply:  '\uD83D\uDCE6 Supply Drop Gone',
+      vendor:  '\uD83D\uDED2 Travelling Vendor Left',
     };
 
     const descriptions = {
@@ -1554,6 +2236,9 @@ function wireConnectionEvents(connection) {
       heli:    'Patrol Helicopter has been destroyed or left the map.',
       bradley: 'Bradley APC has been destroyed. Respawns in ~30 min.',
       oilrig:  'Oil Rig crate has been looted or timed out.',
+      chinook: 'The Chinook\'s locked crate has been looted or timed out.',
+      supply:  'The supply drop has been looted or despawned.',
+      vendor:  'The Travelling Vendor has left the map.',
     };
 
     const title = titles[payload.event]   || `${payload.event} despawned`;
@@ -1567,14 +2252,530 @@ function wireConnectionEvents(connection) {
       .setFooter({ text: serverLabel })
       .setTimestamp();
 
-    channel.send({ embeds: [embed] }).catch((err) =>
-      console.error(`[Bot] Failed to forward despawn event to Discord: ${err.message}`)
+    sendToChannels(channels, { embeds: [embed] }, 'despawn event');
+  });
+
+  // -- raidAlert --------------------------------------------------------------
+  // Emitted by mapPoller for an explosion inside a saved base's radius. The
+  // alert goes to the channel of the pairing that saved the base. The first
+  // hit and every escalation ping @here with a new message; hits in between
+  // edit that message in place.
+
+  /** @type {Map<number, { startedAt: number, message: Promise<object|null> }>} base id → current raid message */
+  const raidMessages = new Map();
+
+  connection.on('raidAlert', (payload) => {
+    const channel = client.channels.cache.get(payload.base.discord_channel_id);
+    if (!channel || !channel.isTextBased()) {
+      console.warn(`[Bot] No Discord channel for raid alert on base "${payload.base.name}"`);
+      return;
+    }
+
+    const colors = { possible: 0xFEE75C, raid: 0xED4245, heavy: 0x992D22 };
+    const embed = new EmbedBuilder()
+      .setTitle(`\uD83D\uDEA8 ${payload.label} \u2014 ${payload.base.name}`)
+      .setDescription(
+        `Explosion at **${payload.location}**, ${Math.round(payload.distance)}m from base **${payload.base.name}**.`
+      )
+      .addFields(
+        { name: 'Hits',    value: String(payload.hits), inline: true },
+        { name: 'Started', value: `<t:${Math.floor(payload.startedAt.getTime() / 1000)}:R>`, inline: true }
+      )
+      .setColor(colors[payload.level] || 0xED4245)
+      .setFooter({ text: serverLabel })
+      .setTimestamp(payload.time);
+
+    const startedAt = payload.startedAt.getTime();
+    const current   = raidMessages.get(payload.base.id);
+
+    if (payload.escalated || !current || current.startedAt !== startedAt) {
+      raidMessages.set(payload.base.id, {
+        startedAt,
+        message: channel.send({ content: '@here', embeds: [embed] }).catch((err) => {
+          console.error(`[Bot] Failed to forward raidAlert to Discord (#${channel.id}): ${err.message}`);
+          return null;
+        }),
+      });
+      return;
+    }
+
+    // Chained, so hits that arrive before the send resolves are applied in order
+    current.message = current.message.then((sent) => sent && sent.edit({ embeds: [embed] }).then(
+      () => sent,
+      (err) => {
+        console.error(`[Bot] Failed to update raidAlert in Discord (#${channel.id}): ${err.message}`);
+        return sent;
+      }
+    ));
+  });
+
+  // -- heliApproaching ------------------------------------------------------
+  // Emitted by mapPoller when the patrol heli's projected path crosses a saved
+  // base or a team member. Base warnings go to the base's pairing channel;
+  // team member warnings go to every linked channel.
+  connection.on('heliApproaching', (payload) => {
+    /** @type {Map<string, { channel: object, lines: string[] }>} */
+    const byChannel = new Map();
+    const addLine = (channel, line) => {
+      if (!byChannel.has(channel.id)) byChannel.set(channel.id, { channel, lines: [] });
+      byChannel.get(channel.id).lines.push(line);
+    };
+
+    for (const w of payload.warnings) {
+      const eta = `~${w.etaSeconds}s away, coming from the **${w.from}**`;
+      if (w.target.type === 'base') {
+        const channel = client.channels.cache.get(w.target.base.discord_channel_id);
+        if (channel && channel.isTextBased()) addLine(channel, `\uD83C\uDFE0 Base **${w.target.name}** — ${eta}`);
+      } else {
+        for (const channel of resolveChannels()) addLine(channel, `\uD83D\uDC64 **${w.target.name}** — ${eta}`);
+      }
+    }
+
+    for (const { channel, lines } of byChannel.values()) {
+      const embed = new EmbedBuilder()
+        .setTitle('\uD83D\uDE81 Patrol Heli Approaching')
+        .setDescription(lines.join('\n'))
+        .addFields(
+          { name: 'Heli at', value: payload.location, inline: true },
+          { name: 'Heading', value: payload.heading, inline: true }
+        )
+        .setColor(0xE67E22)
+        .setFooter({ text: serverLabel })
+        .setTimestamp(payload.time);
+      sendToChannels([channel], { embeds: [embed] }, 'heliApproaching');
+    }
+  });
+
+  // -- cargoPhase ------------------------------------------------------------
+  // Emitted by mapPoller as Cargo Ship enters the map, docks, undocks and is
+  // about to leave.
+  connection.on('cargoPhase', (payload) => {
+    const channels = resolveChannels();
+    if (channels.length === 0) return;
+
+    const titles = {
+      entered:     'Cargo Ship Entered the Map',
+      docked:      `Cargo Ship Docked at ${payload.harbor}`,
+      undocked:    `Cargo Ship Left ${payload.harbor}`,
+      leavingSoon: 'Cargo Ship Leaving Soon',
+    };
+
+    const embed = new EmbedBuilder()
+      .setTitle(`\uD83D\uDEA2 ${titles[payload.phase] || 'Cargo Ship'}`)
+      .setDescription(`Cargo Ship is at **${payload.location}**.`)
+      .setColor(0x3498DB)
+      .setFooter({ text: serverLabel })
+      .setTimestamp(payload.time);
+
+    if (payload.leavesAt) {
+      embed.addFields({
+        name: 'Leaves', value: `<t:${Math.floor(payload.leavesAt.getTime() / 1000)}:R> (estimate)`, inline: true,
+      });
+    }
+
+    sendToChannels(channels, { embeds: [embed] }, 'cargoPhase');
+  });
+
+  // -- oilRigPhase -----------------------------------------------------------
+  // Emitted by mapPoller as Large / Small Oil Rig go through Chinook arrival,
+  // scientists dropped, crate locked and crate unlocked.
+  connection.on('oilRigPhase', (payload) => {
+    const channels = resolveChannels();
+    if (channels.length === 0) return;
+
+    const titles = {
+      chinook:    'Chinook Arriving',
+      scientists: 'Scientists Dropped',
+      locked:     'Crate Locked',
+      unlocked:   'Crate Unlocked',
+    };
+
+    const embed = new EmbedBuilder()
+      .setTitle(`\uD83D\uDEE2\uFE0F ${payload.label} \u2014 ${titles[payload.phase] || payload.phase}`)
+      .setDescription(`**${payload.location}**`)
+      .setColor(payload.phase === 'unlocked' ? 0x57F287 : 0xE67E22)
+      .setFooter({ text: serverLabel })
+      .setTimestamp(payload.time);
+
+    if (payload.unlocksAt && payload.phase === 'locked') {
+      embed.addFields({
+        name: 'Unlocks', value: `<t:${Math.floor(payload.unlocksAt.getTime() / 1000)}:R>`, inline: true,
+      });
+    }
+
+    sendToChannels(channels, { embeds: [embed] }, 'oilRigPhase');
+  });
+
+  // -- vendorStopped ---------------------------------------------------------
+  // Emitted by mapPoller when the Travelling Vendor stops to trade. Its grid
+  // changes ('vendorMoved') are too frequent for Discord — see !vendor.
+  connection.on('vendorStopped', (payload) => {
+    const channels = resolveChannels();
+    if (channels.length === 0) return;
+
+    const embed = new EmbedBuilder()
+      .setTitle('\uD83D\uDED2 Travelling Vendor Stopped')
+      .setDescription(`The Travelling Vendor has stopped at **${payload.location}**.`)
+      .setColor(0x57F287)
+      .setFooter({ text: serverLabel })
+      .setTimestamp();
+
+    if (payload.route.length > 1) {
+      embed.addFields({ name: 'Route', value: payload.route.join(' \u2192 '), inline: false });
+    }
+
+    sendToChannels(channels, { embeds: [embed] }, 'vendorStopped');
+  });
+
+  // -- team events (member online / offline / died / respawned, leader) ----
+  // Emitted by teamPoller. Always posted to Discord; echoed to team chat too
+  // when TEAM_EVENTS_TO_TEAM_CHAT=true (teammates already get most of these
+  // in-game, so it is off by default).
+  const teamEvents = {
+    memberOnline: {
+      color: 0x57F287,
+      text:  (p) => `\uD83D\uDFE2 ${p.name} came online`,
+    },
+    memberOffline: {
+      color: 0x99AAB5,
+      text:  (p) => `\u26AB ${p.name} went offline`,
+    },
+    memberDied: {
+      color: 0xED4245,
+      text:  (p) => `\uD83D\uDC80 ${p.name} died @ ${p.location}`,
+    },
+    memberRespawned: {
+      color: 0x5865F2,
+      text:  (p) => `\uD83D\uDD04 ${p.name} respawned`,
+    },
+    leaderChanged: {
+      color: 0xFEE75C,
+      text:  (p) => `\uD83D\uDC51 ${p.name} is now team leader`,
+    },
+  };
+
+  const echoToTeamChat = process.env.TEAM_EVENTS_TO_TEAM_CHAT === 'true';
+
+  for (const [eventName, def] of Object.entries(teamEvents)) {
+    connection.on(eventName, (payload) => {
+      const text = def.text(payload);
+
+      if (echoToTeamChat && connection.isConnected()) {
+        connection.sendTeamMessage(text, { priority: PRIORITY.EVENT }).catch((err) =>
+          console.warn(`[Bot] Failed to echo ${eventName} to team chat: ${err.message}`)
+        );
+      }
+
+      const channels = resolveChannels();
+      if (channels.length === 0) return;
+
+      const embed = new EmbedBuilder()
+        .setDescription(text)
+        .setColor(def.color)
+        .setFooter({ text: serverLabel })
+        .setTimestamp(payload.time || new Date());
+
+      sendToChannels(channels, { embeds: [embed] }, eventName);
+    });
+  }
+
+  // -- day / night transitions ---------------------------------------------
+  // Emitted by timePoller. The night warning also goes to team chat so
+  // players in-game get it without watching Discord.
+  connection.on('nightApproaching', (payload) => {
+    const text = `\uD83C\uDF05 Night falls in ~${payload.minutesUntilDark} min`;
+
+    if (connection.isConnected()) {
+      connection.sendTeamMessage(text, { priority: PRIORITY.EVENT }).catch((err) =>
+        console.warn(`[Bot] Failed to send night warning to team chat: ${err.message}`)
+      );
+    }
+
+    const channels = resolveChannels();
+    if (channels.length === 0) return;
+
+    const embed = new EmbedBuilder()
+      .setDescription(text)
+      .setColor(0xE67E22)
+      .setFooter({ text: serverLabel })
+      .setTimestamp();
+
+    sendToChannels(channels, { embeds: [embed] }, 'nightApproaching');
+  });
+
+  for (const [eventName, text, color] of [
+    ['nightStarted', '\uD83C\uDF19 Night has fallen', 0x2C2F33],
+    ['dayStarted',   '\u2600\uFE0F The sun is up',    0xFEE75C],
+  ]) {
+    connection.on(eventName, () => {
+      const channels = resolveChannels();
+      if (channels.length === 0) return;
+
+      const embed = new EmbedBuilder()
+        .setDescription(text)
+        .setColor(color)
+        .setFooter({ text: serverLabel })
+        .setTimestamp();
+
+      sendToChannels(channels, { embeds: [embed] }, eventName);
+    });
+  }
+
+  // -- wipeDetected ---------------------------------------------------------
+  // Emitted by serverInfoPoller when the server's wipe time moves forward.
+  connection.on('wipeDetected', (payload) => {
+    const channels = resolveChannels();
+    if (channels.length === 0) return;
+
+    const wipedAt = Math.floor(payload.wipeTime.getTime() / 1000);
+    const lines = [
+      `The server wiped <t:${wipedAt}:R> (<t:${wipedAt}:f>).`,
+      'Event timers have been reset.',
+    ];
+    if (payload.devicesGone > 0) {
+      lines.push(`${payload.devicesGone} paired device(s) from the last wipe are marked unreachable — re-pair them in-game.`);
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle('\uD83E\uDDF9 Server Wiped')
+      .setDescription(lines.join('\n'))
+      .setColor(0xFEE75C)
+      .setFooter({ text: serverLabel })
+      .setTimestamp();
+
+    sendToChannels(channels, { embeds: [embed] }, 'wipeDetected');
+  });
+
+  // -- shopWatchMatched -------------------------------------------------------
+  // Emitted by marketPoller when a vending machine order satisfies a /watch.
+  // Watches belong to one guild, so the Discord alert goes only to that
+  // guild's channel for this server rather than every subscribed channel.
+  connection.on('shopWatchMatched', ({ watch, order }) => {
+    const text =
+      `\uD83D\uDD14 Watch #${watch.id}: ${formatOrder(order)}` +
+      (order.quantity > 1 ? ` (${formatUnitPrice(order.unitPrice)} each)` : '');
+
+    if (watch.notify !== 'discord' && connection.isConnected()) {
+      connection.sendTeamMessage(text, { priority: PRIORITY.EVENT }).catch((err) =>
+        console.warn(`[Bot] Failed to send shop watch alert to team chat: ${err.message}`)
+      );
+    }
+
+    if (watch.notify === 'team') return;
+
+    const rows = db.prepare(
+      `SELECT DISTINCT discord_channel_id FROM server_pairings
+       WHERE discord_guild_id = ? AND rust_server_ip = ? AND rust_server_port = ? AND discord_channel_id != ''`
+    ).all(watch.discord_guild_id, connection.serverIp, connection.serverPort);
+
+    const channels = rows
+      .map((r) => client.channels.cache.get(r.discord_channel_id))
+      .filter((channel) => channel && channel.isTextBased());
+    if (channels.length === 0) {
+      console.warn(`[Bot] No Discord channel for shop watch #${watch.id} in guild ${watch.discord_guild_id}`);
+      return;
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(`\uD83D\uDD14 ${order.itemName} for sale`)
+      .setDescription(
+        `${order.shopName ? `**${order.shopName}**` : 'A shop'} at **${order.location}** is selling ` +
+        `${order.quantity}\u00D7 ${order.itemName} for ${order.costPerItem} ${order.currencyName}.`
+      )
+      .addFields(
+        { name: 'Price each', value: `${formatUnitPrice(order.unitPrice)} ${order.currencyName}`, inline: true },
+        { name: 'Stock',      value: `${order.amountInStock}`, inline: true },
+        { name: 'Watch',      value: `#${watch.id} (\u2264 ${formatUnitPrice(watch.max_price)})`, inline: true }
+      )
+      .setColor(0x57F287)
+      .setFooter({ text: serverLabel })
+      .setTimestamp();
+
+    sendToChannels(channels, { embeds: [embed] }, 'shopWatchMatched');
+  });
+
+  // -- token failover --------------------------------------------------------
+  // Emitted when the server rejects the current account's Rust+ token and the
+  // connection switches to the next account on the pairing's token list.
+  connection.on('tokenFailover', (payload) => {
+    const channels = resolveChannels();
+    if (channels.length === 0) return;
+
+    const account = payload.playerName
+      ? `${payload.playerName} (\`${payload.steamId}\`)`
+      : `\`${payload.steamId}\``;
+
+    const embed = new EmbedBuilder()
+      .setTitle('\uD83D\uDD11 Rust+ Account Switched')
+      .setDescription(
+        `The server rejected the token of \`${payload.previousSteamId}\` (${payload.reason}).\n` +
+        `Now connected as ${account}.`
+      )
+      .setColor(0xFEE75C)
+      .setFooter({ text: serverLabel })
+      .setTimestamp();
+
+    sendToChannels(channels, { embeds: [embed] }, 'tokenFailover');
+  });
+
+  connection.on('authFailed', (payload) => {
+    const channels = resolveChannels();
+    if (channels.length === 0) return;
+
+    const embed = new EmbedBuilder()
+      .setTitle('\u26D4 Rust+ Authentication Failed')
+      .setDescription(
+        `Every linked account was rejected by the server (last: \`${payload.steamId}\`, ${payload.reason}).\n` +
+        'A team member needs to pair with the server in-game to restore the connection, ' +
+        'or use /reconnect to retry the existing tokens.'
+      )
+      .setColor(0xED4245)
+      .setFooter({ text: serverLabel })
+      .setTimestamp();
+
+    sendToChannels(channels, { embeds: [embed] }, 'authFailed');
+  });
+
+  // -- connection lifecycle -------------------------------------------------
+  // Lost / reconnect attempt embeds share a per-connection throttle; 'back
+  // online' is only posted when the outage itself was announced, and
+  // 'parked' always goes out. Nothing is posted during the startup mute.
+  const lifecycle = {
+    downSince:     null,  // ms timestamp of the first unplanned disconnect
+    announcedDown: false, // a lost / parked embed went out for this outage
+    lastSentAt:    0,     // ms timestamp of the last throttled embed
+  };
+
+  /**
+   * Post a status embed to every subscribed channel.
+   * @param {string}  title
+   * @param {string}  description
+   * @param {number}  color
+   * @param {string}  what       — event name for the error log
+   * @param {boolean} throttled  — subject to STATUS_THROTTLE_MS
+   * @returns {boolean} true if the embed was sent
+   */
+  function sendStatus(title, description, color, what, throttled) {
+    if (isStatusMuted()) return false;
+    if (throttled && Date.now() - lifecycle.lastSentAt < STATUS_THROTTLE_MS) return false;
+
+    const channels = resolveChannels();
+    if (channels.length === 0) return false;
+
+    const embed = new EmbedBuilder()
+      .setTitle(title)
+      .setDescription(description)
+      .setColor(color)
+      .setFooter({ text: serverLabel })
+      .setTimestamp();
+
+    sendToChannels(channels, { embeds: [embed] }, what);
+    if (throttled) lifecycle.lastSentAt = Date.now();
+    return true;
+  }
+
+  connection.on('disconnected', (payload) => {
+    if (payload.intentional) return;
+    if (lifecycle.downSince === null) lifecycle.downSince = Date.now();
+
+    if (sendStatus(
+      '\uD83D\uDD0C Rust+ Connection Lost',
+      'The bridge lost its connection to the server — alarms and events are paused until it reconnects.',
+      0xED4245, 'disconnected', true
+    )) {
+      lifecycle.announcedDown = true;
+    }
+  });
+
+  connection.on('reconnecting', (payload) => {
+    if (sendStatus(
+      '\uD83D\uDD04 Rust+ Reconnecting',
+      `Reconnect attempt ${payload.attempt} in ${Math.round(payload.delayMs / 1000)}s.`,
+      0xFEE75C, 'reconnecting', true
+    )) {
+      lifecycle.announcedDown = true;
+    }
+  });
+
+  connection.on('connected', () => {
+    const downSince = lifecycle.downSince;
+    const announced = lifecycle.announcedDown;
+    lifecycle.downSince     = null;
+    lifecycle.announcedDown = false;
+    if (downSince === null || !announced) return;
+
+    sendStatus(
+      '\u2705 Rust+ Back Online',
+      `Connection restored after ${formatDowntime(Date.now() - downSince)}.`,
+      0x57F287, 'connected', false
     );
   });
 
+  // The backoff retries ran out; the connection keeps retrying slowly.
+  connection.on('parked', (payload) => {
+    if (lifecycle.downSince === null) lifecycle.downSince = Date.now();
+    if (sendStatus(
+      '\uD83C\uDD7F\uFE0F Rust+ Connection Parked',
+      `The server did not answer after ${payload.attempts} attempts.\n` +
+      `Retrying every ~${Math.round(payload.delayMs / 60000)} min — use /reconnect to try now.`,
+      0xFEE75C, 'parked', false
+    )) {
+      lifecycle.announcedDown = true;
+    }
+  });
+
   console.log(`[Bot] Event forwarding wired for connection ${serverLabel}`);
 }
 
+// ---------------------------------------------------------------------------
+// Device pairing prompt — called by fcmListener.js
+// ---------------------------------------------------------------------------
+
+/** Friendly labels for devices.device_type values. */
+const DEVICE_TYPE_LABELS = {
+  switch:          'Smart Switch',
+  alarm:           'Smart Alarm',
+  storage_monitor: 'Storage Monitor',
+};
+
+/**
+ * Post a "new device paired" embed asking the team to name it with /rename.
+ *
+ * @param {string} channelId
+ * @param {{ entity_id: string, device_type: string, name: string|null }} device
+ * @param {string} serverName
+ * @returns {Promise<void>}
+ */
+async function promptDeviceName(channelId, device, serverName) {
+  if (!client.isReady()) return;
+
+  const channel = await client.channels.fetch(channelId).catch(() => null);
+  if (!channel || !channel.isTextBased()) {
+    console.warn(`[Bot] Channel ${channelId} not found or not text-based — skipping device prompt`);
+    return;
+  }
+
+  const label = DEVICE_TYPE_LABELS[device.device_type] || device.device_type || 'Device';
+
+  const embed = new EmbedBuilder()
+    .setTitle(`\uD83D\uDD0C New ${label} Paired`)
+    .setColor(0x5865F2)
+    .setDescription(
+      device.name
+        ? `Re-paired **${device.name}**. Use \`/rename entity_id:${device.entity_id} name:<name>\` to change its name.`
+        : `Give it a name so it can be used with /switch, /alarm and /storage:\n` +
+          `\`/rename entity_id:${device.entity_id} name:<name>\``
+    )
+    .addFields(
+      { name: 'Entity ID', value: `\`${device.entity_id}\``, inline: true },
+      { name: 'Type', value: label, inline: true }
+    )
+    .setFooter({ text: serverName })
+    .setTimestamp();
+
+  await channel.send({ embeds: [embed] });
+}
+
 // ---------------------------------------------------------------------------
 // Slash command registration via Discord REST API
 // ---------------------------------------------------------------------------
@@ -1695,4 +2896,5 @@ module.exports = {
   client,
   wireConnectionEvents,
   getPairingForGuild,
+  promptDeviceName,
 };
@@ -0,0 +1,71 @@
+// src/browser/index.js
+// MyRustLink — Shared headless Chromium (Puppeteer).
+//
+// The moose.gg stats scraper and the map renderer both drive one browser
+// instance, launched on first use and relaunched if it crashes or is closed.
+// The launch promise is stored rather than the browser, so callers that ask
+// while a launch is still in progress wait for that launch instead of
+// starting another Chromium.
+//
+// Public API:
+//   getBrowser()    → Promise<import('puppeteer').Browser>
+//   closeBrowser()  → Promise<void>
+
+'use strict';
+
+/** @type {Promise<import('puppeteer').Browser>|null} */
+let _browserPromise = null;
+
+// ---------------------------------------------------------------------------
+// Browser lifecycle
+// ---------------------------------------------------------------------------
+
+/**
+ * The shared browser, launching it if none is running.
+ * @returns {Promise<import('puppeteer').Browser>}
+ */
+function getBrowser() {
+  if (_browserPromise) return _browserPromise;
+
+  const puppeteer = require('puppeteer');
+  const launching = puppeteer.launch({
+    headless: 'new',
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+    ],
+  }).then((browser) => {
+    browser.on('disconnected', () => {
+      if (_browserPromise === launching) _browserPromise = null;
+    });
+    return browser;
+  }, (err) => {
+    // Let the next caller try again
+    if (_browserPromise === launching) _browserPromise = null;
+    throw err;
+  });
+
+  _browserPromise = launching;
+  return launching;
+}
+
+/**
+ * Close the shared browser, if one is running or launching.
+ * @returns {Promise<void>}
+ */
+async function closeBrowser() {
+  const launching = _browserPromise;
+  if (!launching) return;
+  _browserPromise = null;
+
+  const browser = await launching.catch(() => null);
+  if (browser) await browser.close().catch(() => {});
+}
+
+// ---------------------------------------------------------------------------
+// Module exports
+// ---------------------------------------------------------------------------
+
+module.exports = { getBrowser, closeBrowser };
@@ -87,6 +87,237 @@ db.exec(`
     created_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(bm_server_id, bm_player_id)
   );
+
+  -- One row per wipe seen on a server; the latest row is the current wipe.
+  -- Per-wipe history (snapshots, prices, ...) hangs off wipe_time.
+  CREATE TABLE IF NOT EXISTS server_wipes (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    rust_server_ip    TEXT NOT NULL,
+    rust_server_port  INTEGER NOT NULL,
+    wipe_time         INTEGER NOT NULL,
+    detected_at       DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(rust_server_ip, rust_server_port, wipe_time)
+  );
+
+  CREATE TABLE IF NOT EXISTS server_info_snapshots (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    rust_server_ip    TEXT NOT NULL,
+    rust_server_port  INTEGER NOT NULL,
+    wipe_time         INTEGER,
+    name              TEXT,
+    players           INTEGER,
+    max_players       INTEGER,
+    queued_players    INTEGER,
+    map_size          INTEGER,
+    seed              INTEGER,
+    captured_at       DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_server_info_snapshots_server
+    ON server_info_snapshots(rust_server_ip, rust_server_port, captured_at);
+
+  -- Ranked Steam accounts whose Rust+ tokens a pairing may connect with.
+  -- Lowest rank is tried first; the token itself lives in users.rust_plus_token.
+  CREATE TABLE IF NOT EXISTS pairing_tokens (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    pairing_id        INTEGER NOT NULL,
+    user_steam_id     TEXT NOT NULL,
+    rank              INTEGER NOT NULL DEFAULT 0,
+    last_failure      TEXT,
+    last_failure_at   DATETIME,
+    created_at        DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(pairing_id, user_steam_id),
+    FOREIGN KEY (pairing_id) REFERENCES server_pairings(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_steam_id) REFERENCES users(steam_id)
+  );
+
+  -- Latest vending machine snapshot per server (replaced on every snapshot).
+  -- One row per sell order; amount_in_stock is the number of trades left.
+  CREATE TABLE IF NOT EXISTS market_orders (
+    id                    INTEGER PRIMARY KEY AUTOINCREMENT,
+    rust_server_ip        TEXT NOT NULL,
+    rust_server_port      INTEGER NOT NULL,
+    shop_id               INTEGER NOT NULL,
+    shop_name             TEXT,
+    x                     REAL,
+    y                     REAL,
+    item_id               INTEGER NOT NULL,
+    quantity              INTEGER NOT NULL,
+    currency_id           INTEGER NOT NULL,
+    cost_per_item         INTEGER NOT NULL,
+    amount_in_stock       INTEGER NOT NULL DEFAULT 0,
+    item_is_blueprint     INTEGER NOT NULL DEFAULT 0,
+    currency_is_blueprint INTEGER NOT NULL DEFAULT 0,
+    captured_at           DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_market_orders_item
+    ON market_orders(rust_server_ip, rust_server_port, item_id);
+
+  -- Per-wipe price history: a row whenever an item is listed, its lowest
+  -- unit price changes, or it sells out (sellers = 0, min_unit_price NULL).
+  CREATE TABLE IF NOT EXISTS market_price_history (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    rust_server_ip    TEXT NOT NULL,
+    rust_server_port  INTEGER NOT NULL,
+    wipe_time         INTEGER,
+    item_id           INTEGER NOT NULL,
+    item_is_blueprint INTEGER NOT NULL DEFAULT 0,
+    currency_id       INTEGER NOT NULL,
+    min_unit_price    REAL,
+    total_stock       INTEGER NOT NULL DEFAULT 0,
+    sellers           INTEGER NOT NULL DEFAULT 0,
+    captured_at       DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_market_price_history_item
+    ON market_price_history(rust_server_ip, rust_server_port, wipe_time, item_id);
+
+  -- Last known state of each map event timer (cargo, heli, ...) per server,
+  -- so /timers survives restarts. Times are unix seconds.
+  CREATE TABLE IF NOT EXISTS event_timers (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    rust_server_ip    TEXT NOT NULL,
+    rust_server_port  INTEGER NOT NULL,
+    event             TEXT NOT NULL,
+    active            INTEGER NOT NULL DEFAULT 0,
+    spawned_at        INTEGER,
+    despawned_at      INTEGER,
+    location          TEXT,
+    updated_at        DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(rust_server_ip, rust_server_port, event)
+  );
+
+  -- Every spawn / despawn the map poller has seen, for learning each server's
+  -- respawn windows. kind: 'spawn' | 'despawn' | 'reset' (wipe — history
+  -- before it is not paired with spawns after it). approximate = 1 when the
+  -- change happened while the bot was down and occurred_at is only a bound.
+  CREATE TABLE IF NOT EXISTS event_history (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    rust_server_ip    TEXT NOT NULL,
+    rust_server_port  INTEGER NOT NULL,
+    event             TEXT NOT NULL,
+    kind              TEXT NOT NULL,
+    occurred_at       INTEGER NOT NULL,
+    approximate       INTEGER NOT NULL DEFAULT 0
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_event_history_event
+    ON event_history(rust_server_ip, rust_server_port, event, occurred_at);
+
+  -- Every explosion marker seen, per wipe. Times are unix seconds; last_seen
+  -- is extended while the marker stays on the map. Non-Bradley explosions
+  -- are grouped into explosion_clusters (raid hotspots) by position.
+  CREATE TABLE IF NOT EXISTS explosions (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    rust_server_ip    TEXT NOT NULL,
+    rust_server_port  INTEGER NOT NULL,
+    wipe_time         INTEGER,
+    marker_id         INTEGER,
+    kind              TEXT NOT NULL,
+    x                 REAL NOT NULL,
+    y                 REAL NOT NULL,
+    first_seen        INTEGER NOT NULL,
+    last_seen         INTEGER NOT NULL,
+    cluster_id        INTEGER
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_explosions_wipe
+    ON explosions(rust_server_ip, rust_server_port, wipe_time);
+
+  CREATE TABLE IF NOT EXISTS explosion_clusters (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    rust_server_ip    TEXT NOT NULL,
+    rust_server_port  INTEGER NOT NULL,
+    wipe_time         INTEGER,
+    x                 REAL NOT NULL,
+    y                 REAL NOT NULL,
+    first_seen        INTEGER NOT NULL,
+    last_seen         INTEGER NOT NULL,
+    explosions        INTEGER NOT NULL DEFAULT 0
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_explosion_clusters_wipe
+    ON explosion_clusters(rust_server_ip, rust_server_port, wipe_time, last_seen);
+
+  -- Saved base locations per pairing (world coordinates). Explosions within
+  -- radius of a base raise a raid alert in the pairing's channel.
+  CREATE TABLE IF NOT EXISTS bases (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    pairing_id  INTEGER NOT NULL,
+    name        TEXT NOT NULL,
+    x           REAL NOT NULL,
+    y           REAL NOT NULL,
+    radius      REAL NOT NULL DEFAULT 100,
+    added_by    TEXT,
+    created_at  DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(pairing_id, name COLLATE NOCASE),
+    FOREIGN KEY (pairing_id) REFERENCES server_pairings(id) ON DELETE CASCADE
+  );
+
+  -- Shop watchlist: alert a guild when an item is sold at or under max_price
+  -- (unit price in currency_id). notify: 'discord' | 'team' | 'both'.
+  CREATE TABLE IF NOT EXISTS shop_watches (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    discord_guild_id  TEXT NOT NULL,
+    rust_server_ip    TEXT NOT NULL,
+    rust_server_port  INTEGER NOT NULL,
+    item_id           INTEGER NOT NULL,
+    currency_id       INTEGER NOT NULL,
+    max_price         REAL NOT NULL,
+    notify            TEXT NOT NULL DEFAULT 'discord',
+    added_by          TEXT,
+    created_at        DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(discord_guild_id, rust_server_ip, rust_server_port, item_id, currency_id)
+  );
+
+  -- Orders a watch has already alerted on. A row lives as long as the order
+  -- is listed, so a re-listed deal alerts again.
+  CREATE TABLE IF NOT EXISTS shop_watch_alerts (
+    id             INTEGER PRIMARY KEY AUTOINCREMENT,
+    watch_id       INTEGER NOT NULL,
+    shop_id        INTEGER NOT NULL,
+    item_id        INTEGER NOT NULL,
+    quantity       INTEGER NOT NULL,
+    currency_id    INTEGER NOT NULL,
+    cost_per_item  INTEGER NOT NULL,
+    alerted_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(watch_id, shop_id, item_id, quantity, currency_id, cost_per_item),
+    FOREIGN KEY (watch_id) REFERENCES shop_watches(id) ON DELETE CASCADE
+  );
+`);
+
+// ---------------------------------------------------------------------------
+// Column migrations — for columns added after a table was first created.
+// CREATE TABLE IF NOT EXISTS won't touch existing tables, so add them here.
+// ---------------------------------------------------------------------------
+
+/**
+ * Add a column to an existing table unless it is already there.
+ * @param {string} table
+ * @param {string} column
+ * @param {string} definition — e.g. "TEXT DEFAULT 'ok'"
+ */
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some((c) => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// devices.status: 'ok' | 'unreachable' (entity no longer exists in-game)
+addColumnIfMissing('devices', 'status', "TEXT DEFAULT 'ok'");
+
+// server_pairings.connection_mode: 'direct' | 'proxy' | 'auto' (direct, then
+// Facepunch proxy after repeated failures)
+addColumnIfMissing('server_pairings', 'connection_mode', "TEXT DEFAULT 'direct'");
+
+// Every pairing owner is the first account in its pairing's token list
+db.exec(`
+  INSERT OR IGNORE INTO pairing_tokens (pairing_id, user_steam_id, rank)
+  SELECT sp.id, sp.user_steam_id, 0
+  FROM server_pairings sp
+  JOIN users u ON u.steam_id = sp.user_steam_id
 `);
 
 console.log(`[DB] Database initialised at ${dbPath}`);
@@ -144,6 +375,634 @@ function getDevices(steamId) {
   return stmt.all(steamId);
 }
 
+/**
+ * Retrieve all devices paired on a given Rust server.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @returns {Array}
+ */
+function getServerDevices(serverIp, serverPort) {
+  const stmt = db.prepare(
+    'SELECT * FROM devices WHERE rust_server_ip = ? AND rust_server_port = ? ORDER BY created_at ASC'
+  );
+  return stmt.all(serverIp, serverPort);
+}
+
+/**
+ * Update a device's reachability status.
+ * @param {number} deviceId — devices.id
+ * @param {string} status   — 'ok' | 'unreachable'
+ */
+function setDeviceStatus(deviceId, status) {
+  const stmt = db.prepare('UPDATE devices SET status = ? WHERE id = ?');
+  return stmt.run(status, deviceId);
+}
+
+/**
+ * Mark every device on a server that was paired before a given time as
+ * unreachable — used after a wipe, when all pre-wipe entities are gone.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @param {number} beforeUnix — unix seconds
+ * @returns {number} number of devices updated
+ */
+function markDevicesGoneBefore(serverIp, serverPort, beforeUnix) {
+  const stmt = db.prepare(
+    `UPDATE devices SET status = 'unreachable'
+     WHERE rust_server_ip = ? AND rust_server_port = ?
+       AND created_at < datetime(?, 'unixepoch')
+       AND status != 'unreachable'`
+  );
+  return stmt.run(serverIp, serverPort, beforeUnix).changes;
+}
+
+/**
+ * Get the most recent wipe recorded for a server.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @returns {{ id: number, wipe_time: number, detected_at: string }|undefined}
+ */
+function getCurrentWipe(serverIp, serverPort) {
+  const stmt = db.prepare(
+    `SELECT * FROM server_wipes
+     WHERE rust_server_ip = ? AND rust_server_port = ?
+     ORDER BY wipe_time DESC LIMIT 1`
+  );
+  return stmt.get(serverIp, serverPort);
+}
+
+/**
+ * Record a wipe for a server. Ignores wipes already recorded.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @param {number} wipeTime — unix seconds (AppInfo.wipeTime)
+ */
+function recordWipe(serverIp, serverPort, wipeTime) {
+  const stmt = db.prepare(
+    'INSERT OR IGNORE INTO server_wipes (rust_server_ip, rust_server_port, wipe_time) VALUES (?, ?, ?)'
+  );
+  return stmt.run(serverIp, serverPort, wipeTime);
+}
+
+/**
+ * Store a server info snapshot.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @param {object} info — AppInfo
+ */
+function insertServerInfoSnapshot(serverIp, serverPort, info) {
+  const stmt = db.prepare(
+    `INSERT INTO server_info_snapshots
+       (rust_server_ip, rust_server_port, wipe_time, name, players, max_players,
+        queued_players, map_size, seed)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  return stmt.run(
+    serverIp, serverPort,
+    info.wipeTime || null, info.name || null,
+    info.players || 0, info.maxPlayers || 0, info.queuedPlayers || 0,
+    info.mapSize || null, info.seed || null
+  );
+}
+
+/**
+ * Ranked token candidates for a pairing — accounts without a token are skipped.
+ * @param {number} pairingId
+ * @returns {Array<{ steam_id: string, player_name: string|null, rust_plus_token: string,
+ *                   rank: number, last_failure: string|null }>}
+ */
+function getPairingTokens(pairingId) {
+  const stmt = db.prepare(
+    `SELECT pt.user_steam_id AS steam_id, u.player_name, u.rust_plus_token,
+            pt.rank, pt.last_failure
+     FROM pairing_tokens pt
+     JOIN users u ON u.steam_id = pt.user_steam_id
+     WHERE pt.pairing_id = ? AND u.rust_plus_token IS NOT NULL AND u.rust_plus_token != ''
+     ORDER BY pt.rank ASC, pt.id ASC`
+  );
+  return stmt.all(pairingId);
+}
+
+/**
+ * Add a Steam account to a pairing's token list. New accounts go to the end
+ * unless a rank is given; accounts already on the list keep their rank.
+ * @param {number} pairingId
+ * @param {string} steamId
+ * @param {number} [rank]
+ */
+function addPairingToken(pairingId, steamId, rank) {
+  if (rank === undefined) {
+    const row = db.prepare('SELECT MAX(rank) AS maxRank FROM pairing_tokens WHERE pairing_id = ?').get(pairingId);
+    rank = row && row.maxRank !== null ? row.maxRank + 1 : 0;
+  }
+  const stmt = db.prepare(
+    'INSERT OR IGNORE INTO pairing_tokens (pairing_id, user_steam_id, rank) VALUES (?, ?, ?)'
+  );
+  return stmt.run(pairingId, steamId, rank);
+}
+
+/**
+ * Record (or clear, with reason null) an authentication failure for an
+ * account on every pairing that lists it.
+ * @param {string} steamId
+ * @param {string|null} reason
+ */
+function setPairingTokenFailure(steamId, reason) {
+  const stmt = db.prepare(
+    `UPDATE pairing_tokens
+     SET last_failure = ?, last_failure_at = CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END
+     WHERE user_steam_id = ?`
+  );
+  return stmt.run(reason, reason, steamId);
+}
+
+/**
+ * Replace a server's stored vending machine orders with a fresh snapshot.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @param {Array<{ shopId: number, shopName: string|null, x: number, y: number,
+ *                 itemId: number, quantity: number, currencyId: number,
+ *                 costPerItem: number, amountInStock: number,
+ *                 itemIsBlueprint: boolean, currencyIsBlueprint: boolean }>} orders
+ */
+function replaceMarketOrders(serverIp, serverPort, orders) {
+  const del = db.prepare('DELETE FROM market_orders WHERE rust_server_ip = ? AND rust_server_port = ?');
+  const ins = db.prepare(
+    `INSERT INTO market_orders
+       (rust_server_ip, rust_server_port, shop_id, shop_name, x, y, item_id, quantity,
+        currency_id, cost_per_item, amount_in_stock, item_is_blueprint, currency_is_blueprint)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  db.transaction(() => {
+    del.run(serverIp, serverPort);
+    for (const o of orders) {
+      ins.run(
+        serverIp, serverPort, o.shopId, o.shopName, o.x, o.y, o.itemId, o.quantity,
+        o.currencyId, o.costPerItem, o.amountInStock,
+        o.itemIsBlueprint ? 1 : 0, o.currencyIsBlueprint ? 1 : 0
+      );
+    }
+  })();
+}
+
+/**
+ * In-stock sell orders for the given items on a server, cheapest unit price first.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @param {number[]} itemIds
+ * @returns {Object[]} market_orders rows plus unit_price
+ */
+function findMarketOrders(serverIp, serverPort, itemIds) {
+  if (itemIds.length === 0) return [];
+  const stmt = db.prepare(
+    `SELECT *, CAST(cost_per_item AS REAL) / quantity AS unit_price
+     FROM market_orders
+     WHERE rust_server_ip = ? AND rust_server_port = ?
+       AND amount_in_stock > 0
+       AND item_id IN (${itemIds.map(() => '?').join(', ')})
+     ORDER BY unit_price ASC`
+  );
+  return stmt.all(serverIp, serverPort, ...itemIds);
+}
+
+/**
+ * Append a price history row.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @param {number|null} wipeTime
+ * @param {{ itemId: number, itemIsBlueprint: boolean, currencyId: number,
+ *           minUnitPrice: number|null, totalStock: number, sellers: number }} entry
+ */
+function insertMarketPrice(serverIp, serverPort, wipeTime, entry) {
+  const stmt = db.prepare(
+    `INSERT INTO market_price_history
+       (rust_server_ip, rust_server_port, wipe_time, item_id, item_is_blueprint,
+        currency_id, min_unit_price, total_stock, sellers)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  return stmt.run(
+    serverIp, serverPort, wipeTime, entry.itemId, entry.itemIsBlueprint ? 1 : 0,
+    entry.currencyId, entry.minUnitPrice, entry.totalStock, entry.sellers
+  );
+}
+
+/**
+ * The newest price history row of every item for a wipe.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @param {number|null} wipeTime
+ * @returns {Object[]} market_price_history rows
+ */
+function getLatestMarketPrices(serverIp, serverPort, wipeTime) {
+  const stmt = db.prepare(
+    `SELECT h.* FROM market_price_history h
+     JOIN (
+       SELECT MAX(id) AS id FROM market_price_history
+       WHERE rust_server_ip = ? AND rust_server_port = ? AND wipe_time IS ?
+       GROUP BY item_id, item_is_blueprint, currency_id
+     ) latest ON latest.id = h.id`
+  );
+  return stmt.all(serverIp, serverPort, wipeTime);
+}
+
+/**
+ * Price history of the given items for a wipe, oldest first.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @param {number|null} wipeTime
+ * @param {number[]} itemIds
+ * @returns {Object[]} market_price_history rows
+ */
+function getMarketPriceHistory(serverIp, serverPort, wipeTime, itemIds) {
+  if (itemIds.length === 0) return [];
+  const stmt = db.prepare(
+    `SELECT * FROM market_price_history
+     WHERE rust_server_ip = ? AND rust_server_port = ? AND wipe_time IS ?
+       AND item_id IN (${itemIds.map(() => '?').join(', ')})
+     ORDER BY id ASC`
+  );
+  return stmt.all(serverIp, serverPort, wipeTime, ...itemIds);
+}
+
+/**
+ * Saved event timers for a server.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @returns {Object[]} event_timers rows
+ */
+function getEventTimers(serverIp, serverPort) {
+  const stmt = db.prepare(
+    'SELECT * FROM event_timers WHERE rust_server_ip = ? AND rust_server_port = ?'
+  );
+  return stmt.all(serverIp, serverPort);
+}
+
+/**
+ * Insert or update one event timer.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @param {string} event — e.g. 'cargo'
+ * @param {{ active: boolean, spawnedAt: number|null, despawnedAt: number|null,
+ *           location: string|null }} timer — times in unix seconds
+ */
+function saveEventTimer(serverIp, serverPort, event, timer) {
+  const stmt = db.prepare(
+    `INSERT INTO event_timers
+       (rust_server_ip, rust_server_port, event, active, spawned_at, despawned_at, location)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(rust_server_ip, rust_server_port, event) DO UPDATE SET
+       active = excluded.active,
+       spawned_at = excluded.spawned_at,
+       despawned_at = excluded.despawned_at,
+       location = excluded.location,
+       updated_at = CURRENT_TIMESTAMP`
+  );
+  return stmt.run(
+    serverIp, serverPort, event, timer.active ? 1 : 0,
+    timer.spawnedAt, timer.despawnedAt, timer.location
+  );
+}
+
+/**
+ * Forget every saved event timer for a server (wipe).
+ * @param {string} serverIp
+ * @param {number} serverPort
+ */
+function deleteEventTimers(serverIp, serverPort) {
+  const stmt = db.prepare(
+    'DELETE FROM event_timers WHERE rust_server_ip = ? AND rust_server_port = ?'
+  );
+  return stmt.run(serverIp, serverPort);
+}
+
+/**
+ * Append a spawn / despawn / reset to the event history.
+ * @param {string}  serverIp
+ * @param {number}  serverPort
+ * @param {string}  event        — e.g. 'heli'
+ * @param {string}  kind         — 'spawn' | 'despawn' | 'reset'
+ * @param {number}  occurredAt   — unix seconds
+ * @param {boolean} [approximate=false]
+ */
+function insertEventHistory(serverIp, serverPort, event, kind, occurredAt, approximate = false) {
+  const stmt = db.prepare(
+    `INSERT INTO event_history
+       (rust_server_ip, rust_server_port, event, kind, occurred_at, approximate)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  );
+  return stmt.run(serverIp, serverPort, event, kind, occurredAt, approximate ? 1 : 0);
+}
+
+/**
+ * The most recent history rows for one event, oldest first.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @param {string} event
+ * @param {number} [limit=200]
+ * @returns {Object[]} event_history rows
+ */
+function getEventHistory(serverIp, serverPort, event, limit = 200) {
+  const stmt = db.prepare(
+    `SELECT * FROM (
+       SELECT * FROM event_history
+       WHERE rust_server_ip = ? AND rust_server_port = ? AND event = ?
+       ORDER BY occurred_at DESC, id DESC
+       LIMIT ?
+     ) ORDER BY occurred_at ASC, id ASC`
+  );
+  return stmt.all(serverIp, serverPort, event, limit);
+}
+
+/**
+ * Record a newly seen explosion marker.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @param {number|null} wipeTime
+ * @param {{ markerId: number, kind: string, x: number, y: number,
+ *           seenAt: number, clusterId: number|null }} explosion — seenAt in unix seconds
+ * @returns {number} explosions.id
+ */
+function insertExplosion(serverIp, serverPort, wipeTime, explosion) {
+  const stmt = db.prepare(
+    `INSERT INTO explosions
+       (rust_server_ip, rust_server_port, wipe_time, marker_id, kind, x, y, first_seen, last_seen, cluster_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  return Number(stmt.run(
+    serverIp, serverPort, wipeTime, explosion.markerId, explosion.kind,
+    explosion.x, explosion.y, explosion.seenAt, explosion.seenAt, explosion.clusterId
+  ).lastInsertRowid);
+}
+
+/**
+ * A logged explosion for a marker id last seen since a time, if any — used to
+ * avoid logging a marker twice when the bot reconnects while it is on the map.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @param {number} markerId
+ * @param {number} sinceUnix
+ * @returns {Object|undefined} explosions row
+ */
+function findRecentExplosion(serverIp, serverPort, markerId, sinceUnix) {
+  const stmt = db.prepare(
+    `SELECT * FROM explosions
+     WHERE rust_server_ip = ? AND rust_server_port = ? AND marker_id = ? AND last_seen >= ?
+     ORDER BY id DESC LIMIT 1`
+  );
+  return stmt.get(serverIp, serverPort, markerId, sinceUnix);
+}
+
+/**
+ * Extend last_seen of explosions still on the map, and of their clusters.
+ * @param {number[]} explosionIds
+ * @param {number} seenAt — unix seconds
+ */
+function touchExplosions(explosionIds, seenAt) {
+  if (explosionIds.length === 0) return;
+  const ids = explosionIds.map(() => '?').join(', ');
+  db.transaction(() => {
+    db.prepare(`UPDATE explosions SET last_seen = ? WHERE id IN (${ids})`).run(seenAt, ...explosionIds);
+    db.prepare(
+      `UPDATE explosion_clusters SET last_seen = MAX(last_seen, ?)
+       WHERE id IN (SELECT cluster_id FROM explosions WHERE id IN (${ids}))`
+    ).run(seenAt, ...explosionIds);
+  })();
+}
+
+/**
+ * A server's explosion clusters for a wipe that were active since a time,
+ * most recent first.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @param {number|null} wipeTime
+ * @param {number} sinceUnix
+ * @returns {Object[]} explosion_clusters rows
+ */
+function getExplosionClusters(serverIp, serverPort, wipeTime, sinceUnix) {
+  const stmt = db.prepare(
+    `SELECT * FROM explosion_clusters
+     WHERE rust_server_ip = ? AND rust_server_port = ? AND wipe_time IS ?
+       AND last_seen >= ?
+     ORDER BY last_seen DESC`
+  );
+  return stmt.all(serverIp, serverPort, wipeTime, sinceUnix);
+}
+
+/**
+ * Create an explosion cluster around its first explosion.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @param {number|null} wipeTime
+ * @param {number} x
+ * @param {number} y
+ * @param {number} seenAt — unix seconds
+ * @returns {number} explosion_clusters.id
+ */
+function insertExplosionCluster(serverIp, serverPort, wipeTime, x, y, seenAt) {
+  const stmt = db.prepare(
+    `INSERT INTO explosion_clusters
+       (rust_server_ip, rust_server_port, wipe_time, x, y, first_seen, last_seen, explosions)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 1)`
+  );
+  return Number(stmt.run(serverIp, serverPort, wipeTime, x, y, seenAt, seenAt).lastInsertRowid);
+}
+
+/**
+ * Add an explosion to a cluster, moving its centre.
+ * @param {number} clusterId
+ * @param {number} x — new centre
+ * @param {number} y
+ * @param {number} seenAt — unix seconds
+ */
+function addToExplosionCluster(clusterId, x, y, seenAt) {
+  const stmt = db.prepare(
+    `UPDATE explosion_clusters
+     SET x = ?, y = ?, explosions = explosions + 1, last_seen = MAX(last_seen, ?)
+     WHERE id = ?`
+  );
+  return stmt.run(x, y, seenAt, clusterId);
+}
+
+/**
+ * Positions of a wipe's explosions, excluding one kind (e.g. 'bradley').
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @param {number|null} wipeTime
+ * @param {string} excludeKind
+ * @returns {Array<{ x: number, y: number }>}
+ */
+function getExplosionPositions(serverIp, serverPort, wipeTime, excludeKind) {
+  const stmt = db.prepare(
+    `SELECT x, y FROM explosions
+     WHERE rust_server_ip = ? AND rust_server_port = ? AND wipe_time IS ? AND kind != ?`
+  );
+  return stmt.all(serverIp, serverPort, wipeTime, excludeKind);
+}
+
+/**
+ * Save a base for a pairing, replacing a base with the same name.
+ * @param {number} pairingId
+ * @param {{ name: string, x: number, y: number, radius: number, addedBy: string }} base
+ * @returns {Object} the bases row
+ */
+function upsertBase(pairingId, base) {
+  db.prepare(
+    `INSERT INTO bases (pairing_id, name, x, y, radius, added_by)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(pairing_id, name) DO UPDATE SET
+       x = excluded.x, y = excluded.y, radius = excluded.radius, added_by = excluded.added_by`
+  ).run(pairingId, base.name, base.x, base.y, base.radius, base.addedBy);
+  return db.prepare(
+    'SELECT * FROM bases WHERE pairing_id = ? AND name = ? COLLATE NOCASE'
+  ).get(pairingId, base.name);
+}
+
+/**
+ * Delete a pairing's base by name (case-insensitive).
+ * @param {number} pairingId
+ * @param {string} name
+ * @returns {boolean} true if a base was removed
+ */
+function deleteBase(pairingId, name) {
+  const stmt = db.prepare('DELETE FROM bases WHERE pairing_id = ? AND name = ? COLLATE NOCASE');
+  return stmt.run(pairingId, name).changes > 0;
+}
+
+/**
+ * A pairing's saved bases, by name.
+ * @param {number} pairingId
+ * @returns {Object[]}
+ */
+function getPairingBases(pairingId) {
+  const stmt = db.prepare('SELECT * FROM bases WHERE pairing_id = ? ORDER BY name COLLATE NOCASE');
+  return stmt.all(pairingId);
+}
+
+/**
+ * Every saved base on a server, with the owning pairing's Discord channel.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @returns {Object[]} bases rows plus discord_guild_id and discord_channel_id
+ */
+function getServerBases(serverIp, serverPort) {
+  const stmt = db.prepare(
+    `SELECT b.*, sp.discord_guild_id, sp.discord_channel_id
+     FROM bases b
+     JOIN server_pairings sp ON sp.id = b.pairing_id
+     WHERE sp.rust_server_ip = ? AND sp.rust_server_port = ?`
+  );
+  return stmt.all(serverIp, serverPort);
+}
+
+/**
+ * Add a shop watch, or update the price and notify target of an existing
+ * watch on the same item/currency.
+ * @param {string} guildId
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @param {{ itemId: number, currencyId: number, maxPrice: number,
+ *           notify: string, addedBy: string }} watch
+ * @returns {Object} the shop_watches row
+ */
+function upsertShopWatch(guildId, serverIp, serverPort, watch) {
+  db.prepare(
+    `INSERT INTO shop_watches
+       (discord_guild_id, rust_server_ip, rust_server_port, item_id, currency_id, max_price, notify, added_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(discord_guild_id, rust_server_ip, rust_server_port, item_id, currency_id)
+     DO UPDATE SET max_price = excluded.max_price, notify = excluded.notify, added_by = excluded.added_by`
+  ).run(
+    guildId, serverIp, serverPort, watch.itemId, watch.currencyId,
+    watch.maxPrice, watch.notify, watch.addedBy
+  );
+  return db.prepare(
+    `SELECT * FROM shop_watches
+     WHERE discord_guild_id = ? AND rust_server_ip = ? AND rust_server_port = ?
+       AND item_id = ? AND currency_id = ?`
+  ).get(guildId, serverIp, serverPort, watch.itemId, watch.currencyId);
+}
+
+/**
+ * Delete one of a guild's shop watches (its alert rows cascade).
+ * @param {string} guildId
+ * @param {number} watchId
+ * @returns {boolean} true if a watch was removed
+ */
+function deleteShopWatch(guildId, watchId) {
+  const stmt = db.prepare('DELETE FROM shop_watches WHERE id = ? AND discord_guild_id = ?');
+  return stmt.run(watchId, guildId).changes > 0;
+}
+
+/**
+ * A guild's shop watches on a server, oldest first.
+ * @param {string} guildId
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @returns {Object[]}
+ */
+function getGuildShopWatches(guildId, serverIp, serverPort) {
+  const stmt = db.prepare(
+    `SELECT * FROM shop_watches
+     WHERE discord_guild_id = ? AND rust_server_ip = ? AND rust_server_port = ?
+     ORDER BY id ASC`
+  );
+  return stmt.all(guildId, serverIp, serverPort);
+}
+
+/**
+ * Every guild's shop watches on a server.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ * @returns {Object[]}
+ */
+function getServerShopWatches(serverIp, serverPort) {
+  const stmt = db.prepare(
+    'SELECT * FROM shop_watches WHERE rust_server_ip = ? AND rust_server_port = ?'
+  );
+  return stmt.all(serverIp, serverPort);
+}
+
+/**
+ * Record that a watch alerted on an order.
+ * @param {number} watchId
+ * @param {{ shopId: number, itemId: number, quantity: number,
+ *           currencyId: number, costPerItem: number }} order
+ * @returns {boolean} true if this is the first alert for the order
+ */
+function markShopWatchAlerted(watchId, order) {
+  const stmt = db.prepare(
+    `INSERT OR IGNORE INTO shop_watch_alerts
+       (watch_id, shop_id, item_id, quantity, currency_id, cost_per_item)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  );
+  return stmt.run(
+    watchId, order.shopId, order.itemId, order.quantity, order.currencyId, order.costPerItem
+  ).changes > 0;
+}
+
+/**
+ * Forget alerts for orders no longer in the server's market snapshot.
+ * @param {string} serverIp
+ * @param {number} serverPort
+ */
+function pruneShopWatchAlerts(serverIp, serverPort) {
+  db.prepare(
+    `DELETE FROM shop_watch_alerts
+     WHERE watch_id IN (
+       SELECT id FROM shop_watches WHERE rust_server_ip = ? AND rust_server_port = ?
+     )
+     AND NOT EXISTS (
+       SELECT 1 FROM market_orders m
+       WHERE m.rust_server_ip = ? AND m.rust_server_port = ?
+         AND m.shop_id = shop_watch_alerts.shop_id
+         AND m.item_id = shop_watch_alerts.item_id
+         AND m.quantity = shop_watch_alerts.quantity
+         AND m.currency_id = shop_watch_alerts.currency_id
+         AND m.cost_per_item = shop_watch_alerts.cost_per_item
+     )`
+  ).run(serverIp, serverPort, serverIp, serverPort);
+}
+
 /**
  * Look up a user by Steam ID.
  * @param {string} steamId
@@ -160,5 +1019,41 @@ module.exports = {
   getRecentEvents,
   getPairings,
   getDevices,
+  getServerDevices,
+  setDeviceStatus,
+  markDevicesGoneBefore,
+  getCurrentWipe,
+  recordWipe,
+  insertServerInfoSnapshot,
+  getPairingTokens,
+  addPairingToken,
+  setPairingTokenFailure,
+  replaceMarketOrders,
+  findMarketOrders,
+  insertMarketPrice,
+  getLatestMarketPrices,
+  getMarketPriceHistory,
+  getEventTimers,
+  saveEventTimer,
+  deleteEventTimers,
+  insertEventHistory,
+  getEventHistory,
+  insertExplosion,
+  findRecentExplosion,
+  touchExplosions,
+  getExplosionClusters,
+  insertExplosionCluster,
+  addToExplosionCluster,
+  getExplosionPositions,
+  upsertBase,
+  deleteBase,
+  getPairingBases,
+  getServerBases,
+  upsertShopWatch,
+  deleteShopWatch,
+  getGuildShopWatches,
+  getServerShopWatches,
+  markShopWatchAlerted,
+  pruneShopWatchAlerts,
   getUser,
 };
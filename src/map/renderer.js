@@ -0,0 +1,273 @@
+// src/map/renderer.js
+// MyRustLink — Server map image renderer.
+//
+// Builds a PNG of a server's map for /map and !map:
+//   - base image: the getMap() JPEG
+//   - layers:     grid overlay, monument labels, team member positions and
+//                 live cargo / patrol heli / Chinook / locked crate /
+//                 Travelling Vendor markers
+//   - crop:       optionally zoom to one grid square (plus one cell around it)
+//
+// The layers are drawn as an SVG over the JPEG and screenshotted with headless
+// Chromium (Puppeteer, software rendering — no GPU or display needed), the
+// browser shared with the moose.gg scraper (src/browser/index.js).
+//
+// Map image geometry: the JPEG is width × height pixels and includes an ocean
+// border of oceanMargin pixels on every side; the world square (0..mapSize
+// units, y pointing north) fills the area inside that border.
+//
+// Public API:
+//   renderServerMap(connection, options)  → Promise<Buffer> (PNG)
+
+'use strict';
+
+const { PRIORITY } = require('../rustplus/requestQueue.js');
+const { getBrowser } = require('../browser/index.js');
+const { MARKER_TYPE } = require('../rustplus/mapPoller.js');
+const {
+  loadServerGrid,
+  getMapSize,
+  getMonuments,
+  gridToCoord,
+  coordToGrid,
+  gridCells,
+} = require('../rustplus/grid.js');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Output width/height in pixels for the full map */
+const FULL_MAP_SIZE = 1600;
+
+/** Output width/height in pixels for a cropped grid square */
+const CROP_SIZE = 900;
+
+/** Cells of context shown around a cropped grid square */
+const CROP_PADDING_CELLS = 1;
+
+/** Event markers drawn on the events layer: marker type → style */
+const EVENT_MARKERS = {
+  [MARKER_TYPE.CARGO_SHIP]:        { label: 'Cargo',  color: '#3b82f6' },
+  [MARKER_TYPE.PATROL_HELICOPTER]: { label: 'Heli',   color: '#ef4444' },
+  [MARKER_TYPE.CH47]:              { label: 'Chinook', color: '#f97316' },
+  [MARKER_TYPE.CRATE]:             { label: 'Crate',  color: '#eab308' },
+  [MARKER_TYPE.TRAVELLING_VENDOR]: { label: 'Vendor', color: '#a855f7' },
+};
+
+/** Default layer visibility */
+const DEFAULT_LAYERS = {
+  grid:      true,
+  monuments: true,
+  team:      true,
+  events:    true,
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Escape text for use inside SVG markup.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a world → image pixel projection for a map.
+ * @param {{ width: number, height: number, oceanMargin: number }} map
+ * @param {number} mapSize — world size in units
+ * @returns {function(number, number): { px: number, py: number }}
+ */
+function makeProjection(map, mapSize) {
+  const margin = map.oceanMargin || 0;
+  const sx = (map.width  - 2 * margin) / mapSize;
+  const sy = (map.height - 2 * margin) / mapSize;
+  return (x, y) => ({
+    px: margin + x * sx,
+    py: map.height - margin - y * sy,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// SVG layers (all coordinates in map image pixels)
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {number} mapSize
+ * @param {function} project
+ * @param {number} fontSize
+ * @returns {string}
+ */
+function gridLayer(mapSize, project, fontSize) {
+  const { cells, cellSize } = gridCells(mapSize);
+  const topLeft     = project(0, mapSize);
+  const bottomRight = project(mapSize, 0);
+  const parts = [];
+
+  for (let i = 1; i < cells; i++) {
+    const { px } = project(i * cellSize, 0);
+    const { py } = project(0, mapSize - i * cellSize);
+    parts.push(`<line x1="${px}" y1="${topLeft.py}" x2="${px}" y2="${bottomRight.py}"/>`);
+    parts.push(`<line x1="${topLeft.px}" y1="${py}" x2="${bottomRight.px}" y2="${py}"/>`);
+  }
+
+  const labels = [];
+  for (let col = 0; col < cells; col++) {
+    for (let row = 0; row < cells; row++) {
+      const { px, py } = project(col * cellSize, mapSize - row * cellSize);
+      const label = coordToGrid((col + 0.5) * cellSize, mapSize - (row + 0.5) * cellSize, mapSize);
+      labels.push(`<text x="${px + fontSize * 0.2}" y="${py + fontSize}">${label}</text>`);
+    }
+  }
+
+  return `<g stroke="rgba(0,0,0,0.45)" stroke-width="${fontSize / 12}">${parts.join('')}</g>` +
+    `<g fill="rgba(0,0,0,0.6)" font-size="${fontSize * 0.8}" font-family="sans-serif">${labels.join('')}</g>`;
+}
+
+/**
+ * @param {Array<{ name: string, x: number, y: number }>} monuments
+ * @param {function} project
+ * @param {number} fontSize
+ * @returns {string}
+ */
+function monumentLayer(monuments, project, fontSize) {
+  const labels = monuments.map((m) => {
+    const { px, py } = project(m.x, m.y);
+    return `<text x="${px}" y="${py}">${escapeXml(m.name)}</text>`;
+  });
+  return `<g fill="#fff" stroke="#000" stroke-width="${fontSize / 8}" paint-order="stroke" ` +
+    `font-size="${fontSize}" font-weight="bold" font-family="sans-serif" text-anchor="middle">${labels.join('')}</g>`;
+}
+
+/**
+ * @param {object[]} members — AppTeamInfo members
+ * @param {function} project
+ * @param {number} fontSize
+ * @returns {string}
+ */
+function teamLayer(members, project, fontSize) {
+  const r = fontSize * 0.5;
+  const dots = members.map((m) => {
+    const { px, py } = project(m.x, m.y);
+    const color = !m.isOnline ? '#9ca3af' : (m.isAlive ? '#22c55e' : '#dc2626');
+    return `<circle cx="${px}" cy="${py}" r="${r}" fill="${color}" stroke="#000" stroke-width="${r / 4}"/>` +
+      `<text x="${px + r * 1.4}" y="${py + r * 0.6}">${escapeXml(m.name || String(m.steamId))}</text>`;
+  });
+  return `<g fill="#fff" stroke="#000" stroke-width="${fontSize / 10}" paint-order="stroke" ` +
+    `font-size="${fontSize}" font-family="sans-serif">${dots.join('')}</g>`;
+}
+
+/**
+ * @param {object[]} markers — AppMapMarkers markers
+ * @param {function} project
+ * @param {number} fontSize
+ * @returns {string}
+ */
+function eventLayer(markers, project, fontSize) {
+  const r = fontSize * 0.7;
+  const icons = markers
+    .filter((m) => EVENT_MARKERS[m.type])
+    .map((m) => {
+      const style = EVENT_MARKERS[m.type];
+      const { px, py } = project(m.x, m.y);
+      return `<circle cx="${px}" cy="${py}" r="${r}" fill="${style.color}" stroke="#000" stroke-width="${r / 4}"/>` +
+        `<text x="${px}" y="${py - r * 1.4}" text-anchor="middle">${style.label}</text>`;
+    });
+  return `<g fill="#fff" stroke="#000" stroke-width="${fontSize / 10}" paint-order="stroke" ` +
+    `font-size="${fontSize}" font-weight="bold" font-family="sans-serif">${icons.join('')}</g>`;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Render the server map as a PNG.
+ *
+ * @param {import('../rustplus/index.js').RustPlusConnection} connection
+ * @param {object}  [options]
+ * @param {object}  [options.layers]           — { grid, monuments, team, events } booleans (default all on)
+ * @param {string}  [options.square]           — grid square to crop to, e.g. "G12"
+ * @returns {Promise<Buffer>} PNG image
+ * @throws {Error} if the grid square is invalid or the map can't be fetched
+ */
+async function renderServerMap(connection, options = {}) {
+  const layers = Object.assign({}, DEFAULT_LAYERS, options.layers || {});
+  const { serverIp, serverPort } = connection;
+
+  if (!getMapSize(serverIp, serverPort)) {
+    await loadServerGrid(connection);
+  }
+  const mapSize = getMapSize(serverIp, serverPort);
+  if (!mapSize) {
+    throw new Error('Map size is not known yet — try again in a moment.');
+  }
+
+  let crop = null;
+  if (options.square) {
+    const centre = gridToCoord(options.square, mapSize);
+    if (!centre) {
+      throw new Error(`"${options.square}" is not a grid square on this map.`);
+    }
+    crop = centre;
+  }
+
+  const map = await connection.getMap({ priority: PRIORITY.USER });
+  const [teamInfo, mapMarkers] = await Promise.all([
+    layers.team   ? connection.getTeamInfo({ priority: PRIORITY.USER })   : null,
+    layers.events ? connection.getMapMarkers({ priority: PRIORITY.USER }) : null,
+  ]);
+
+  const project = makeProjection(map, mapSize);
+
+  // Visible area in image pixels — the whole image, or the square plus padding
+  let view = { x: 0, y: 0, w: map.width, h: map.height };
+  if (crop) {
+    const half = (0.5 + CROP_PADDING_CELLS) * gridCells(mapSize).cellSize;
+    const a = project(crop.x - half, crop.y + half);
+    const b = project(crop.x + half, crop.y - half);
+    view = { x: a.px, y: a.py, w: b.px - a.px, h: b.py - a.py };
+  }
+
+  const outSize  = crop ? CROP_SIZE : FULL_MAP_SIZE;
+  const fontSize = view.w / (crop ? 30 : 90);
+
+  const overlay = [
+    layers.grid      ? gridLayer(mapSize, project, fontSize) : '',
+    layers.monuments ? monumentLayer(getMonuments(serverIp, serverPort), project, fontSize) : '',
+    teamInfo         ? teamLayer(teamInfo.members || [], project, fontSize) : '',
+    mapMarkers       ? eventLayer(mapMarkers.markers || [], project, fontSize) : '',
+  ].join('');
+
+  const jpg = Buffer.from(map.jpgImage).toString('base64');
+  const html =
+    '<!DOCTYPE html><html><body style="margin:0;background:#000;">' +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${outSize}" height="${outSize}" ` +
+    `viewBox="${view.x} ${view.y} ${view.w} ${view.h}" preserveAspectRatio="xMidYMid meet">` +
+    `<image href="data:image/jpeg;base64,${jpg}" x="0" y="0" width="${map.width}" height="${map.height}"/>` +
+    overlay +
+    '</svg></body></html>';
+
+  const browser = await getBrowser();
+  const page    = await browser.newPage();
+
+  try {
+    await page.setViewport({ width: outSize, height: outSize });
+    await page.setContent(html, { waitUntil: 'load', timeout: 30000 });
+    const png = await page.screenshot({ type: 'png', clip: { x: 0, y: 0, width: outSize, height: outSize } });
+    console.log(`[MapRender] Rendered ${serverIp}:${serverPort}${crop ? ` (${options.square.toUpperCase()})` : ''}`);
+    return Buffer.from(png);
+  } finally {
+    await page.close();
+  }
+}
+
+module.exports = { renderServerMap };
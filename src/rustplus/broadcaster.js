@@ -20,6 +20,8 @@
 
 'use strict';
 
+const { PRIORITY } = require('./requestQueue.js');
+
 // ---------------------------------------------------------------------------
 // Constants
 // ---------------------------------------------------------------------------
@@ -56,7 +58,7 @@ function getDeviceName(db, entityId, serverIp) {
 // ---------------------------------------------------------------------------
 
 /**
- * Send a team chat message via the RustPlus client.
+ * Send a team chat message via the connection's request layer.
  * Silently logs and swallows any error so a failed broadcast never crashes the
  * connection manager or command handlers.
  *
@@ -64,21 +66,13 @@ function getDeviceName(db, entityId, serverIp) {
  * @param {string} text
  */
 function safeSendTeamMessage(connection, text) {
-  try {
-    if (!connection.isConnected()) {
-      console.warn(`[Broadcaster] Not connected to ${connection.serverIp}:${connection.serverPort} — skipping team message: "${text}"`);
-      return;
-    }
-    const rustClient = connection.getClient();
-    if (!rustClient) {
-      console.warn(`[Broadcaster] No RustPlus client available for ${connection.serverIp}:${connection.serverPort} — skipping team message: "${text}"`);
-      return;
-    }
-    rustClient.sendTeamMessage(text);
-    console.log(`[Broadcaster] Team message sent (${connection.serverIp}:${connection.serverPort}): ${text}`);
-  } catch (err) {
-    console.error(`[Broadcaster] sendTeamMessage failed (${connection.serverIp}:${connection.serverPort}): ${err.message}`);
+  if (!connection.isConnected()) {
+    console.warn(`[Broadcaster] Not connected to ${connection.serverIp}:${connection.serverPort} — skipping team message: "${text}"`);
+    return;
   }
+  connection.sendTeamMessage(text, { priority: PRIORITY.EVENT })
+    .then(() => console.log(`[Broadcaster] Team message sent (${connection.serverIp}:${connection.serverPort}): ${text}`))
+    .catch((err) => console.error(`[Broadcaster] sendTeamMessage failed (${connection.serverIp}:${connection.serverPort}): ${err.message}`));
 }
 
 // ---------------------------------------------------------------------------
@@ -93,7 +87,7 @@ function safeSendTeamMessage(connection, text) {
  *
  * @param {import('./index.js').RustPlusConnection} connection
  *   A RustPlusConnection instance (extends EventEmitter, exposes .serverIp,
- *   .getClient(), and .isConnected()).
+ *   .sendTeamMessage(), and .isConnected()).
  * @param {import('better-sqlite3').Database} db
  *   The better-sqlite3 db instance used for device name lookups.
  */
@@ -0,0 +1,98 @@
+// src/rustplus/errors.js
+// MyRustLink — Error types raised by the RustPlusConnection request layer.
+//
+//   RustPlusRequestError        — base class (unexpected response shape, etc.)
+//   ├─ RustPlusNotConnectedError — request attempted while the socket is down
+//   ├─ RustPlusTimeoutError      — no reply within the request timeout
+//   ├─ RustPlusServerError       — the server replied with an AppError
+//   └─ RustPlusStaleRequestError — dropped from the request queue unsent
+//
+// Callers that only need a message can keep using err.message; callers that
+// need to react differently (e.g. treat a timeout as "try again later") can
+// check `instanceof` or err.code.
+
+'use strict';
+
+/**
+ * Base class for every error rejected by a RustPlusConnection request.
+ */
+class RustPlusRequestError extends Error {
+
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {string} [details.method]  — request method name, e.g. 'getEntityInfo'
+   * @param {string} [details.server]  — "ip:port" of the target server
+   * @param {string} [details.code]    — machine-readable error code
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name   = this.constructor.name;
+    this.method = details.method || null;
+    this.server = details.server || null;
+    this.code   = details.code   || 'request_error';
+  }
+}
+
+/** The connection was not open when the request was made. */
+class RustPlusNotConnectedError extends RustPlusRequestError {
+  constructor(details = {}) {
+    super(`Not connected to ${details.server || 'Rust server'}`, { ...details, code: 'not_connected' });
+  }
+}
+
+/** The server did not reply before the request timeout elapsed. */
+class RustPlusTimeoutError extends RustPlusRequestError {
+
+  /**
+   * @param {number} timeoutMs
+   * @param {object} [details]
+   */
+  constructor(timeoutMs, details = {}) {
+    super(
+      `${details.method || 'Request'} timed out after ${timeoutMs}ms`,
+      { ...details, code: 'timeout' }
+    );
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/** The server replied with an AppError (e.g. "not_found", "rate_limit"). */
+class RustPlusServerError extends RustPlusRequestError {
+
+  /**
+   * @param {string} serverError — AppError.error string from the response
+   * @param {object} [details]
+   */
+  constructor(serverError, details = {}) {
+    super(`Rust+ server error: ${serverError || 'unknown'}`, { ...details, code: serverError || 'unknown' });
+    this.serverError = serverError || 'unknown';
+  }
+}
+
+/**
+ * A background request waited in the request queue longer than its max age
+ * and was dropped without being sent (the next poll will supersede it).
+ */
+class RustPlusStaleRequestError extends RustPlusRequestError {
+
+  /**
+   * @param {number} waitedMs
+   * @param {object} [details]
+   */
+  constructor(waitedMs, details = {}) {
+    super(
+      `${details.method || 'Request'} dropped after ${waitedMs}ms in queue`,
+      { ...details, code: 'stale' }
+    );
+    this.waitedMs = waitedMs;
+  }
+}
+
+module.exports = {
+  RustPlusRequestError,
+  RustPlusNotConnectedError,
+  RustPlusTimeoutError,
+  RustPlusServerError,
+  RustPlusStaleRequestError,
+};
@@ -0,0 +1,273 @@
+// src/rustplus/explosionLog.js
+// MyRustLink — Explosion log and raid hotspots.
+//
+// Every explosion marker mapPoller sees is written to the explosions table
+// with its position, when it first appeared and how long it stayed on the map.
+// Explosions other than Bradley are grouped into raid clusters: a new
+// explosion joins the nearest cluster within CLUSTER_RADIUS that was active in
+// the last CLUSTER_GAP_MS (moving the cluster centre to the running mean),
+// otherwise it starts a new cluster. Clusters are what /booms and !booms list
+// as raid hotspots; the raw explosion positions feed the wipe heatmap on the
+// web dashboard.
+//
+// Everything is per wipe (the current wipe from the wipes table), so a new
+// wipe starts with an empty log.
+//
+// Public API:
+//   recordExplosion(connection, marker, kind) — log a new explosion, returns its row id
+//   touchExplosions(ids)                      — mark logged explosions as still on the map
+//   getHotspots(ip, port)                     — active and recent raid clusters
+//   getHotspotSummary(ip, port)               — human-readable hotspot list
+//   getHeatmap(ip, port)                      — explosion counts per grid square this wipe
+
+'use strict';
+
+const { describeLocation, getMapSize, coordToGrid } = require('./grid.js');
+const {
+  getCurrentWipe,
+  insertExplosion,
+  findRecentExplosion,
+  touchExplosions: touchExplosionRows,
+  getExplosionClusters,
+  insertExplosionCluster,
+  addToExplosionCluster,
+  getExplosionPositions,
+} = require('../db/index.js');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Explosions within this distance (world units) of a cluster centre join it */
+const CLUSTER_RADIUS = 150;
+
+/** A cluster stays open for new explosions this long after its last one */
+const CLUSTER_GAP_MS = 30 * 60 * 1000;
+
+/** A cluster with an explosion in this window is listed as active */
+const ACTIVE_WINDOW_MS = 10 * 60 * 1000;
+
+/** Ended clusters are listed as recent for this long */
+const RECENT_WINDOW_MS = 6 * 60 * 60 * 1000;
+
+/** Most hotspots listed by getHotspotSummary() */
+const HOTSPOT_LIMIT = 8;
+
+/** A marker seen again within this long of its last sighting is the same explosion */
+const RESEEN_WINDOW_MS = 5 * 60 * 1000;
+
+/** Explosion kind that is never clustered (an event, not a raid) */
+const BRADLEY_KIND = 'bradley';
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} Hotspot
+ * @property {number}  id
+ * @property {number}  x          — cluster centre
+ * @property {number}  y
+ * @property {string}  location   — "G12 near Harbor"
+ * @property {number}  explosions — explosions in the cluster
+ * @property {Date}    firstSeen
+ * @property {Date}    lastSeen
+ * @property {boolean} active     — an explosion in the last ACTIVE_WINDOW_MS
+ */
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Wipe time of the server's current wipe, or null if none is known yet.
+ * @param {string} ip
+ * @param {number} port
+ * @returns {number|null}
+ */
+function _wipeTime(ip, port) {
+  const wipe = getCurrentWipe(ip, port);
+  return wipe ? wipe.wipe_time : null;
+}
+
+/**
+ * The open cluster nearest to a position, if one is within CLUSTER_RADIUS.
+ * @param {Object[]} clusters — explosion_clusters rows
+ * @param {number} x
+ * @param {number} y
+ * @returns {Object|null}
+ */
+function _nearestCluster(clusters, x, y) {
+  let best = null;
+  let bestDist = CLUSTER_RADIUS;
+  for (const c of clusters) {
+    const dist = Math.hypot(c.x - x, c.y - y);
+    if (dist <= bestDist) {
+      best = c;
+      bestDist = dist;
+    }
+  }
+  return best;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Log a newly seen explosion marker. Anything but Bradley is added to a raid
+ * cluster. A marker already logged just before a reconnect is not logged
+ * again; its existing row id is returned.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {{ id: number, x: number, y: number }} marker — AppMarker
+ * @param {string} kind — 'bradley' | 'raid' | 'other'
+ * @returns {number} explosions row id
+ */
+function recordExplosion(connection, marker, kind) {
+  const { serverIp, serverPort } = connection;
+  const wipeTime = _wipeTime(serverIp, serverPort);
+  const seenAt   = Math.floor(Date.now() / 1000);
+
+  const existing = findRecentExplosion(
+    serverIp, serverPort, marker.id, seenAt - Math.floor(RESEEN_WINDOW_MS / 1000)
+  );
+  if (existing) return existing.id;
+
+  let clusterId = null;
+  if (kind !== BRADLEY_KIND) {
+    const since   = seenAt - Math.floor(CLUSTER_GAP_MS / 1000);
+    const cluster = _nearestCluster(
+      getExplosionClusters(serverIp, serverPort, wipeTime, since), marker.x, marker.y
+    );
+    if (cluster) {
+      const n = cluster.explosions + 1;
+      addToExplosionCluster(
+        cluster.id,
+        cluster.x + (marker.x - cluster.x) / n,
+        cluster.y + (marker.y - cluster.y) / n,
+        seenAt
+      );
+      clusterId = cluster.id;
+    } else {
+      clusterId = insertExplosionCluster(serverIp, serverPort, wipeTime, marker.x, marker.y, seenAt);
+    }
+  }
+
+  return insertExplosion(serverIp, serverPort, wipeTime, {
+    markerId: marker.id,
+    kind,
+    x: marker.x,
+    y: marker.y,
+    seenAt,
+    clusterId,
+  });
+}
+
+/**
+ * Mark logged explosions as still on the map (extends how long they lasted,
+ * and keeps their clusters active).
+ * @param {number[]} ids — explosions row ids
+ */
+function touchExplosions(ids) {
+  touchExplosionRows(ids, Math.floor(Date.now() / 1000));
+}
+
+/**
+ * Raid clusters with an explosion in the last RECENT_WINDOW_MS, active ones
+ * first, then most recent first.
+ * @param {string} ip
+ * @param {number} port
+ * @returns {Hotspot[]}
+ */
+function getHotspots(ip, port) {
+  const now   = Date.now();
+  const since = Math.floor((now - RECENT_WINDOW_MS) / 1000);
+  const rows  = getExplosionClusters(ip, port, _wipeTime(ip, port), since);
+
+  const hotspots = rows.map((c) => {
+    const lastSeen = new Date(c.last_seen * 1000);
+    return {
+      id:         c.id,
+      x:          c.x,
+      y:          c.y,
+      location:   describeLocation(ip, port, c.x, c.y),
+      explosions: c.explosions,
+      firstSeen:  new Date(c.first_seen * 1000),
+      lastSeen,
+      active:     now - lastSeen.getTime() <= ACTIVE_WINDOW_MS,
+    };
+  });
+
+  return hotspots.sort((a, b) =>
+    (b.active - a.active) || (b.lastSeen - a.lastSeen)
+  );
+}
+
+/**
+ * Human-readable list of active and recent raid hotspots, one per line.
+ * @param {string} ip
+ * @param {number} port
+ * @returns {string}
+ */
+function getHotspotSummary(ip, port) {
+  // Lazy require — mapPoller.js requires this module
+  const { formatDuration } = require('./mapPoller.js');
+
+  const hotspots = getHotspots(ip, port);
+  if (hotspots.length === 0) {
+    return `No raid explosions seen in the last ${formatDuration(RECENT_WINDOW_MS)}.`;
+  }
+
+  const now   = Date.now();
+  const lines = hotspots.slice(0, HOTSPOT_LIMIT).map((h) => {
+    const booms = `${h.explosions} boom${h.explosions === 1 ? '' : 's'}`;
+    if (h.active) {
+      const span = formatDuration(h.lastSeen - h.firstSeen);
+      return `🔥 ACTIVE ${h.location} — ${booms} in ${span} (last ${formatDuration(now - h.lastSeen)} ago)`;
+    }
+    return `💥 ${h.location} — ${booms}, ended ${formatDuration(now - h.lastSeen)} ago`;
+  });
+
+  if (hotspots.length > HOTSPOT_LIMIT) {
+    lines.push(`…and ${hotspots.length - HOTSPOT_LIMIT} more`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Explosion counts per grid square for the current wipe (Bradley excluded).
+ * Explosions off the map are left out. Empty until the map size is known.
+ *
+ * @param {string} ip
+ * @param {number} port
+ * @returns {{ mapSize: number, cells: Map<string, number>, total: number }}
+ */
+function getHeatmap(ip, port) {
+  const mapSize = getMapSize(ip, port);
+  const cells   = new Map();
+  if (!mapSize) return { mapSize: 0, cells, total: 0 };
+
+  const positions = getExplosionPositions(ip, port, _wipeTime(ip, port), BRADLEY_KIND);
+  let total = 0;
+  for (const p of positions) {
+    // Off the map (e.g. out at sea) — in no square, so not counted either
+    const grid = coordToGrid(p.x, p.y, mapSize);
+    if (!grid) continue;
+    cells.set(grid, (cells.get(grid) || 0) + 1);
+    total++;
+  }
+  return { mapSize, cells, total };
+}
+
+// ---------------------------------------------------------------------------
+// Module exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  recordExplosion,
+  touchExplosions,
+  getHotspots,
+  getHotspotSummary,
+  getHeatmap,
+};
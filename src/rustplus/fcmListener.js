@@ -7,6 +7,12 @@
 //   2. Re-establishes the RustPlus WebSocket connection with the new token
 //      (if a server_pairing row exists for that IP:port)
 //
+// Entity pairing notifications (a smart switch, alarm or storage monitor
+// paired in-game) are handled too:
+//   1. A devices row is created (or refreshed) with its type and entity ID
+//   2. The type is registered on the live RustPlusConnection, if any
+//   3. A Discord prompt is posted asking the team to name the device
+//
 // Prerequisites:
 //   - Run `npx @liamcottle/rustplus.js fcm-register` to generate rustplus.config.json
 //   - The rustplus.config.json file must exist in the project root directory
@@ -29,8 +35,13 @@ const PushReceiverClient = require(
   '../../node_modules/@liamcottle/rustplus.js/node_modules/@liamcottle/push-receiver/src/client'
 );
 
-const { db, logEvent } = require('../db/index.js');
-const { createConnection, removeConnection } = require('./index.js');
+const { db, logEvent, addPairingToken } = require('../db/index.js');
+const {
+  createConnection,
+  getConnection,
+  ENTITY_TYPE,
+  DEVICE_TYPE_NAMES,
+} = require('./index.js');
 
 // ---------------------------------------------------------------------------
 // Module-level state
@@ -48,6 +59,7 @@ let _isListening = false;
 /**
  * Internal EventEmitter that external modules can subscribe to for FCM events.
  * Emits: 'pairingReceived' with { steamId, ip, port, playerToken, serverName }
+ *        'entityPaired'    with { steamId, ip, port, entityId, entityType, deviceType, serverName }
  */
 const fcmEvents = new EventEmitter();
 
@@ -178,15 +190,22 @@ function handlePairingNotification(data) {
     }
   }
 
-  // -------------------------------------------------------------------------
-  // Step 3: Remove old connection (if any) then create a fresh one
-  // -------------------------------------------------------------------------
-  try {
-    removeConnection(ip, port);
-  } catch (removeErr) {
-    console.warn('[FCM] Error removing old connection:', removeErr.message);
+  // Every player who pairs with the server joins the pairing's token list, so
+  // the connection can fail over to them if the current account is rejected.
+  // The pairing owner goes first; later teammates are appended.
+  if (existingPairing) {
+    try {
+      addPairingToken(existingPairing.id, steamId, existingPairing.user_steam_id === steamId ? 0 : undefined);
+    } catch (dbErr) {
+      console.warn(`[FCM] Could not add steamId=${steamId} to token list of pairing ${existingPairing.id}: ${dbErr.message}`);
+    }
   }
 
+  // -------------------------------------------------------------------------
+  // Step 3: Open the connection, or join the existing one for this server.
+  // createConnection shares the socket between pairings and reconnects it
+  // with the new token when this player's token changed.
+  // -------------------------------------------------------------------------
   try {
     const newConn = createConnection({
       steamId:     steamId,
@@ -195,8 +214,10 @@ function handlePairingNotification(data) {
         ip:   ip,
         port: port,
       },
+      pairingId: existingPairing ? existingPairing.id : undefined,
       guildId:   (existingPairing && existingPairing.discord_guild_id)   || undefined,
       channelId: (existingPairing && existingPairing.discord_channel_id) || undefined,
+      connectionMode: existingPairing ? existingPairing.connection_mode : undefined,
     });
     console.log(`[FCM] Connection established for ${ip}:${port}`);
 
@@ -230,9 +251,134 @@ function handlePairingNotification(data) {
   });
 }
 
+/**
+ * Handle a Rust+ entity pairing notification received from FCM.
+ *
+ * Expected notification body structure (JSON string):
+ *   { ip, port, playerId, entityId, entityType, entityName, name, ... }
+ *
+ * entityType is the AppEntityType enum value as a string ("1" = Smart Switch,
+ * "2" = Smart Alarm, "3" = Storage Monitor).
+ *
+ * @param {Object} data — raw ON_DATA_RECEIVED payload from PushReceiverClient
+ */
+function handleEntityPairingNotification(data) {
+  let body;
+  try {
+    const rawData = data.rawData || data.body || '';
+    body = typeof rawData === 'string' ? JSON.parse(rawData) : rawData;
+  } catch (parseErr) {
+    console.warn('[FCM] Could not parse entity notification body:', parseErr.message);
+    return;
+  }
+
+  const ip         = body.ip;
+  const port       = parseInt(body.port, 10);
+  const steamId    = String(body.playerId || '');
+  const entityId   = String(body.entityId || '');
+  const entityType = parseInt(body.entityType, 10);
+  const deviceType = DEVICE_TYPE_NAMES[entityType];
+  const serverName = body.name || `${ip}:${port}`;
+
+  if (!ip || isNaN(port) || !entityId || !deviceType) {
+    console.warn('[FCM] Entity pairing notification missing required fields:', body);
+    return;
+  }
+
+  console.log(`[FCM] Entity paired on ${serverName} (${ip}:${port}) — ${deviceType} #${entityId}`);
+
+  // -------------------------------------------------------------------------
+  // Step 1: Create or refresh the devices row
+  // -------------------------------------------------------------------------
+  let device;
+  try {
+    // devices.user_steam_id references users(steam_id) — only link the row if
+    // the player has logged in to the dashboard, otherwise the FK would reject it.
+    const userRow = steamId ? db.prepare('SELECT steam_id FROM users WHERE steam_id = ?').get(steamId) : null;
+    const ownerId = userRow ? userRow.steam_id : null;
+
+    const existing = db.prepare(
+      'SELECT * FROM devices WHERE entity_id = ? AND rust_server_ip = ? AND rust_server_port = ?'
+    ).get(entityId, ip, port);
+
+    if (existing) {
+      // Re-pairing the same entity (e.g. after a wipe or a new owner) — keep the
+      // name the team already gave it, refresh everything else.
+      db.prepare("UPDATE devices SET device_type = ?, user_steam_id = ?, status = 'ok' WHERE id = ?")
+        .run(deviceType, ownerId, existing.id);
+    } else {
+      db.prepare(`
+        INSERT INTO devices (user_steam_id, entity_id, device_type, rust_server_ip, rust_server_port)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(ownerId, entityId, deviceType, ip, port);
+    }
+
+    device = db.prepare(
+      'SELECT * FROM devices WHERE entity_id = ? AND rust_server_ip = ? AND rust_server_port = ?'
+    ).get(entityId, ip, port);
+
+    logEvent(steamId, 'device_paired', JSON.stringify({
+      server: `${ip}:${port}`,
+      entityId,
+      deviceType,
+      time: new Date().toISOString(),
+    }));
+  } catch (dbErr) {
+    console.error('[FCM] DB error registering device:', dbErr.message);
+    return;
+  }
+
+  // -------------------------------------------------------------------------
+  // Step 2: Tell the live connection what this entity is so its broadcasts
+  // are routed to the right event (switchChanged vs alarmTriggered)
+  // -------------------------------------------------------------------------
+  const conn = getConnection(ip, port);
+  if (conn) {
+    conn.registerEntityType(entityId, entityType);
+  }
+
+  // -------------------------------------------------------------------------
+  // Step 3: Ask the team to name the device in Discord
+  // -------------------------------------------------------------------------
+  let channelId = (conn && conn.channelId) || null;
+  if (!channelId) {
+    try {
+      const pairing = db.prepare(
+        "SELECT discord_channel_id FROM server_pairings WHERE rust_server_ip = ? AND rust_server_port = ? AND discord_channel_id != '' LIMIT 1"
+      ).get(ip, port);
+      channelId = pairing ? pairing.discord_channel_id : null;
+    } catch (dbErr) {
+      console.error('[FCM] DB error looking up channel for device prompt:', dbErr.message);
+    }
+  }
+
+  if (channelId && device) {
+    try {
+      const { promptDeviceName } = require('../bot/index.js');
+      promptDeviceName(channelId, device, serverName).catch((err) =>
+        console.warn('[FCM] Failed to post device naming prompt:', err.message)
+      );
+    } catch (promptErr) {
+      console.warn('[FCM] Could not post device naming prompt:', promptErr.message);
+    }
+  } else {
+    console.warn(`[FCM] No Discord channel linked to ${ip}:${port} — device ${entityId} saved without a naming prompt`);
+  }
+
+  fcmEvents.emit('entityPaired', {
+    steamId,
+    ip,
+    port,
+    entityId,
+    entityType,
+    deviceType,
+    serverName,
+  });
+}
+
 /**
  * Process a raw ON_DATA_RECEIVED event from PushReceiverClient.
- * Filters to only Rust+ server pairing notifications before dispatching.
+ * Filters to Rust+ server and entity pairing notifications before dispatching.
  *
  * @param {Object} data — raw notification data from PushReceiverClient
  */
@@ -266,15 +412,19 @@ function onDataReceived(data) {
 
     const type = (body && body.type) || appDataMap['type'] || data.type || '';
 
-    // Filter: only handle Rust+ server pairing notifications
-    if (category !== 'com.facepunch.rust.companion' || type !== 'server') {
-      console.log(`[FCM] Notification received (category=${category}, type=${type}) — not a server pairing, skipping`);
+    // Filter: only handle Rust+ server and entity pairing notifications
+    if (category !== 'com.facepunch.rust.companion' || (type !== 'server' && type !== 'entity')) {
+      console.log(`[FCM] Notification received (category=${category}, type=${type}) — not a pairing, skipping`);
       return;
     }
 
-    // Merge appDataMap and parsed body into data for handlePairingNotification
+    // Merge appDataMap and parsed body into data for the pairing handlers
     const enrichedData = Object.assign({}, data, appDataMap, body || {});
-    handlePairingNotification(enrichedData);
+    if (type === 'entity') {
+      handleEntityPairingNotification(enrichedData);
+    } else {
+      handlePairingNotification(enrichedData);
+    }
   } catch (err) {
     console.error('[FCM] Error processing notification:', err.message);
   }
@@ -0,0 +1,383 @@
+// src/rustplus/grid.js
+// MyRustLink — Rust map grid references and monument lookup.
+//
+// Rust overlays the map with floor(mapSize / GRID_CELL_SIZE) square cells a
+// side, stretched to cover the whole map (so each is slightly larger than
+// GRID_CELL_SIZE), labelled from the top-left corner: columns A, B, … Z, AA,
+// AB, … and rows 0, 1, 2, … downwards. World coordinates from markers and
+// team info start at the bottom-left corner (y grows northwards), so rows are
+// counted from the top edge of the map.
+//
+// The world size comes from getInfo().mapSize — getMap().width is the size of
+// the map image in pixels, not the world. Monument positions come from
+// getMap().monuments and are in world coordinates.
+//
+// Per-server data (map size + monuments) is loaded by loadServerGrid() on
+// every connect (mapPoller.js retries, backing off, until it succeeds) and
+// reloaded after a wipe.
+//
+// Public API:
+//   gridCells(mapSize)                  — { cells, cellSize } of the grid overlay
+//   coordToGrid(x, y, mapSize)          — "G12", or null outside the grid
+//   gridToCoord(grid, mapSize)          — { x, y } centre of a cell, or null
+//   monumentName(token)                 — display name for a monument token
+//   nearestMonument(x, y, monuments)    — { name, token, x, y, distance } or null
+//   loadServerGrid(connection)          — fetch map size + monuments for a server
+//   clearServerGrid(ip, port)           — forget a server's grid data
+//   getGrid(ip, port, x, y)             — grid reference for a position on a server
+//   describeLocation(ip, port, x, y)    — e.g. "G12 near Harbor"
+//   gridToPosition(ip, port, grid)      — { x, y } centre of a cell on a server
+//   getMonuments(ip, port)              — monuments with display names
+//   getMapSize(ip, port)                — world size in units (0 until loaded)
+
+'use strict';
+
+const { PRIORITY } = require('./requestQueue.js');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Nominal side of one grid cell in world units (gridCells() scales it to the map) */
+const GRID_CELL_SIZE = 146.28571428571428;
+
+/** Monuments further than this (world units) are not mentioned in a location */
+const MONUMENT_NEAR_DISTANCE = 500;
+
+/** Display names for getMap() monument tokens */
+const MONUMENT_NAMES = {
+  airfield_display_name:              'Airfield',
+  arctic_base_a:                      'Arctic Research Base',
+  bandit_camp:                        'Bandit Camp',
+  dome_monument_name:                 'The Dome',
+  excavator:                          'Giant Excavator Pit',
+  ferryterminal:                      'Ferry Terminal',
+  fishing_village_display_name:       'Fishing Village',
+  gas_station:                        'Oxum\'s Gas Station',
+  harbor_display_name:                'Harbor',
+  harbor_2_display_name:              'Harbor',
+  junkyard_display_name:              'Junkyard',
+  large_fishing_village_display_name: 'Large Fishing Village',
+  large_oil_rig:                      'Large Oil Rig',
+  launchsite:                         'Launch Site',
+  lighthouse_display_name:            'Lighthouse',
+  military_tunnels_display_name:      'Military Tunnel',
+  mining_outpost_display_name:        'Mining Outpost',
+  mining_quarry_hqm_display_name:     'HQM Quarry',
+  mining_quarry_stone_display_name:   'Stone Quarry',
+  mining_quarry_sulfur_display_name:  'Sulfur Quarry',
+  missile_silo_monument:              'Missile Silo',
+  oil_rig_small:                      'Oil Rig',
+  outpost:                            'Outpost',
+  power_plant_display_name:           'Power Plant',
+  satellite_dish_display_name:        'Satellite Dish',
+  sewer_display_name:                 'Sewer Branch',
+  stables_a:                          'Ranch',
+  stables_b:                          'Large Barn',
+  supermarket:                        'Abandoned Supermarket',
+  swamp_c:                            'Abandoned Cabins',
+  train_yard_display_name:            'Train Yard',
+  underwater_lab:                     'Underwater Lab',
+  water_treatment_plant_display_name: 'Water Treatment Plant',
+  AbandonedMilitaryBase:              'Abandoned Military Base',
+};
+
+/** Monument tokens that are too numerous to be useful as landmarks */
+const IGNORED_MONUMENT_TOKENS = new Set([
+  'train_tunnel_display_name',
+  'train_tunnel_link_display_name',
+  'DungeonBase',
+]);
+
+// ---------------------------------------------------------------------------
+// Module-level state map
+// Keyed by "ip:port", value is that server's grid data.
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} Monument
+ * @property {string} token
+ * @property {string} name
+ * @property {number} x
+ * @property {number} y
+ */
+
+/**
+ * @typedef {object} ServerGrid
+ * @property {number}     mapSize    — world size in units (0 until known)
+ * @property {Monument[]} monuments
+ */
+
+/** @type {Map<string, ServerGrid>} */
+const gridMap = new Map();
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the canonical connection key.
+ * @param {string} ip
+ * @param {number} port
+ * @returns {string}
+ */
+function _key(ip, port) {
+  return `${ip}:${port}`;
+}
+
+/**
+ * Column index → letters: 0 → "A", 25 → "Z", 26 → "AA", 27 → "AB".
+ * @param {number} index
+ * @returns {string}
+ */
+function _columnLetters(index) {
+  let letters = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Letters → column index: "A" → 0, "Z" → 25, "AA" → 26.
+ * @param {string} letters — uppercase A–Z only
+ * @returns {number}
+ */
+function _columnIndex(letters) {
+  let n = 0;
+  for (const ch of letters) {
+    n = n * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return n - 1;
+}
+
+// ---------------------------------------------------------------------------
+// Pure conversions
+// ---------------------------------------------------------------------------
+
+/**
+ * Layout of the grid overlay on a map of the given size: the number of cells
+ * across, and the side of each cell in world units, stretched so the cells
+ * cover the whole map.
+ *
+ * @param {number} mapSize — world size in units (getInfo().mapSize)
+ * @returns {{ cells: number, cellSize: number }}
+ */
+function gridCells(mapSize) {
+  const cells = Math.max(1, Math.floor(mapSize / GRID_CELL_SIZE));
+  return { cells, cellSize: mapSize / cells };
+}
+
+/**
+ * Convert a world position to a grid reference like "G12". Returns null when
+ * the size is unknown or the position lies off the map (e.g. cargo ship out
+ * at sea).
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} mapSize — world size in units (getInfo().mapSize)
+ * @returns {string|null}
+ */
+function coordToGrid(x, y, mapSize) {
+  if (!mapSize) return null;
+  if (x < 0 || y < 0 || x > mapSize || y > mapSize) return null;
+
+  const { cells, cellSize } = gridCells(mapSize);
+  // The far edges (x or y exactly mapSize) belong to the last cell
+  const col = Math.min(Math.floor(x / cellSize), cells - 1);
+  const row = Math.min(Math.floor((mapSize - y) / cellSize), cells - 1);
+
+  return `${_columnLetters(col)}${row}`;
+}
+
+/**
+ * Convert a grid reference to the world position of the cell's centre.
+ *
+ * @param {string} grid    — e.g. "G12", "ab3" (case-insensitive)
+ * @param {number} mapSize — world size in units
+ * @returns {{ x: number, y: number }|null} null if malformed or off the map
+ */
+function gridToCoord(grid, mapSize) {
+  if (!mapSize || typeof grid !== 'string') return null;
+
+  const match = /^([A-Z]{1,2})(\d{1,2})$/.exec(grid.trim().toUpperCase());
+  if (!match) return null;
+
+  const { cells, cellSize } = gridCells(mapSize);
+  const col = _columnIndex(match[1]);
+  const row = parseInt(match[2], 10);
+  if (col >= cells || row >= cells) return null;
+
+  return {
+    x: (col + 0.5) * cellSize,
+    y: mapSize - (row + 0.5) * cellSize,
+  };
+}
+
+/**
+ * Display name for a getMap() monument token. Unknown tokens are tidied up
+ * ("some_place_display_name" → "Some Place").
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+function monumentName(token) {
+  if (MONUMENT_NAMES[token]) return MONUMENT_NAMES[token];
+  return String(token)
+    .replace(/_display_name$|_monument(_name)?$/, '')
+    .split('_')
+    .filter(Boolean)
+    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+    .join(' ');
+}
+
+/**
+ * Find the monument closest to a position.
+ *
+ * @param {number}     x
+ * @param {number}     y
+ * @param {Monument[]} monuments
+ * @param {number}     [maxDistance=MONUMENT_NEAR_DISTANCE]
+ * @returns {(Monument & { distance: number })|null}
+ */
+function nearestMonument(x, y, monuments, maxDistance = MONUMENT_NEAR_DISTANCE) {
+  let best = null;
+  for (const m of monuments || []) {
+    const distance = Math.hypot(m.x - x, m.y - y);
+    if (distance <= maxDistance && (!best || distance < best.distance)) {
+      best = Object.assign({}, m, { distance });
+    }
+  }
+  return best;
+}
+
+// ---------------------------------------------------------------------------
+// Per-server data
+// ---------------------------------------------------------------------------
+
+/**
+ * Fetch the world size (getInfo) and monument list (getMap) for a connection.
+ * Safe to call again after a wipe — the old data is replaced once both
+ * requests succeed. Failures leave the previous data in place.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @returns {Promise<ServerGrid|null>}
+ */
+async function loadServerGrid(connection) {
+  const key = _key(connection.serverIp, connection.serverPort);
+
+  try {
+    const info = await connection.getInfo({ priority: PRIORITY.EVENT });
+    const map  = await connection.getMap({ priority: PRIORITY.EVENT });
+
+    const monuments = (map.monuments || [])
+      .filter((m) => m.token && !IGNORED_MONUMENT_TOKENS.has(m.token))
+      .map((m) => ({ token: m.token, name: monumentName(m.token), x: m.x, y: m.y }));
+
+    const grid = { mapSize: info.mapSize || 0, monuments };
+    gridMap.set(key, grid);
+    console.log(`[Grid] Loaded ${key} — map size ${grid.mapSize}, ${monuments.length} monuments`);
+    return grid;
+  } catch (err) {
+    console.warn(`[Grid] Failed to load map data for ${key}: ${err.message}`);
+    return gridMap.get(key) || null;
+  }
+}
+
+/**
+ * Forget a server's grid data (connection removed).
+ * @param {string} ip
+ * @param {number} port
+ */
+function clearServerGrid(ip, port) {
+  gridMap.delete(_key(ip, port));
+}
+
+/**
+ * Grid reference for a position on a server, or '??' until the map size is known.
+ *
+ * @param {string} ip
+ * @param {number} port
+ * @param {number} x
+ * @param {number} y
+ * @returns {string}
+ */
+function getGrid(ip, port, x, y) {
+  const grid = gridMap.get(_key(ip, port));
+  if (!grid || !grid.mapSize) return '??';
+  return coordToGrid(x || 0, y || 0, grid.mapSize) || 'off-grid';
+}
+
+/**
+ * Grid reference plus the nearest monument, e.g. "G12 near Harbor".
+ * Falls back to the bare grid when no monument is close.
+ *
+ * @param {string} ip
+ * @param {number} port
+ * @param {number} x
+ * @param {number} y
+ * @returns {string}
+ */
+function describeLocation(ip, port, x, y) {
+  const cell = getGrid(ip, port, x, y);
+  const grid = gridMap.get(_key(ip, port));
+  const near = grid ? nearestMonument(x || 0, y || 0, grid.monuments) : null;
+  return near ? `${cell} near ${near.name}` : cell;
+}
+
+/**
+ * World position of a grid cell's centre on a server.
+ *
+ * @param {string} ip
+ * @param {number} port
+ * @param {string} gridRef — e.g. "G12"
+ * @returns {{ x: number, y: number }|null}
+ */
+function gridToPosition(ip, port, gridRef) {
+  const grid = gridMap.get(_key(ip, port));
+  return grid ? gridToCoord(gridRef, grid.mapSize) : null;
+}
+
+/**
+ * Monuments loaded for a server (empty until loadServerGrid succeeds).
+ * @param {string} ip
+ * @param {number} port
+ * @returns {Monument[]}
+ */
+function getMonuments(ip, port) {
+  const grid = gridMap.get(_key(ip, port));
+  return grid ? grid.monuments : [];
+}
+
+/**
+ * World size loaded for a server, in units (0 until loadServerGrid succeeds).
+ * @param {string} ip
+ * @param {number} port
+ * @returns {number}
+ */
+function getMapSize(ip, port) {
+  const grid = gridMap.get(_key(ip, port));
+  return grid ? grid.mapSize : 0;
+}
+
+// ---------------------------------------------------------------------------
+// Module exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  gridCells,
+  coordToGrid,
+  gridToCoord,
+  monumentName,
+  nearestMonument,
+  loadServerGrid,
+  clearServerGrid,
+  getGrid,
+  describeLocation,
+  gridToPosition,
+  getMonuments,
+  getMapSize,
+};
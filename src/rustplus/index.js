@@ -5,8 +5,24 @@
 // Each connection instance extends EventEmitter and re-emits typed game events:
 //   teamChat, alarmTriggered, switchChanged, storageUpdated, connected, disconnected
 //
-// Automatic exponential-backoff reconnection is built in and stops after
-// maxRetries consecutive failures (default: 10).
+// Automatic exponential-backoff reconnection is built in. After maxRetries
+// consecutive failures (default: 10) the connection is 'parked': it keeps
+// retrying at a slow, jittered interval (parkedDelayMs, default 5 minutes)
+// until the server comes back or revive() is called (/reconnect, dashboard).
+// Credential rejections are not network failures — once every token has been
+// rejected the connection stops retrying until revive() or new credentials.
+//
+// Request layer:
+//   Every Rust+ request goes through a promise-based method on the connection
+//   (getEntityInfo, setEntityValue, getTeamInfo, getInfo, getTime, getMap,
+//   getMapMarkers, sendTeamMessage). Each has a timeout and rejects with a
+//   typed error from ./errors.js. Per-method latency is kept in
+//   getRequestStats() and emitted as 'requestCompleted'.
+//
+//   Requests are scheduled through a per-connection RequestQueue
+//   (./requestQueue.js) that mirrors the server's token-bucket rate limit.
+//   Pass { priority: PRIORITY.POLL } for background polls and
+//   { priority: PRIORITY.EVENT } for event broadcasts; the default is USER.
 //
 // Entity type detection:
 //   The rustplus.js 'message' broadcast for entityChanged carries a payload
@@ -14,10 +30,28 @@
 //   shape to disambiguate:
 //     - payload.items present          → StorageMonitor  → storageUpdated
 //     - payload.value is boolean only  → Switch OR Alarm
-//       The entity type cache (populated via getEntityInfo responses that the
-//       manager issues on first connect) refines this. Until the cache is
-//       populated, value-based entities emit BOTH switchChanged AND alarmTriggered
-//       when value === true, and only switchChanged otherwise.
+//       The entity type cache refines this. On every connect the manager loads
+//       the server's rows from the devices table, seeds the cache from their
+//       device_type and calls getEntityInfo on each — which also subscribes
+//       the connection to that entity's broadcasts. Devices the server no
+//       longer knows are marked 'unreachable' in the DB.
+//       Entities that are still unknown emit BOTH switchChanged AND
+//       alarmTriggered when value === true, and only switchChanged otherwise.
+//
+// Subscribers:
+//   There is exactly one socket per server. Every pairing that points at the
+//   server (several guilds, channels or Steam users) is a subscriber on that
+//   connection; createConnection() adds a subscriber to an existing socket
+//   instead of replacing it. Discord forwarding fans out to every subscriber's
+//   channel (getChannelIds()). removeConnection() with a pairing id drops only
+//   that subscriber and closes the socket once the last one is gone.
+//
+// Token failover:
+//   Each pairing has a ranked list of Steam accounts (pairing_tokens). After
+//   every connect the manager probes the credentials with getInfo; if the
+//   server rejects them (AUTH_ERRORS) the account is marked failed and the
+//   socket reconnects with the next account that has a token, emitting
+//   'tokenFailover'. When no account is left it emits 'authFailed' and stops.
 //
 // Safe for multiple simultaneous server connections — each RustPlusConnection
 // instance is fully self-contained.
@@ -26,13 +60,31 @@
 
 const { EventEmitter } = require('events');
 const RustPlus = require('@liamcottle/rustplus.js');
-const { logEvent, db } = require('../db/index.js');
+const {
+  logEvent,
+  db,
+  getServerDevices,
+  setDeviceStatus,
+  getPairingTokens,
+  setPairingTokenFailure,
+} = require('../db/index.js');
+const {
+  RustPlusRequestError,
+  RustPlusNotConnectedError,
+  RustPlusTimeoutError,
+  RustPlusServerError,
+} = require('./errors.js');
+const { RequestQueue, PRIORITY, REQUEST_COST } = require('./requestQueue.js');
 
 // --- ADDED: Event broadcaster (alarm + storage threshold → team chat) ---
 const { wireBroadcasters } = require('./broadcaster.js');
 
 // --- ADDED: Map marker poller (cargo / heli / bradley / oil rig timers) ---
 const { startPoller, stopPoller } = require('./mapPoller.js');
+const { startTeamPoller, stopTeamPoller } = require('./teamPoller.js');
+const { startInfoPoller, stopInfoPoller } = require('./serverInfoPoller.js');
+const { startTimePoller, stopTimePoller } = require('./timePoller.js');
+const { startMarketPoller, stopMarketPoller } = require('./marketPoller.js');
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -45,14 +97,64 @@ const ENTITY_TYPE = {
   STORAGE_MONITOR: 3,
 };
 
+/**
+ * devices.device_type values, keyed by ENTITY_TYPE.
+ * Written when an entity pairing notification arrives (fcmListener.js).
+ */
+const DEVICE_TYPE_NAMES = {
+  [ENTITY_TYPE.SWITCH]:          'switch',
+  [ENTITY_TYPE.ALARM]:           'alarm',
+  [ENTITY_TYPE.STORAGE_MONITOR]: 'storage_monitor',
+};
+
+/** Reverse of DEVICE_TYPE_NAMES: devices.device_type → ENTITY_TYPE */
+const ENTITY_TYPE_BY_DEVICE_TYPE = Object.fromEntries(
+  Object.entries(DEVICE_TYPE_NAMES).map(([type, name]) => [name, Number(type)])
+);
+
 /** Reconnection configuration defaults */
 const RECONNECT_DEFAULTS = {
   initialDelayMs: 5000,   // 5 seconds before first retry
   backoffMultiplier: 1.5, // multiply delay on each consecutive failure
   maxDelayMs: 60000,      // cap at 60 seconds
-  maxRetries: 10,         // stop after this many consecutive failures
+  maxRetries: 10,         // park after this many consecutive failures
+  parkedDelayMs: 5 * 60 * 1000, // retry interval once parked
+  parkedJitter: 0.3,      // ±30% spread so parked servers don't retry in lockstep
 };
 
+/**
+ * Connection states reported by getState():
+ *   connected    — socket open
+ *   connecting   — first attempt (or a revive) in flight
+ *   reconnecting — backing off between retries
+ *   parked       — backoff exhausted; slow retries until the server returns
+ *   auth_failed  — every token was rejected; no retries until revive()
+ *   stopped      — disconnect() was called
+ */
+const CONNECTION_STATES = ['connected', 'connecting', 'reconnecting', 'parked', 'auth_failed', 'stopped'];
+
+/**
+ * AppError strings that mean the server rejected our credentials rather than
+ * the request. The getInfo probe sent on connect has no entity argument, so
+ * 'not_found' there means the player/token pair is unknown to the server.
+ */
+const AUTH_ERRORS = new Set(['not_found', 'banned', 'no_player', 'access_denied']);
+
+/**
+ * server_pairings.connection_mode values:
+ *   direct — connect straight to the server's app port
+ *   proxy  — always go through the Facepunch companion proxy
+ *   auto   — direct first, switch to the proxy after AUTO_PROXY_AFTER_FAILURES
+ *            consecutive failed attempts
+ */
+const CONNECTION_MODES = ['direct', 'proxy', 'auto'];
+
+/** Consecutive failed direct attempts before 'auto' mode switches to the proxy */
+const AUTO_PROXY_AFTER_FAILURES = 3;
+
+/** Default time to wait for a reply to any Rust+ request */
+const REQUEST_TIMEOUT_MS = 10000;
+
 // ---------------------------------------------------------------------------
 // Connection registry (the module-level Map)
 // ---------------------------------------------------------------------------
@@ -97,12 +199,14 @@ function safeLog(steamId, eventType, data) {
  * @fires RustPlusConnection#connected
  * @fires RustPlusConnection#disconnected
  * @fires RustPlusConnection#reconnecting
- * @fires RustPlusConnection#reconnectFailed
+ * @fires RustPlusConnection#parked
+ * @fires RustPlusConnection#revived
  * @fires RustPlusConnection#error
  * @fires RustPlusConnection#teamChat
  * @fires RustPlusConnection#alarmTriggered
  * @fires RustPlusConnection#switchChanged
  * @fires RustPlusConnection#storageUpdated
+ * @fires RustPlusConnection#requestCompleted
  */
 class RustPlusConnection extends EventEmitter {
 
@@ -113,13 +217,19 @@ class RustPlusConnection extends EventEmitter {
    * @param {object}  config.server
    * @param {string}  config.server.ip      — Rust server IP address
    * @param {number}  config.server.port    — Rust server app port (typically 28082)
-   * @param {string}  [config.guildId]      — Discord guild ID (stored for context)
-   * @param {string}  [config.channelId]    — Discord channel ID (stored for context)
+   * @param {number}  [config.pairingId]    — server_pairings.id of the first subscriber
+   * @param {string}  [config.guildId]      — Discord guild ID of the first subscriber
+   * @param {string}  [config.channelId]    — Discord channel ID of the first subscriber
    * @param {object}  [config.reconnect]    — Override reconnection settings
    * @param {number}  [config.reconnect.initialDelayMs]
    * @param {number}  [config.reconnect.backoffMultiplier]
    * @param {number}  [config.reconnect.maxDelayMs]
    * @param {number}  [config.reconnect.maxRetries]
+   * @param {number}  [config.reconnect.parkedDelayMs]
+   * @param {number}  [config.reconnect.parkedJitter]
+   * @param {number}  [config.requestTimeoutMs] — default timeout for requests (ms)
+   * @param {string}  [config.connectionMode]   — 'direct' (default), 'proxy' or 'auto'
+   * @param {number}  [config.autoProxyAfter]   — failed direct attempts before 'auto' uses the proxy
    */
   constructor(config) {
     super();
@@ -136,8 +246,15 @@ class RustPlusConnection extends EventEmitter {
     this.playerToken = config.playerToken;
     this.serverIp   = config.server.ip;
     this.serverPort = config.server.port;
-    this.guildId    = config.guildId || null;
-    this.channelId  = config.channelId || null;
+
+    /**
+     * Pairings sharing this socket, keyed by subscriberKey(). Insertion order
+     * is kept, so the first entry is the oldest pairing.
+     * @type {Map<string, { key: string, pairingId: number|null, steamId: string|null,
+     *                      playerToken: number|null, guildId: string|null, channelId: string|null }>}
+     */
+    this._subscribers = new Map();
+    this.addSubscriber(config);
 
     // Merge reconnect options with defaults
     const rc = Object.assign({}, RECONNECT_DEFAULTS, config.reconnect || {});
@@ -145,12 +262,20 @@ class RustPlusConnection extends EventEmitter {
     this._backoffMultiplier  = rc.backoffMultiplier;
     this._maxDelayMs         = rc.maxDelayMs;
     this._maxRetries         = rc.maxRetries;
+    this._parkedDelayMs      = rc.parkedDelayMs;
+    this._parkedJitter       = rc.parkedJitter;
+
+    this._requestTimeoutMs   = config.requestTimeoutMs || REQUEST_TIMEOUT_MS;
+    this._autoProxyAfter     = config.autoProxyAfter || AUTO_PROXY_AFTER_FAILURES;
+    this._proxyFallback      = false; // set once 'auto' mode has switched to the proxy
 
     // Internal state
     this._rustplus          = null;  // RustPlus client instance
     this._intentionalClose  = false; // true when disconnect() was called by us
     this._reconnectAttempt  = 0;     // consecutive failure counter
     this._reconnectTimer    = null;  // pending setTimeout handle
+    this._parked            = false; // true once the backoff retries ran out
+    this._parkedAttempt     = 0;     // slow retries made while parked
     this._isConnected       = false; // tracks live connection state
 
     /**
@@ -159,6 +284,26 @@ class RustPlusConnection extends EventEmitter {
      * @type {Map<number, number>}
      */
     this._entityTypeCache = new Map();
+
+    /**
+     * Per-method request latency stats, keyed by method name.
+     * @type {Map<string, { count: number, failures: number, timeouts: number,
+     *                      totalMs: number, lastMs: number }>}
+     */
+    this._requestStats = new Map();
+
+    /** Token-bucket scheduler shared by every request on this connection */
+    this._requestQueue = new RequestQueue();
+
+    /**
+     * Accounts whose token the server rejected: steamId → rejected token.
+     * A fresh token for the same account (re-pair) makes it eligible again.
+     * @type {Map<string, number>}
+     */
+    this._rejectedTokens = new Map();
+
+    /** True once every token candidate was rejected (cleared by new credentials) */
+    this._authFailed = false;
   }
 
   // -------------------------------------------------------------------------
@@ -174,16 +319,34 @@ class RustPlusConnection extends EventEmitter {
     this._clearReconnectTimer();
     this._intentionalClose = false;
 
-    console.log(`[RustPlus] Connecting to ${this.serverIp}:${this.serverPort} (steamId: ${this.steamId})`);
+    console.log(`[RustPlus] Connecting to ${this.serverIp}:${this.serverPort} (steamId: ${this.steamId}, mode: ${this.getConnectionMode()})`);
 
     try {
+      // 'auto' mode: give up on the direct route after repeated failures
+      if (this.getConnectionMode() === 'auto' && !this._proxyFallback &&
+          this._reconnectAttempt >= this._autoProxyAfter) {
+        this._proxyFallback = true;
+        console.warn(`[RustPlus] ${this._reconnectAttempt} direct attempts to ${this.serverIp}:${this.serverPort} failed — switching to Facepunch proxy`);
+
+        safeLog(this.steamId, 'proxy_fallback', {
+          server:   `${this.serverIp}:${this.serverPort}`,
+          attempts: this._reconnectAttempt,
+        });
+
+        /**
+         * @event RustPlusConnection#proxyFallback
+         * @type {{ attempts: number }}
+         */
+        this.emit('proxyFallback', { attempts: this._reconnectAttempt });
+      }
+
       // Create a fresh RustPlus client instance
       this._rustplus = new RustPlus(
         this.serverIp,
         this.serverPort,
         this.steamId,
         this.playerToken,
-        false // useFacepunchProxy — direct connection
+        this.isUsingProxy() // useFacepunchProxy
       );
 
       // Wire up all internal event handlers
@@ -208,6 +371,7 @@ class RustPlusConnection extends EventEmitter {
     this._intentionalClose = true;
     this._clearReconnectTimer();
     this._isConnected = false;
+    this._rejectQueuedRequests();
 
     if (this._rustplus) {
       try {
@@ -228,9 +392,61 @@ class RustPlusConnection extends EventEmitter {
     return this._isConnected;
   }
 
+  /**
+   * Current lifecycle state, one of CONNECTION_STATES.
+   * @returns {string}
+   */
+  getState() {
+    if (this._isConnected)     return 'connected';
+    if (this._authFailed)      return 'auth_failed';
+    if (this._intentionalClose) return 'stopped';
+    if (this._parked)          return 'parked';
+    if (this._reconnectTimer !== null) return 'reconnecting';
+    return 'connecting';
+  }
+
+  /**
+   * Manually bring a parked, auth-failed or stopped connection back: clears
+   * the parked state and rejected tokens, restarts from the top-ranked token
+   * and opens a fresh socket with a full backoff budget. On a live
+   * connection this forces a reconnect.
+   *
+   * @param {string} [by] — who asked (Discord user, 'dashboard'), for the event log
+   * @returns {string} the state before the revive
+   */
+  revive(by) {
+    const previousState = this.getState();
+    console.log(`[RustPlus] Reviving ${this.serverIp}:${this.serverPort} (was ${previousState})`);
+
+    this._authFailed = false;
+    this._rejectedTokens.clear();
+
+    const first = this.getTokenCandidates()[0];
+    if (first) {
+      this.steamId     = first.steamId;
+      this.playerToken = first.playerToken;
+    }
+
+    safeLog(this.steamId, 'connection_revived', {
+      server: `${this.serverIp}:${this.serverPort}`,
+      previousState,
+      by: by || null,
+    });
+
+    /**
+     * @event RustPlusConnection#revived
+     * @type {{ previousState: string, by: string|null }}
+     */
+    this.emit('revived', { previousState, by: by || null });
+
+    this._restart();
+    return previousState;
+  }
+
   /**
    * Convenience accessor for the underlying RustPlus client.
-   * Allows callers to send team messages, query entity info, etc.
+   * Prefer the promise-based request methods below (getEntityInfo,
+   * sendTeamMessage, ...) — they add timeouts and typed errors.
    * Returns null if not connected.
    * @returns {RustPlus|null}
    */
@@ -238,6 +454,139 @@ class RustPlusConnection extends EventEmitter {
     return this._rustplus;
   }
 
+  // -------------------------------------------------------------------------
+  // Subscribers (pairings sharing this socket)
+  // -------------------------------------------------------------------------
+
+  /**
+   * Guild of the oldest subscriber — kept for callers that only need one.
+   * @returns {string|null}
+   */
+  get guildId() {
+    const sub = this.getSubscribers().find((s) => s.guildId);
+    return sub ? sub.guildId : null;
+  }
+
+  /**
+   * Channel of the oldest subscriber — kept for callers that only need one.
+   * Use getChannelIds() to reach every subscribed channel.
+   * @returns {string|null}
+   */
+  get channelId() {
+    const sub = this.getSubscribers().find((s) => s.channelId);
+    return sub ? sub.channelId : null;
+  }
+
+  /**
+   * Add (or refresh) a pairing on this connection.
+   *
+   * @param {object} sub
+   * @param {number} [sub.pairingId]
+   * @param {string} [sub.steamId]
+   * @param {number} [sub.playerToken]
+   * @param {string} [sub.guildId]
+   * @param {string} [sub.channelId]
+   * @returns {boolean} true if this subscriber was not on the connection before
+   */
+  addSubscriber(sub) {
+    const key   = subscriberKey(sub);
+    const isNew = !this._subscribers.has(key);
+
+    this._subscribers.set(key, {
+      key,
+      pairingId:   sub.pairingId != null ? Number(sub.pairingId) : null,
+      steamId:     sub.steamId ? String(sub.steamId) : null,
+      playerToken: sub.playerToken || null,
+      guildId:     sub.guildId || null,
+      channelId:   sub.channelId || null,
+      connectionMode: CONNECTION_MODES.includes(sub.connectionMode) ? sub.connectionMode : 'direct',
+    });
+
+    return isNew;
+  }
+
+  /**
+   * Remove a pairing from this connection. If the removed pairing owned the
+   * credentials the socket is using, switch to another subscriber's
+   * credentials (when one has them) and reconnect.
+   *
+   * @param {string} key — subscriberKey() of the pairing
+   * @returns {number} subscribers left
+   */
+  removeSubscriber(key) {
+    const removed = this._subscribers.get(key);
+    if (!removed) return this._subscribers.size;
+    this._subscribers.delete(key);
+
+    const stillUsed = this.getSubscribers().some((s) => s.steamId === this.steamId);
+    if (removed.steamId === this.steamId && !stillUsed) {
+      const next = this.getSubscribers().find((s) => s.steamId && s.playerToken);
+      if (next) {
+        console.log(`[RustPlus] Owner pairing removed from ${this.serverIp}:${this.serverPort} — switching to steamId ${next.steamId}`);
+        this.setCredentials(next.steamId, next.playerToken);
+      }
+    }
+
+    return this._subscribers.size;
+  }
+
+  /**
+   * @returns {Array<{ key: string, pairingId: number|null, steamId: string|null,
+   *                   playerToken: number|null, guildId: string|null, channelId: string|null }>}
+   */
+  getSubscribers() {
+    return Array.from(this._subscribers.values());
+  }
+
+  /**
+   * Effective connection mode across all pairings sharing the socket: any
+   * pairing asking for the proxy wins, then 'auto', then 'direct'.
+   * @returns {'direct'|'proxy'|'auto'}
+   */
+  getConnectionMode() {
+    const modes = this.getSubscribers().map((s) => s.connectionMode);
+    if (modes.includes('proxy')) return 'proxy';
+    if (modes.includes('auto'))  return 'auto';
+    return 'direct';
+  }
+
+  /**
+   * True if the socket goes (or will go) through the Facepunch proxy.
+   * @returns {boolean}
+   */
+  isUsingProxy() {
+    const mode = this.getConnectionMode();
+    return mode === 'proxy' || (mode === 'auto' && this._proxyFallback);
+  }
+
+  /**
+   * Every distinct Discord channel subscribed to this server.
+   * @returns {string[]}
+   */
+  getChannelIds() {
+    const ids = this.getSubscribers().map((s) => s.channelId).filter(Boolean);
+    return Array.from(new Set(ids));
+  }
+
+  /**
+   * Switch the socket to another player's credentials. Reconnects immediately
+   * if the steamId or token actually changed.
+   *
+   * @param {string} steamId
+   * @param {number} playerToken
+   * @returns {boolean} true if a reconnect was started
+   */
+  setCredentials(steamId, playerToken) {
+    steamId = String(steamId);
+    if (steamId === this.steamId && playerToken === this.playerToken) return false;
+
+    this.steamId     = steamId;
+    this.playerToken = playerToken;
+    this._authFailed = false;
+    this._restart();
+    return true;
+  }
+
   /**
    * Register an entity's type in the local cache.
    * Call this when you already know the type (e.g. from a pairing record or
@@ -250,6 +599,256 @@ class RustPlusConnection extends EventEmitter {
     this._entityTypeCache.set(Number(entityId), entityType);
   }
 
+  /**
+   * Forget every cached entity type (e.g. after a wipe, when all entities are gone).
+   */
+  clearEntityTypes() {
+    this._entityTypeCache.clear();
+  }
+
+  // -------------------------------------------------------------------------
+  // Public request API — promise-based wrappers around rustplus.js callbacks
+  //
+  // Every method accepts an optional trailing { timeoutMs, priority } and
+  // rejects with RustPlusNotConnectedError, RustPlusTimeoutError,
+  // RustPlusServerError or (POLL priority only) RustPlusStaleRequestError.
+  // -------------------------------------------------------------------------
+
+  /**
+   * @param {number} entityId
+   * @param {{ timeoutMs?: number, priority?: number }} [opts]
+   * @returns {Promise<object>} AppEntityInfo { type, payload }
+   */
+  getEntityInfo(entityId, opts) {
+    return this._request('getEntityInfo', [Number(entityId)], 'entityInfo', opts)
+      .then((info) => {
+        // Every entity info reply tells us the entity's real type — keep it
+        if (info.type) this.registerEntityType(entityId, info.type);
+        return info;
+      });
+  }
+
+  /**
+   * @param {number}  entityId
+   * @param {boolean} value
+   * @param {{ timeoutMs?: number, priority?: number }} [opts]
+   * @returns {Promise<object>} AppResponse
+   */
+  setEntityValue(entityId, value, opts) {
+    return this._request('setEntityValue', [Number(entityId), Boolean(value)], null, opts);
+  }
+
+  /**
+   * @param {{ timeoutMs?: number, priority?: number }} [opts]
+   * @returns {Promise<object>} AppTeamInfo { leaderSteamId, members, ... }
+   */
+  getTeamInfo(opts) {
+    return this._request('getTeamInfo', [], 'teamInfo', opts);
+  }
+
+  /**
+   * @param {{ timeoutMs?: number, priority?: number }} [opts]
+   * @returns {Promise<object>} AppInfo { name, mapSize, wipeTime, players, ... }
+   */
+  getInfo(opts) {
+    return this._request('getInfo', [], 'info', opts);
+  }
+
+  /**
+   * @param {{ timeoutMs?: number, priority?: number }} [opts]
+   * @returns {Promise<object>} AppTime { dayLengthMinutes, timeScale, sunrise, sunset, time }
+   */
+  getTime(opts) {
+    return this._request('getTime', [], 'time', opts);
+  }
+
+  /**
+   * @param {{ timeoutMs?: number, priority?: number }} [opts]
+   * @returns {Promise<object>} AppMap { width, height, jpgImage, oceanMargin, monuments }
+   */
+  getMap(opts) {
+    return this._request('getMap', [], 'map', opts);
+  }
+
+  /**
+   * @param {{ timeoutMs?: number, priority?: number }} [opts]
+   * @returns {Promise<object>} AppMapMarkers { markers }
+   */
+  getMapMarkers(opts) {
+    return this._request('getMapMarkers', [], 'mapMarkers', opts);
+  }
+
+  /**
+   * @param {string} text
+   * @param {{ timeoutMs?: number, priority?: number }} [opts]
+   * @returns {Promise<object>} AppResponse
+   */
+  sendTeamMessage(text, opts) {
+    return this._request('sendTeamMessage', [String(text)], null, opts);
+  }
+
+  /**
+   * Snapshot of per-method request latency.
+   * @returns {Object<string, { count: number, failures: number, timeouts: number,
+   *                            avgMs: number, lastMs: number }>}
+   */
+  getRequestStats() {
+    const out = {};
+    for (const [method, st] of this._requestStats) {
+      out[method] = {
+        count:    st.count,
+        failures: st.failures,
+        timeouts: st.timeouts,
+        avgMs:    st.count ? Math.round(st.totalMs / st.count) : 0,
+        lastMs:   st.lastMs,
+      };
+    }
+    return out;
+  }
+
+  /**
+   * Request queue depth and token-bucket state (see requestQueue.js).
+   * @returns {{ depth: number, byPriority: object, tokens: number, sent: number, dropped: number }}
+   */
+  getQueueStats() {
+    return this._requestQueue.getStats();
+  }
+
+  // -------------------------------------------------------------------------
+  // Internal — request plumbing
+  // -------------------------------------------------------------------------
+
+  /**
+   * Queue one request and settle with its response once it has been sent.
+   *
+   * @param {string}      method       — rustplus.js method name
+   * @param {Array}       args         — arguments before the callback
+   * @param {string|null} responseKey  — AppResponse field to resolve with, or null for the whole response
+   * @param {{ timeoutMs?: number, priority?: number }} [opts]
+   * @returns {Promise<object>}
+   * @private
+   */
+  _request(method, args, responseKey, opts = {}) {
+    const server = `${this.serverIp}:${this.serverPort}`;
+
+    if (!this._isConnected || !this._rustplus) {
+      return Promise.reject(new RustPlusNotConnectedError({ method, server }));
+    }
+
+    return this._requestQueue.enqueue({
+      cost:     REQUEST_COST[method] || 1,
+      priority: opts.priority,
+      details:  { method, server },
+      run:      () => this._send(method, args, responseKey, opts),
+    });
+  }
+
+  /**
+   * Send one request through the RustPlus client right now.
+   * The timeout starts here, not while the request waits in the queue.
+   *
+   * @param {string}      method
+   * @param {Array}       args
+   * @param {string|null} responseKey
+   * @param {{ timeoutMs?: number }} [opts]
+   * @returns {Promise<object>}
+   * @private
+   */
+  _send(method, args, responseKey, opts = {}) {
+    const server    = `${this.serverIp}:${this.serverPort}`;
+    const timeoutMs = opts.timeoutMs || this._requestTimeoutMs;
+    const rp        = this._rustplus;
+
+    // The socket may have dropped while the request was queued
+    if (!this._isConnected || !rp) {
+      return Promise.reject(new RustPlusNotConnectedError({ method, server }));
+    }
+
+    return new Promise((resolve, reject) => {
+      const startedAt = Date.now();
+      let settled     = false;
+
+      const finish = (outcome, err, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        this._recordRequest(method, Date.now() - startedAt, outcome);
+        if (err) reject(err); else resolve(value);
+      };
+
+      const timer = setTimeout(() => {
+        finish('timeout', new RustPlusTimeoutError(timeoutMs, { method, server }));
+      }, timeoutMs);
+
+      try {
+        rp[method](...args, (message) => {
+          const response = message && message.response;
+
+          if (!response) {
+            finish('error', new RustPlusRequestError(`Unexpected reply to ${method}`, { method, server }));
+          } else if (response.error) {
+            finish('error', new RustPlusServerError(response.error.error, { method, server }));
+          } else if (responseKey && !response[responseKey]) {
+            finish('error', new RustPlusRequestError(`${method} reply is missing ${responseKey}`, { method, server }));
+          } else {
+            finish('ok', null, responseKey ? response[responseKey] : response);
+          }
+
+          // Tell rustplus.js the reply was handled so it is not re-emitted as 'message'
+          return true;
+        });
+      } catch (err) {
+        // rustplus.js throws synchronously if the websocket is not open yet
+        finish('error', new RustPlusRequestError(`${method} failed: ${err.message}`, { method, server }));
+      }
+    });
+  }
+
+  /**
+   * Fail every request still waiting in the queue — the socket they were
+   * meant for is gone.
+   * @private
+   */
+  _rejectQueuedRequests() {
+    const server = `${this.serverIp}:${this.serverPort}`;
+    this._requestQueue.clear((req) => new RustPlusNotConnectedError({ ...req.details, server }));
+  }
+
+  /**
+   * Record latency for a settled request and emit 'requestCompleted'.
+   *
+   * @param {string} method
+   * @param {number} latencyMs
+   * @param {'ok'|'error'|'timeout'} outcome
+   * @private
+   */
+  _recordRequest(method, latencyMs, outcome) {
+    let st = this._requestStats.get(method);
+    if (!st) {
+      st = { count: 0, failures: 0, timeouts: 0, totalMs: 0, lastMs: 0 };
+      this._requestStats.set(method, st);
+    }
+
+    st.count++;
+    st.totalMs += latencyMs;
+    st.lastMs   = latencyMs;
+    if (outcome === 'error')   st.failures++;
+    if (outcome === 'timeout') st.timeouts++;
+
+    if (outcome === 'timeout') {
+      console.warn(`[RustPlus] ${method} timed out on ${this.serverIp}:${this.serverPort} (${latencyMs}ms)`);
+    }
+
+    /**
+     * @event RustPlusConnection#requestCompleted
+     * @type {object}
+     * @property {string} method
+     * @property {number} latencyMs
+     * @property {'ok'|'error'|'timeout'} outcome
+     */
+    this.emit('requestCompleted', { method, latencyMs, outcome });
+  }
+
   // -------------------------------------------------------------------------
   // Internal — rustplus.js event wiring
   // -------------------------------------------------------------------------
@@ -309,6 +908,8 @@ class RustPlusConnection extends EventEmitter {
 
     this._isConnected      = true;
     this._reconnectAttempt = 0; // reset backoff on successful connection
+    this._parked           = false;
+    this._parkedAttempt    = 0;
     this._clearReconnectTimer();
 
     safeLog(this.steamId, 'connected', {
@@ -326,6 +927,181 @@ class RustPlusConnection extends EventEmitter {
       serverIp: this.serverIp,
       serverPort: this.serverPort,
     });
+
+    this._verifyAuth().catch((err) => {
+      console.error(`[RustPlus] Credential check failed (${this.serverIp}:${this.serverPort}):`, err.message);
+    });
+
+    this._warmEntityCache().catch((err) => {
+      console.error(`[RustPlus] Entity cache warm-up failed (${this.serverIp}:${this.serverPort}):`, err.message);
+    });
+  }
+
+  /**
+   * Ranked accounts this connection may authenticate as: each subscriber's
+   * pairing_tokens list in subscriber order, then subscribers' own
+   * credentials. Deduplicated by steamId; placeholders without a token skipped.
+   *
+   * @returns {Array<{ steamId: string, playerToken: number, playerName: string|null }>}
+   */
+  getTokenCandidates() {
+    const candidates = [];
+    const seen = new Set();
+    const push = (steamId, playerToken, playerName) => {
+      steamId = String(steamId);
+      if (!playerToken || seen.has(steamId)) return;
+      seen.add(steamId);
+      candidates.push({ steamId, playerToken: Number(playerToken), playerName: playerName || null });
+    };
+
+    for (const sub of this.getSubscribers()) {
+      if (sub.pairingId == null) continue;
+      try {
+        for (const row of getPairingTokens(sub.pairingId)) {
+          push(row.steam_id, row.rust_plus_token, row.player_name);
+        }
+      } catch (err) {
+        console.error(`[RustPlus] Failed to load token list for pairing ${sub.pairingId}:`, err.message);
+      }
+    }
+    for (const sub of this.getSubscribers()) {
+      push(sub.steamId, sub.playerToken, null);
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Probe the current credentials after connecting. An auth rejection hands
+   * over to the next token; anything else (timeout, rate limit) is ignored.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _verifyAuth() {
+    const steamId     = this.steamId;
+    const playerToken = this.playerToken;
+
+    try {
+      await this.getInfo({ priority: PRIORITY.EVENT });
+      if (this._rejectedTokens.delete(steamId)) {
+        setPairingTokenFailure(steamId, null);
+      }
+    } catch (err) {
+      if (!(err instanceof RustPlusServerError) || !AUTH_ERRORS.has(err.serverError)) return;
+      // Credentials changed while the probe was in flight — the new ones get their own probe
+      if (steamId !== this.steamId || playerToken !== this.playerToken) return;
+      this._onAuthRejected(err.serverError);
+    }
+  }
+
+  /**
+   * Mark the current account as rejected and fail over to the next candidate.
+   * @param {string} reason — AppError string from the server
+   * @private
+   */
+  _onAuthRejected(reason) {
+    const server          = `${this.serverIp}:${this.serverPort}`;
+    const previousSteamId = this.steamId;
+
+    console.warn(`[RustPlus] Credentials for steamId ${previousSteamId} rejected by ${server}: ${reason}`);
+
+    this._rejectedTokens.set(previousSteamId, this.playerToken);
+    try {
+      setPairingTokenFailure(previousSteamId, reason);
+    } catch (err) {
+      console.error('[RustPlus][DB] Failed to record token failure:', err.message);
+    }
+
+    const next = this.getTokenCandidates().find((c) =>
+      this._rejectedTokens.get(c.steamId) !== c.playerToken
+    );
+
+    if (!next) {
+      this._authFailed = true;
+      safeLog(previousSteamId, 'auth_failed', { server, reason });
+
+      /**
+       * @event RustPlusConnection#authFailed
+       * @type {{ steamId: string, reason: string }}
+       */
+      this.emit('authFailed', { steamId: previousSteamId, reason });
+      this.disconnect();
+      return;
+    }
+
+    safeLog(previousSteamId, 'token_failover', {
+      server,
+      reason,
+      from: previousSteamId,
+      to:   next.steamId,
+    });
+
+    /**
+     * @event RustPlusConnection#tokenFailover
+     * @type {{ previousSteamId: string, steamId: string, playerName: string|null, reason: string }}
+     */
+    this.emit('tokenFailover', {
+      previousSteamId,
+      steamId:    next.steamId,
+      playerName: next.playerName,
+      reason,
+    });
+
+    this.setCredentials(next.steamId, next.playerToken);
+  }
+
+  /**
+   * Load this server's paired devices, seed the entity type cache from the
+   * DB, then confirm each one with getEntityInfo. The getEntityInfo call also
+   * makes the server start sending entityChanged broadcasts for the entity.
+   *
+   * Devices the server reports as not_found are marked 'unreachable'; devices
+   * that answer are (re)marked 'ok'. Timeouts leave the status unchanged.
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _warmEntityCache() {
+    const devices = getServerDevices(this.serverIp, this.serverPort);
+    if (devices.length === 0) return;
+
+    // Seed from the DB first so broadcasts that arrive mid-warm-up route correctly
+    for (const device of devices) {
+      const type = ENTITY_TYPE_BY_DEVICE_TYPE[device.device_type];
+      if (type) this.registerEntityType(device.entity_id, type);
+    }
+
+    let reachable = 0;
+    let unreachable = 0;
+
+    for (const device of devices) {
+      try {
+        await this.getEntityInfo(device.entity_id, { priority: PRIORITY.EVENT });
+        reachable++;
+        if (device.status !== 'ok') setDeviceStatus(device.id, 'ok');
+      } catch (err) {
+        if (err instanceof RustPlusNotConnectedError) return; // socket dropped — next connect retries
+        if (err instanceof RustPlusServerError && err.serverError === 'not_found') {
+          unreachable++;
+          this._entityTypeCache.delete(Number(device.entity_id));
+          if (device.status !== 'unreachable') {
+            setDeviceStatus(device.id, 'unreachable');
+            safeLog(this.steamId, 'device_unreachable', {
+              server:   `${this.serverIp}:${this.serverPort}`,
+              entityId: device.entity_id,
+              name:     device.name,
+            });
+          }
+        } else {
+          console.warn(`[RustPlus] getEntityInfo(${device.entity_id}) failed during warm-up: ${err.message}`);
+        }
+      }
+    }
+
+    console.log(
+      `[RustPlus] Entity cache warmed for ${this.serverIp}:${this.serverPort} — ` +
+      `${reachable} reachable, ${unreachable} unreachable, ${devices.length} total`
+    );
   }
 
   /** @private */
@@ -333,6 +1109,7 @@ class RustPlusConnection extends EventEmitter {
     console.log(`[RustPlus] Disconnected from ${this.serverIp}:${this.serverPort} (intentional: ${this._intentionalClose})`);
 
     this._isConnected = false;
+    this._rejectQueuedRequests();
 
     safeLog(this.steamId, 'disconnected', {
       server: `${this.serverIp}:${this.serverPort}`,
@@ -581,31 +1358,31 @@ class RustPlusConnection extends EventEmitter {
     return Math.min(delay, this._maxDelayMs);
   }
 
+  /**
+   * Delay before the next parked retry: parkedDelayMs ± parkedJitter.
+   * @private
+   * @returns {number}
+   */
+  _getParkedDelay() {
+    const spread = (Math.random() * 2 - 1) * this._parkedJitter;
+    return Math.round(this._parkedDelayMs * (1 + spread));
+  }
+
   /**
    * Schedule the next reconnect attempt after the calculated backoff delay.
    * Increments the attempt counter and emits a 'reconnecting' event.
-   * Stops and emits 'reconnectFailed' if maxRetries is exceeded.
+   * Once maxRetries is exceeded the connection parks instead (see _park).
+   * Does nothing after an auth failure — retrying rejected tokens can't help.
    * @private
    */
   _scheduleReconnect() {
-    // Check if we've hit the retry ceiling
-    if (this._maxRetries > 0 && this._reconnectAttempt >= this._maxRetries) {
-      console.error(
-        `[RustPlus] Reconnect failed: max retries (${this._maxRetries}) exceeded for ${this.serverIp}:${this.serverPort}`
-      );
-
-      safeLog(this.steamId, 'reconnect_failed', {
-        server: `${this.serverIp}:${this.serverPort}`,
-        attempts: this._reconnectAttempt,
-        time: new Date().toISOString(),
-      });
+    if (this._authFailed) {
+      console.warn(`[RustPlus] Not reconnecting to ${this.serverIp}:${this.serverPort} — credentials were rejected`);
+      return;
+    }
 
-      /**
-       * @event RustPlusConnection#reconnectFailed
-       * @type {object}
-       * @property {number} attempts — total attempts made
-       */
-      this.emit('reconnectFailed', { attempts: this._reconnectAttempt });
+    if (this._parked || (this._maxRetries > 0 && this._reconnectAttempt >= this._maxRetries)) {
+      this._park();
       return;
     }
 
@@ -645,6 +1422,85 @@ class RustPlusConnection extends EventEmitter {
     }, delayMs);
   }
 
+  /**
+   * Enter (or stay in) the parked state and schedule the next slow retry.
+   * Emits 'parked' only on entry; each later retry is logged.
+   * @private
+   */
+  _park() {
+    const server  = `${this.serverIp}:${this.serverPort}`;
+    const delayMs = this._getParkedDelay();
+
+    if (!this._parked) {
+      this._parked = true;
+      console.error(
+        `[RustPlus] Max retries (${this._maxRetries}) exceeded for ${server} — parking, ` +
+        `next attempt in ${Math.round(delayMs / 1000)}s`
+      );
+
+      safeLog(this.steamId, 'connection_parked', {
+        server,
+        attempts: this._reconnectAttempt,
+        time: new Date().toISOString(),
+      });
+
+      /**
+       * @event RustPlusConnection#parked
+       * @type {object}
+       * @property {number} attempts — backoff attempts made before parking
+       * @property {number} delayMs  — milliseconds until the first parked retry
+       */
+      this.emit('parked', { attempts: this._reconnectAttempt, delayMs });
+    } else {
+      this._parkedAttempt++;
+      console.log(`[RustPlus] ${server} still unreachable (parked retry ${this._parkedAttempt}), next attempt in ${Math.round(delayMs / 1000)}s`);
+
+      safeLog(this.steamId, 'reconnecting', {
+        server,
+        attempt: this._reconnectAttempt + this._parkedAttempt,
+        delayMs,
+        parked:  true,
+        time:    new Date().toISOString(),
+      });
+    }
+
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      if (!this._intentionalClose) {
+        this.connect();
+      }
+    }, delayMs);
+  }
+
+  /**
+   * Drop the current socket without triggering the reconnect logic and open a
+   * fresh one with a full backoff budget (e.g. after the credentials changed).
+   * @private
+   */
+  _restart() {
+    this._clearReconnectTimer();
+    this._reconnectAttempt = 0;
+    this._parked           = false;
+    this._parkedAttempt    = 0;
+    this._isConnected      = false;
+    this._rejectQueuedRequests();
+
+    const old = this._rustplus;
+    this._rustplus = null;
+    if (old) {
+      // Detach first so the old socket's 'disconnected' doesn't schedule a reconnect
+      old.removeAllListeners();
+      old.on('error', () => {}); // a late socket error must not go unhandled
+      try {
+        old.disconnect();
+      } catch (err) {
+        console.warn(`[RustPlus] Error closing old socket (${this.serverIp}:${this.serverPort}):`, err.message);
+      }
+    }
+
+    this.connect();
+  }
+
   /**
    * Cancel any pending reconnect timer.
    * @private
@@ -662,6 +1518,17 @@ class RustPlusConnection extends EventEmitter {
 // Connection registry functions
 // ---------------------------------------------------------------------------
 
+/**
+ * Key identifying one subscriber (pairing) on a connection. Uses the
+ * server_pairings id when known, otherwise the guild/channel pair.
+ * @param {{ pairingId?: number, guildId?: string, channelId?: string }} sub
+ * @returns {string}
+ */
+function subscriberKey(sub) {
+  if (sub.pairingId != null) return `pairing:${sub.pairingId}`;
+  return `channel:${sub.guildId || ''}:${sub.channelId || ''}`;
+}
+
 /**
  * Build the canonical map key for a server.
  * @param {string} ip
@@ -676,8 +1543,12 @@ function _connectionKey(ip, port) {
  * Create a new RustPlusConnection, register it in the connections map, and
  * start the WebSocket connection. Returns the new connection instance.
  *
- * If a connection for the same ip:port already exists, it is disconnected and
- * replaced.
+ * If a connection for the same ip:port already exists, the pairing is added
+ * to it as another subscriber and the existing connection is returned — the
+ * socket is shared, never replaced. When the pairing carries a new token for
+ * the Steam user the socket is already authenticated as (a re-pair), the
+ * socket reconnects with that token. Steam credentials are only required
+ * when no connection exists yet.
  *
  * @param {object} config — same shape as RustPlusConnection constructor config
  * @returns {RustPlusConnection}
@@ -689,12 +1560,28 @@ function createConnection(config) {
 
   const key = _connectionKey(config.server.ip, config.server.port);
 
-  // Tear down any existing connection for the same server
-  if (connections.has(key)) {
-    console.log(`[RustPlus] Replacing existing connection for ${key}`);
-    const existing = connections.get(key);
-    existing.disconnect();
-    connections.delete(key);
+  const existing = connections.get(key);
+  if (existing) {
+    const usedProxy = existing.isUsingProxy();
+    const isNew = existing.addSubscriber(config);
+    console.log(
+      `[RustPlus] ${isNew ? 'Added subscriber' : 'Refreshed subscriber'} ${subscriberKey(config)} ` +
+      `on shared connection ${key} (${existing.getSubscribers().length} total)`
+    );
+
+    // A re-pair by the connected account, or any usable account once every
+    // other token has been rejected, takes over the socket
+    if (config.steamId && config.playerToken &&
+        (String(config.steamId) === existing.steamId || existing._authFailed)) {
+      existing.setCredentials(config.steamId, config.playerToken);
+    }
+
+    // The new pairing changed the route (e.g. it asked for the proxy)
+    if (existing.isUsingProxy() !== usedProxy) {
+      console.log(`[RustPlus] Connection mode for ${key} is now ${existing.getConnectionMode()} — reconnecting`);
+      existing._restart();
+    }
+    return existing;
   }
 
   const connection = new RustPlusConnection(config);
@@ -719,6 +1606,16 @@ function createConnection(config) {
   // --- ADDED: Start map marker poller (cargo / heli / bradley / oil rig) ---
   startPoller(connection);
 
+  // Team poller (online / offline / death / respawn / leader changes)
+  startTeamPoller(connection);
+
+  // Server info poller (population snapshots, wipe detection)
+  startInfoPoller(connection);
+
+  // In-game clock poller (night approaching / night / day transitions)
+  startTimePoller(connection);
+  startMarketPoller(connection);
+
   // Wire Discord event-forwarding (team chat ! commands, alarm/cargo/heli events).
   // Lazy require avoids circular dependency: bot/index.js → rustplus/index.js.
   // The _discordEventsWired guard prevents duplicate wiring if the caller also
@@ -749,14 +1646,19 @@ function getConnection(ip, port) {
 }
 
 /**
- * Disconnect and remove a connection from the registry.
+ * Remove a pairing from a server's connection, or the whole connection.
+ *
+ * With a subscriber (e.g. { pairingId }), only that pairing is dropped and the
+ * socket stays open while other pairings still use it. Without one, the
+ * connection is disconnected and removed for every pairing.
  * Does nothing if no connection exists for the given server.
  *
  * @param {string} ip
  * @param {number} port
- * @returns {boolean} true if a connection was found and removed
+ * @param {{ pairingId?: number, guildId?: string, channelId?: string }} [subscriber]
+ * @returns {boolean} true if a connection was found
  */
-function removeConnection(ip, port) {
+function removeConnection(ip, port, subscriber) {
   const key  = _connectionKey(ip, port);
   const conn = connections.get(key);
 
@@ -764,9 +1666,21 @@ function removeConnection(ip, port) {
     return false;
   }
 
+  if (subscriber) {
+    const remaining = conn.removeSubscriber(subscriberKey(subscriber));
+    if (remaining > 0) {
+      console.log(`[RustPlus] Subscriber ${subscriberKey(subscriber)} removed from ${key} (${remaining} left — keeping socket open)`);
+      return true;
+    }
+  }
+
   conn.disconnect();
   // --- ADDED: Stop map marker poller for this connection ---
   stopPoller(conn);
+  stopTeamPoller(conn);
+  stopInfoPoller(conn);
+  stopTimePoller(conn);
+  stopMarketPoller(conn);
   connections.delete(key);
   console.log(`[RustPlus] Connection removed for ${key}`);
   return true;
@@ -792,10 +1706,24 @@ module.exports = {
   getConnection,
   removeConnection,
   getAllConnections,
+  subscriberKey,
 
   // Class export for testing / dependency injection
   RustPlusConnection,
 
   // Entity type constants (useful for callers calling registerEntityType)
   ENTITY_TYPE,
+  DEVICE_TYPE_NAMES,
+
+  // Default request timeout (ms) for the promise-based request methods
+  REQUEST_TIMEOUT_MS,
+
+  // Request priorities for the { priority } option of request methods
+  PRIORITY,
+
+  // server_pairings.connection_mode values
+  CONNECTION_MODES,
+
+  // getState() values
+  CONNECTION_STATES,
 };
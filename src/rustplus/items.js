@@ -0,0 +1,186 @@
+// src/rustplus/items.js
+// MyRustLink — Rust item names.
+//
+// Rust+ only sends numeric item IDs (vending machine orders, storage monitor
+// contents). This is a hand-kept table of the items people actually trade or
+// search for; anything missing is shown as "Item <id>" and can still be
+// searched by its numeric ID.
+//
+// Public API:
+//   getItemName(itemId)   — display name, or "Item <id>" if unknown
+//   findItemIds(query)    — item IDs matching a name, alias or numeric ID
+//   SCRAP_ITEM_ID         — the usual vending machine currency
+
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Item table
+// ---------------------------------------------------------------------------
+
+const SCRAP_ITEM_ID = -932201673;
+
+/** itemId → display name */
+const ITEM_NAMES = {
+  // Resources
+  [SCRAP_ITEM_ID]: 'Scrap',
+  '-151838493':  'Wood',
+  '-2099697608': 'Stones',
+  '69511070':    'Metal Fragments',
+  '317398316':   'High Quality Metal',
+  '-1581843485': 'Sulfur',
+  '-1157596551': 'Sulfur Ore',
+  '-4031221':    'Metal Ore',
+  '-1982036270': 'High Quality Metal Ore',
+  '-1938052175': 'Charcoal',
+  '-858312878':  'Cloth',
+  '1381010055':  'Leather',
+  '-1899491405': 'Animal Fat',
+  '-946369541':  'Low Grade Fuel',
+  '-321733511':  'Crude Oil',
+  '-265876753':  'Gun Powder',
+  '-592016202':  'Explosives',
+
+  // Components
+  '73681876':    'Tech Trash',
+  '479143914':   'Gears',
+  '-1021495308': 'Metal Spring',
+  '95950017':    'Metal Pipe',
+  '1199391518':  'Road Signs',
+  '-1994909036': 'Sheet Metal',
+  '1414245522':  'Rope',
+  '1234880403':  'Sewing Kit',
+  '2019042823':  'Tarp',
+  '1882709339':  'Metal Blade',
+  '-1673693549': 'Empty Propane Tank',
+  '176787552':   'Rifle Body',
+  '1230323789':  'SMG Body',
+  '573926264':   'Semi Automatic Body',
+  '1523195708':  'Targeting Computer',
+  '634478325':   'CCTV Camera',
+
+  // Weapons
+  '1545779598':  'Assault Rifle',
+  '1588298435':  'Bolt Action Rifle',
+  '-1812555177': 'LR-300 Assault Rifle',
+  '-904863145':  'Semi-Automatic Rifle',
+  '-2069578888': 'M249',
+  '-1758372725': 'Thompson',
+  '1796682209':  'Custom SMG',
+  '1318558775':  'MP5A4',
+  '818877484':   'Semi-Automatic Pistol',
+  '1373971859':  'Python Revolver',
+  '649912614':   'Revolver',
+  '795371088':   'Pump Shotgun',
+  '442886268':   'Rocket Launcher',
+
+  // Ammo and explosives
+  '-1211166256': '5.56 Rifle Ammo',
+  '-1321651331': 'Explosive 5.56 Rifle Ammo',
+  '785728077':   'Pistol Bullet',
+  '-1685290200': '12 Gauge Buckshot',
+  '-742865266':  'Rocket',
+  '1248356124':  'Timed Explosive Charge',
+  '1397052267':  'Supply Signal',
+
+  // Medical
+  '1079279582':  'Medical Syringe',
+  '254522515':   'Large Medkit',
+  '-2072273936': 'Bandage',
+
+  // Clothing and armour
+  '-194953424':  'Metal Facemask',
+  '1110385766':  'Metal Chest Plate',
+  '1850456855':  'Road Sign Kilt',
+  '-2002277461': 'Road Sign Jacket',
+  '-803263829':  'Coffee Can Helmet',
+  '1751045826':  'Hoodie',
+  '237239288':   'Pants',
+  '1266491000':  'Hazmat Suit',
+
+  // Building and deployables
+  '-967648160':  'High External Stone Wall',
+  '1390353317':  'Sheet Metal Door',
+  '1353298668':  'Armored Door',
+  '-97956382':   'Tool Cupboard',
+  '1560881570':  'Large Wood Box',
+  '-1999722522': 'Furnace',
+  '1992974553':  'Large Furnace',
+  '1524187186':  'Work Bench Level 1',
+  '-41896755':   'Work Bench Level 2',
+  '-1607980696': 'Work Bench Level 3',
+  '-2139580305': 'Auto Turret',
+
+  // Keycards
+  '37122747':    'Green Keycard',
+  '-484206264':  'Blue Keycard',
+  '-1880870149': 'Red Keycard',
+};
+
+/** Common shorthand → display name (must match an ITEM_NAMES value) */
+const ITEM_ALIASES = {
+  c4:      'Timed Explosive Charge',
+  hqm:     'High Quality Metal',
+  frags:   'Metal Fragments',
+  lgf:     'Low Grade Fuel',
+  fuel:    'Low Grade Fuel',
+  gp:      'Gun Powder',
+  ak:      'Assault Rifle',
+  lr:      'LR-300 Assault Rifle',
+  bolty:   'Bolt Action Rifle',
+  sar:     'Semi-Automatic Rifle',
+  p2:      'Semi-Automatic Pistol',
+  tommy:   'Thompson',
+  rockets: 'Rocket',
+  syringe: 'Medical Syringe',
+  tc:      'Tool Cupboard',
+  t1:      'Work Bench Level 1',
+  t2:      'Work Bench Level 2',
+  t3:      'Work Bench Level 3',
+};
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Display name for an item ID.
+ * @param {number} itemId
+ * @returns {string}
+ */
+function getItemName(itemId) {
+  return ITEM_NAMES[itemId] || `Item ${itemId}`;
+}
+
+/**
+ * Resolve a search term to item IDs. An exact name or alias wins; otherwise
+ * every item whose name contains the term is returned. A numeric term is
+ * taken as an item ID.
+ *
+ * @param {string} query — e.g. "c4", "rifle body", "-932201673"
+ * @returns {number[]}
+ */
+function findItemIds(query) {
+  const q = String(query || '').trim().toLowerCase();
+  if (!q) return [];
+  if (/^-?\d+$/.test(q)) return [Number(q)];
+
+  const entries = Object.entries(ITEM_NAMES);
+  const target  = ITEM_ALIASES[q] ? ITEM_ALIASES[q].toLowerCase() : q;
+
+  const exact = entries.filter(([, name]) => name.toLowerCase() === target);
+  if (exact.length > 0) return exact.map(([id]) => Number(id));
+
+  return entries
+    .filter(([, name]) => name.toLowerCase().includes(target))
+    .map(([id]) => Number(id));
+}
+
+// ---------------------------------------------------------------------------
+// Module exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  getItemName,
+  findItemIds,
+  SCRAP_ITEM_ID,
+};
@@ -3,43 +3,228 @@
 //
 // Polls getMapMarkers() every 10 seconds for each active RustPlusConnection
 // and tracks the spawn/despawn state of key game events:
-//   - Cargo Ship       (AppMarkerType.CargoShip = 5)
-//   - Patrol Heli      (AppMarkerType.PatrolHelicopter = 8)
-//   - Bradley APC      (AppMarkerType.Explosion = 2)
-//   - Oil Rig crate    (AppMarkerType.Crate = 6)
+//   - Cargo Ship        (AppMarkerType.CargoShip = 5)
+//   - Patrol Heli       (AppMarkerType.PatrolHelicopter = 8)
+//   - Bradley APC       (AppMarkerType.Explosion = 2 at Launch Site)
+//   - Oil Rig           (either rig's phase tracker, below, is not quiet)
+//   - Chinook drop      (CH47 = 4 or Crate = 6 at any other monument)
+//   - Supply drop       (Crate = 6 away from every monument and from Cargo Ship)
+//   - Travelling Vendor (AppMarkerType.TravellingVendor = 9)
+//
+// CH47 and Crate markers are told apart by position, using the monuments
+// loaded by grid.js: a Chinook is an oil rig Chinook if it is first seen near
+// an oil rig, and keeps that classification until it leaves. Until the
+// monuments are known every CH47 / Crate is set aside as oil rig, so none is
+// reported as a Chinook drop or supply drop.
+//
+// Large and Small Oil Rig are also followed separately through their phases.
+// An oil rig Chinook arriving is the hack signal: the rig goes to 'chinook'
+// and its crate is expected to unlock CRATE_UNLOCK_MS later. Once the Chinook
+// has left the rig is 'locked' while its crate marker is there ('scientists'
+// while it is not), then 'unlocked' when the countdown runs out. The crate
+// marker disappearing means it was looted or reset, and ends the event. A
+// crate sitting at the rig without a Chinook having arrived (a respawned
+// crate) is not an event. Each new phase is announced in team chat and
+// emitted as 'oilRigPhase'; getOilRigStatus() reports the phase and time to
+// unlock for !oil, !largeoil and !smalloil. The 'oilrig' event timer follows
+// the trackers: it spawns when a rig leaves quiet (its Chinook arrived) and
+// despawns when every rig is quiet again. That spawn is not announced a
+// second time — the 'chinook' phase already was.
+//
+// Explosion markers are classified by position when they appear: at Launch
+// Site they are Bradley; within a saved base's radius (bases table, /base)
+// they are a possible raid; anything else is just an explosion. Every new
+// explosion is emitted as 'explosion' and written to the explosion log
+// (explosionLog.js), which groups raids into hotspots for /booms. A raid hit
+// emits 'raidAlert'; hits on the same base within RAID_WINDOW_MS are counted,
+// and the alert escalates at each RAID_LEVELS threshold (the first hit and
+// each escalation also go to team chat). Until the monuments are known every
+// explosion counts as Bradley.
 //
 // On spawn: emits 'spawn' event on the connection + sends team chat message.
+// Spawns include the marker's location ("G12 near Harbor") where it matters.
 // On despawn: emits 'despawn' event on the connection + sends team chat message.
 //
+// Timer state is saved to the event_timers table on every spawn/despawn and
+// restored by startPoller(), so /timers survives restarts. The first tick
+// after a (re)start reconciles the saved state with the map silently: an
+// event saved as active but no longer on the map is taken to have despawned
+// just now, and one on the map but saved as inactive to have just spawned.
+//
+// Every spawn and despawn is also appended to event_history. The gaps between
+// a despawn and the next spawn give each server its own respawn window:
+// once MIN_LEARNED_CYCLES gaps have been seen, /timers shows the observed
+// range ("next in ~35–80min, based on 12 cycles") instead of RESPAWN_MS.
+// Changes picked up on the first tick after a restart are stored as
+// approximate and never used for learning.
+//
+// Every tick is also diffed against the previous marker set (keyed by marker
+// ID), and each change is emitted on the connection with the full marker:
+// 'markerAdded', 'markerMoved' (moved at least MARKER_MOVE_DISTANCE) and
+// 'markerRemoved'. The first tick after a (re)start emits 'markerAdded' for
+// everything already on the map, flagged initial, so subscribers can build
+// their own state without another polling loop. These go out after the
+// tick's event detection, and a listener that throws is logged without
+// stopping the tick. getMarkers() returns the current set.
+//
+// Cargo Ship is followed through its phases while it is on the map:
+// 'approaching' while outside the map square, 'sailing' once it has entered,
+// 'docked' while stopped within CARGO_HARBOR_RADIUS of a Harbor monument.
+// Entering, docking and undocking are announced in team chat and emitted as
+// 'cargoPhase', as is a 'leavingSoon' warning CARGO_LEAVING_WARN_MS before
+// the ship is due to leave (CARGO_LIFETIME_MS after it spawned).
+//
+// The patrol heli is tracked across ticks: its velocity (smoothed over
+// successive positions) is projected HELI_LOOKAHEAD_MS ahead, and if that path
+// passes within HELI_WARN_RADIUS of a saved base or an online, alive team
+// member (teamPoller.js) team chat is warned with the direction the heli is
+// coming from, and 'heliApproaching' is emitted for Discord. Each target is
+// warned about at most once per HELI_WARN_COOLDOWN_MS.
+//
+// The Travelling Vendor is also followed while it is on the map: its route is
+// kept as the grid squares it passes through ('vendorMoved' on each new
+// square) and a stop is announced in team chat ('vendorStopped').
+//
 // Public API:
 //   startPoller(connection)           — begin polling for this connection
 //   stopPoller(connection)            — stop polling for this connection
 //   getTimerState(ip, port)           — returns current state object
 //   getTimerSummary(ip, port)         — returns human-readable string
+//   getSingleTimerMessage(event, t, ip, port) — one-event status line for team chat
+//   getRespawnWindow(ip, port, event) — observed respawn range, or null
+//   getVendorStatus(ip, port)         — Travelling Vendor location + route
+//   getCargoStatus(ip, port)          — Cargo Ship location, phase + departure estimate
+//   getOilRigStatus(ip, port, [rig])  — oil rig phase + time to unlock ('large' | 'small')
+//   getMarkers(ip, port, [type])      — markers on the map at the last poll
+//   formatDuration(ms)                — "Xh Ymin" / "Ymin", shared with explosionLog.js
+//   resetTimers(ip, port)             — forget all timer state (server wiped)
 
 'use strict';
 
+const { PRIORITY } = require('./requestQueue.js');
+const {
+  loadServerGrid,
+  clearServerGrid,
+  describeLocation,
+  getGrid,
+  getMonuments,
+  getMapSize,
+  nearestMonument,
+} = require('./grid.js');
+const {
+  getEventTimers,
+  saveEventTimer,
+  deleteEventTimers,
+  insertEventHistory,
+  getEventHistory,
+  getServerBases,
+} = require('../db/index.js');
+const { recordExplosion, touchExplosions } = require('./explosionLog.js');
+const { getTeamState } = require('./teamPoller.js');
+
 // ---------------------------------------------------------------------------
 // Marker type constants (from rustplus.proto AppMarkerType enum)
 // ---------------------------------------------------------------------------
 
 const MARKER_TYPE = {
   EXPLOSION:         2,  // Bradley APC (and other explosions — filtered by context)
-  CH47:              4,  // Chinook helicopter — appears when oil rig event is active
+  VENDING_MACHINE:   3,  // Player shop — carries sellOrders (read by marketPoller)
+  CH47:              4,  // Chinook helicopter — oil rig scientists or a monument crate drop
   CARGO_SHIP:        5,  // Cargo Ship
-  CRATE:             6,  // Locked Crate — appears after Chinook leaves, or for supply drops
+  CRATE:             6,  // Locked Crate — dropped by a Chinook, or a supply drop
   PATROL_HELICOPTER: 8,  // Patrol Helicopter
+  TRAVELLING_VENDOR: 9,  // Travelling Vendor
 };
 
-// Oil rig events can show as either a CH47 marker (Chinook at the rig)
-// or a Crate marker (locked crate on the platform after Chinook leaves).
-// Both indicate an active oil rig event.
-function _isOilrigMarker(m) {
-  return m.type === MARKER_TYPE.CRATE || m.type === MARKER_TYPE.CH47;
-}
+/** getMap() monument token of each oil rig → rig */
+const OIL_RIG_SIZES = {
+  large_oil_rig: 'large',
+  oil_rig_small: 'small',
+};
+
+/** getMap() monument tokens of the oil rigs */
+const OIL_RIG_TOKENS = new Set(Object.keys(OIL_RIG_SIZES));
+
+/** Display label per rig */
+const OIL_RIG_LABELS = {
+  large: 'Large Oil Rig',
+  small: 'Small Oil Rig',
+};
+
+/** An oil rig crate opens this long after the rig's Chinook arrives */
+const CRATE_UNLOCK_MS = 15 * 60 * 1000;
+
+/** An unlocked rig whose crate marker was never seen is forgotten this long after unlocking */
+const RIG_SCIENTISTS_MS = 20 * 60 * 1000;
+
+/** Display icon per oil rig phase */
+const RIG_PHASE_ICONS = {
+  chinook:    '\uD83D\uDE81',
+  scientists: '\u26A0\uFE0F',
+  locked:     '\uD83D\uDD12',
+  unlocked:   '\uD83D\uDD13',
+};
+
+/** A Chinook first seen this close (world units) to an oil rig is the rig's Chinook */
+const OIL_RIG_CHINOOK_RADIUS = 700;
+
+/** A crate this close to a monument was dropped there by a Chinook */
+const MONUMENT_CRATE_RADIUS = 300;
+
+/** A crate this close to Cargo Ship is one of the ship's locked crates, not a drop */
+const CARGO_CRATE_RADIUS = 150;
+
+/** Min distance (world units) a marker must move between polls to emit 'markerMoved' */
+const MARKER_MOVE_DISTANCE = 1;
+
+/** Vendor movement (world units) between polls below which it counts as stopped */
+const VENDOR_STOP_DISTANCE = 5;
+
+/** Maximum grid squares kept in the vendor's route */
+const VENDOR_ROUTE_LENGTH = 20;
+
+/** Monuments Cargo Ship docks at */
+const HARBOR_TOKENS = new Set(['harbor_display_name', 'harbor_2_display_name']);
+
+/** Cargo stopped this close (world units) to a Harbor monument is docked */
+const CARGO_HARBOR_RADIUS = 400;
+
+/** Cargo movement (world units) between polls below which it counts as stopped */
+const CARGO_STOP_DISTANCE = 10;
+
+/** How long Cargo Ship stays on the map after spawning (approximate) */
+const CARGO_LIFETIME_MS = 50 * 60 * 1000;
+
+/** The "leaving soon" warning goes out this long before Cargo Ship is due to leave */
+const CARGO_LEAVING_WARN_MS = 5 * 60 * 1000;
+
+/** Display icon and label per tracked event */
+const EVENT_ICONS = {
+  cargo:   '\uD83D\uDEA2',
+  heli:    '\uD83D\uDE81',
+  bradley: '\uD83D\uDCA5',
+  oilrig:  '\uD83D\uDEE2\uFE0F',
+  chinook: '\uD83D\uDE81',
+  supply:  '\uD83D\uDCE6',
+  vendor:  '\uD83D\uDED2',
+};
+
+/** Events whose spawn is announced by their own phase tracker, not by _processEvent() */
+const PHASE_ANNOUNCED_EVENTS = new Set(['oilrig']);
+
+const EVENT_LABELS = {
+  cargo:   'Cargo',
+  heli:    'Heli',
+  bradley: 'Bradley',
+  oilrig:  'Oil Rig',
+  chinook: 'Chinook',
+  supply:  'Supply Drop',
+  vendor:  'Travelling Vendor',
+};
 
 // ---------------------------------------------------------------------------
-// Respawn windows (milliseconds) — used for "next in ~X" estimates
+// Respawn windows (milliseconds) — used for "next in ~X" estimates until the
+// server's own window has been learned from event_history
 // ---------------------------------------------------------------------------
 
 const RESPAWN_MS = {
@@ -47,14 +232,67 @@ const RESPAWN_MS = {
   heli:    2.5  * 60 * 60 * 1000,  // 2h 30min midpoint of 2–3h range
   bradley: 30   * 60 * 1000,       // 30 minutes (fixed)
   oilrig:  15   * 60 * 1000,       // 15 minutes after crate despawn
+  chinook: 2    * 60 * 60 * 1000,  // 2h midpoint of 1.5–2.5h range
+  vendor:  2.5  * 60 * 60 * 1000,  // 2h 30min midpoint of 2–3h range
+  supply:  null,                   // player-called — no schedule
 };
 
+/** Explosions this close (world units) to Launch Site are Bradley */
+const LAUNCH_SITE_RADIUS = 400;
+
+/** Hits on a base further apart than this start a new raid */
+const RAID_WINDOW_MS = 10 * 60 * 1000;
+
+/** Hit counts at which a raid escalates, with the alert level reached */
+const RAID_LEVELS = [
+  { hits: 1, level: 'possible', label: 'Possible raid' },
+  { hits: 3, level: 'raid',     label: 'RAID IN PROGRESS' },
+  { hits: 8, level: 'heavy',    label: 'HEAVY RAID' },
+];
+
+/** How far ahead the patrol heli's path is projected for approach warnings */
+const HELI_LOOKAHEAD_MS = 60 * 1000;
+
+/** A target this close (world units) to the heli's projected path is warned */
+const HELI_WARN_RADIUS = 200;
+
+/** The same heli doesn't warn about the same target again for this long */
+const HELI_WARN_COOLDOWN_MS = 5 * 60 * 1000;
+
+/** Weight of the newest sample when smoothing the heli's velocity */
+const HELI_VELOCITY_SMOOTHING = 0.5;
+
+/** Below this speed (world units/s) the heli is circling — no projection */
+const HELI_MIN_SPEED = 5;
+
+/** Compass points, clockwise from north */
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/** Observed respawn gaps needed before they replace RESPAWN_MS */
+const MIN_LEARNED_CYCLES = 3;
+
+/** Most recent respawn gaps used for the observed window */
+const LEARNED_CYCLE_LIMIT = 50;
+
+/** Longer gaps are outages or a disabled event, not a respawn */
+const MAX_RESPAWN_GAP_MS = 12 * 60 * 60 * 1000;
+
+/** Percentiles of the observed gaps shown as the range (drops outliers) */
+const WINDOW_LOW_PERCENTILE  = 0.1;
+const WINDOW_HIGH_PERCENTILE = 0.9;
+
 // ---------------------------------------------------------------------------
 // Poll interval
 // ---------------------------------------------------------------------------
 
 const POLL_INTERVAL_MS = 10 * 1000; // 10 seconds
 
+/** First wait before retrying a failed map load; doubles after each failure */
+const GRID_RETRY_MIN_MS = POLL_INTERVAL_MS;
+
+/** Longest wait between map load retries (getMap is a costly multi-MB request) */
+const GRID_RETRY_MAX_MS = 10 * 60 * 1000;
+
 // ---------------------------------------------------------------------------
 // Module-level state map
 // Keyed by "ip:port", value is the poller state for that connection.
@@ -62,40 +300,95 @@ const POLL_INTERVAL_MS = 10 * 1000; // 10 seconds
 
 /**
  * @typedef {object} EventTimer
- * @property {boolean}   active       — true if the marker is currently on the map
- * @property {Date|null} spawnedAt    — when the last spawn was detected
- * @property {Date|null} despawnedAt  — when the last despawn was detected
+ * @property {boolean}     active       — true if the marker is currently on the map
+ * @property {Date|null}   spawnedAt    — when the last spawn was detected
+ * @property {Date|null}   despawnedAt  — when the last despawn was detected
+ * @property {string|null} location     — where it was when it spawned (or, for
+ *                                        cargo and the vendor, where it is now)
+ */
+
+/**
+ * @typedef {object} RigTrack
+ * @property {string|null} phase     — 'chinook' | 'scientists' | 'locked' | 'unlocked' (null when quiet)
+ * @property {Date|null}   since     — when the current phase started
+ * @property {Date|null}   unlocksAt — when the crate opens (CRATE_UNLOCK_MS after the
+ *                                     Chinook arrived; null when quiet)
+ * @property {boolean}     crate     — the rig's crate marker was there last tick
+ */
+
+/**
+ * @typedef {object} CargoTrack
+ * @property {string|null} phase         — 'approaching' | 'sailing' | 'docked' (null when not on the map)
+ * @property {number|null} x             — last polled position
+ * @property {number|null} y
+ * @property {string|null} harbor        — harbor name while docked
+ * @property {Date|null}   dockedAt
+ * @property {boolean}     leavingWarned — true once 'leavingSoon' has been announced
+ */
+
+/**
+ * @typedef {object} VendorTrack
+ * @property {string[]}    route    — grid squares visited, oldest first
+ * @property {number|null} x        — last polled position
+ * @property {number|null} y
+ * @property {boolean}     stopped  — true once a stop has been announced
  */
 
 /**
  * @typedef {object} PollerState
  * @property {NodeJS.Timeout|null} intervalHandle
- * @property {{ cargo: EventTimer, heli: EventTimer, bradley: EventTimer, oilrig: EventTimer }} timers
+ * @property {function|null}       onConnected   — 'connected' listener that reloads the grid
+ * @property {Promise<void>|null}  gridLoading   — the loadServerGrid() call in flight
+ * @property {number}              gridRetryAt   — no map load retry from _tick before this (ms epoch)
+ * @property {number}              gridRetryDelay — wait after the next failed map load (ms)
+ * @property {Object<string, EventTimer>} timers — keyed by event name
+ * @property {Map<number, object>} markers       — marker id → AppMarker from the last poll
+ * @property {Map<number, string>} ch47Kinds     — CH47 marker id → 'oilrig' | 'chinook'
+ * @property {Map<number, LoggedExplosion>} explosions — explosion marker id → classification
+ * @property {Map<number, RaidTrack>} raids      — base id → current raid
+ * @property {Map<number, HeliTrack>} helis      — patrol heli marker id → track
+ * @property {VendorTrack}         vendor
+ * @property {CargoTrack}          cargo
+ * @property {Object<string, RigTrack>} rigs   — keyed by rig ('large' | 'small')
  */
 
-/** @type {Map<string, PollerState>} */
-const pollerMap = new Map();
+/**
+ * @typedef {object} LoggedExplosion
+ * @property {string}      kind  — 'bradley' | 'raid' | 'other'
+ * @property {number|null} rowId — explosions table row (explosionLog.js), null if logging failed
+ */
 
-// ---------------------------------------------------------------------------
-// Grid coordinate conversion
-// ---------------------------------------------------------------------------
+/**
+ * @typedef {object} HeliTrack
+ * @property {number}      x
+ * @property {number}      y
+ * @property {number}      seenAt  — ms timestamp of the last position
+ * @property {number|null} vx      — smoothed velocity, world units/s (null until moved)
+ * @property {number|null} vy
+ * @property {Map<string, number>} warned — target key → ms timestamp of the last warning
+ */
 
 /**
- * Convert Rust map x/y coordinates to a grid reference like "D5".
- * Rust maps use 150-unit grid cells. y=0 is the bottom of the map.
- * @param {number} x
- * @param {number} y
- * @param {number} mapSize  — map width/height in units (e.g. 4000)
- * @returns {string}
+ * @typedef {object} HeliTarget
+ * @property {string}      key       — 'base:<id>' | 'player:<steamId>'
+ * @property {string}      type      — 'base' | 'player'
+ * @property {string}      name
+ * @property {number}      x
+ * @property {number}      y
+ * @property {object}      [base]    — bases row (type 'base')
+ * @property {string}      [steamId] — (type 'player')
  */
-function _coordToGrid(x, y, mapSize) {
-  if (!mapSize) return '??';
-  const cellSize = 150;
-  const col = Math.floor(x / cellSize);
-  const row = Math.floor((mapSize - y) / cellSize);
-  const colLetter = String.fromCharCode(65 + col);
-  return `${colLetter}${row + 1}`;
-}
+
+/**
+ * @typedef {object} RaidTrack
+ * @property {Date}   startedAt
+ * @property {Date}   lastHitAt
+ * @property {number} hits
+ * @property {string} level — RAID_LEVELS level reached
+ */
+
+/** @type {Map<string, PollerState>} */
+const pollerMap = new Map();
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -116,7 +409,171 @@ function _key(ip, port) {
  * @returns {EventTimer}
  */
 function _blankTimer() {
-  return { active: false, spawnedAt: null, despawnedAt: null };
+  return { active: false, spawnedAt: null, despawnedAt: null, location: null };
+}
+
+/**
+ * Create a fresh blank vendor route.
+ * @returns {VendorTrack}
+ */
+function _blankVendorTrack() {
+  return { route: [], x: null, y: null, stopped: false };
+}
+
+/**
+ * @returns {CargoTrack}
+ */
+function _blankCargoTrack() {
+  return { phase: null, x: null, y: null, harbor: null, dockedAt: null, leavingWarned: false };
+}
+
+/**
+ * @returns {Object<string, RigTrack>}
+ */
+function _blankRigTracks() {
+  const rigs = {};
+  for (const rig of Object.keys(OIL_RIG_LABELS)) {
+    rigs[rig] = { phase: null, since: null, unlocksAt: null, crate: false };
+  }
+  return rigs;
+}
+
+/**
+ * Create blank timers for every tracked event.
+ * @returns {Object<string, EventTimer>}
+ */
+function _blankTimers() {
+  const timers = {};
+  for (const name of Object.keys(EVENT_LABELS)) timers[name] = _blankTimer();
+  return timers;
+}
+
+/**
+ * @param {Date|null} date
+ * @returns {number|null} unix seconds
+ */
+function _toUnix(date) {
+  return date ? Math.floor(date.getTime() / 1000) : null;
+}
+
+/**
+ * @param {number|null} seconds — unix seconds
+ * @returns {Date|null}
+ */
+function _fromUnix(seconds) {
+  return seconds ? new Date(seconds * 1000) : null;
+}
+
+/**
+ * Load a server's saved event timers, blank for events never saved.
+ * @param {string} ip
+ * @param {number} port
+ * @returns {Object<string, EventTimer>}
+ */
+function _loadTimers(ip, port) {
+  const timers = _blankTimers();
+  try {
+    for (const row of getEventTimers(ip, port)) {
+      if (!timers[row.event]) continue;
+      timers[row.event] = {
+        active:      !!row.active,
+        spawnedAt:   _fromUnix(row.spawned_at),
+        despawnedAt: _fromUnix(row.despawned_at),
+        location:    row.location,
+      };
+    }
+  } catch (err) {
+    console.warn(`[MapPoller] Failed to load saved timers (${_key(ip, port)}): ${err.message}`);
+  }
+  return timers;
+}
+
+/**
+ * Save one event timer. Errors are logged, never thrown — a failed write
+ * only costs the timer after the next restart.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {string} eventName
+ * @param {EventTimer} timer
+ */
+function _saveTimer(connection, eventName, timer) {
+  try {
+    saveEventTimer(connection.serverIp, connection.serverPort, eventName, {
+      active:      timer.active,
+      spawnedAt:   _toUnix(timer.spawnedAt),
+      despawnedAt: _toUnix(timer.despawnedAt),
+      location:    timer.location,
+    });
+  } catch (err) {
+    console.warn(`[MapPoller] Failed to save ${eventName} timer (${connection.serverIp}:${connection.serverPort}): ${err.message}`);
+  }
+}
+
+/**
+ * Append a spawn / despawn to the event history. Errors are logged, never thrown.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {string}  eventName
+ * @param {string}  kind         — 'spawn' | 'despawn'
+ * @param {Date}    date
+ * @param {boolean} approximate  — happened while the bot was down
+ */
+function _recordHistory(connection, eventName, kind, date, approximate) {
+  try {
+    insertEventHistory(connection.serverIp, connection.serverPort, eventName, kind, _toUnix(date), approximate);
+  } catch (err) {
+    console.warn(`[MapPoller] Failed to record ${eventName} ${kind} (${connection.serverIp}:${connection.serverPort}): ${err.message}`);
+  }
+}
+
+/**
+ * Nearest-rank percentile of a sorted array.
+ * @param {number[]} sorted
+ * @param {number}   p — 0..1
+ * @returns {number}
+ */
+function _percentile(sorted, p) {
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1));
+  return sorted[index];
+}
+
+/**
+ * "Next in ..." text for an event that despawned at despawnedAt, using the
+ * learned window when there is one.
+ * @param {string|undefined} ip
+ * @param {number|undefined} port
+ * @param {string} eventName
+ * @param {Date}   despawnedAt
+ * @returns {string} e.g. "next in ~35–80min, based on 12 cycles"
+ */
+function _nextSpawnText(ip, port, eventName, despawnedAt) {
+  const elapsed = Date.now() - despawnedAt.getTime();
+  const window  = ip ? getRespawnWindow(ip, port, eventName) : null;
+
+  if (window) {
+    const based = `based on ${window.cycles} cycles`;
+    const lo    = window.minMs - elapsed;
+    const hi    = window.maxMs - elapsed;
+    if (hi <= 0) return `may have already respawned (${based})`;
+    if (lo <= 0) return `due now (within ~${formatDuration(hi)}, ${based})`;
+    return `next in ~${_formatRange(lo, hi)}, ${based}`;
+  }
+
+  const remaining = RESPAWN_MS[eventName] - elapsed;
+  if (remaining > 0) return `next in ~${formatDuration(remaining)}`;
+  return 'may have already respawned';
+}
+
+/**
+ * Format a duration range, e.g. "35–80min" or "1h 30min–2h 10min".
+ * @param {number} loMs
+ * @param {number} hiMs
+ * @returns {string}
+ */
+function _formatRange(loMs, hiMs) {
+  const lo = Math.round(loMs / 60000);
+  const hi = Math.round(hiMs / 60000);
+  if (lo === hi) return formatDuration(hiMs);
+  if (hi < 120) return `${lo}\u2013${hi}min`;
+  return `${formatDuration(loMs)}\u2013${formatDuration(hiMs)}`;
 }
 
 /**
@@ -141,7 +598,7 @@ function _formatTime(date) {
  * @param {number} ms
  * @returns {string}
  */
-function _formatDuration(ms) {
+function formatDuration(ms) {
   if (ms <= 0) return '0min';
   const totalMinutes = Math.round(ms / 60000);
   const hours = Math.floor(totalMinutes / 60);
@@ -152,19 +609,33 @@ function _formatDuration(ms) {
 }
 
 /**
- * Send a team chat message safely through the connection's RustPlus client.
+ * Send a team chat message safely through the connection's request layer.
  * Swallows any error to prevent crashes.
  * @param {import('./index.js').RustPlusConnection} connection
  * @param {string} text
  */
 function _safeSendTeamMessage(connection, text) {
+  if (!connection.isConnected()) return;
+  connection.sendTeamMessage(text, { priority: PRIORITY.EVENT }).catch((err) => {
+    console.warn(`[MapPoller] sendTeamMessage failed (${connection.serverIp}:${connection.serverPort}): ${err.message}`);
+  });
+}
+
+/**
+ * Emit an event on the connection, logging a listener that throws instead of
+ * letting it abort the tick.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {string} event
+ * @param {object} payload
+ */
+function _safeEmit(connection, event, payload) {
   try {
-    if (!connection.isConnected()) return;
-    const client = connection.getClient();
-    if (!client) return;
-    client.sendTeamMessage(text);
+    connection.emit(event, payload);
   } catch (err) {
-    console.warn(`[MapPoller] sendTeamMessage failed (${connection.serverIp}:${connection.serverPort}): ${err.message}`);
+    console.error(
+      `[MapPoller] '${event}' listener failed (${connection.serverIp}:${connection.serverPort}):`,
+      err.message
+    );
   }
 }
 
@@ -183,47 +654,53 @@ function _tick(connection, state) {
     return;
   }
 
-  const client = connection.getClient();
-  if (!client) return;
+  // Until the grid has loaded, locations are '??' and markers can't be told
+  // apart by monument — keep asking (backing off after failures), and wait
+  // for the answer before polling
+  const gridReady = getMapSize(connection.serverIp, connection.serverPort) || Date.now() < state.gridRetryAt
+    ? Promise.resolve()
+    : _loadGrid(connection, state);
 
-  client.getMapMarkers((message) => {
+  gridReady.then(() => connection.getMapMarkers({ priority: PRIORITY.POLL })).then((mapMarkers) => {
     try {
-      // Guard: check for error response
-      if (message.response && message.response.error) {
-        console.warn(
-          `[MapPoller] getMapMarkers error (${connection.serverIp}:${connection.serverPort}):`,
-          message.response.error.error || message.response.error
-        );
-        return;
-      }
-
-      // Extract markers array from response
-      const mapMarkers = message.response && message.response.mapMarkers;
-      if (!mapMarkers) {
-        console.warn(`[MapPoller] No mapMarkers in response (${connection.serverIp}:${connection.serverPort})`);
-        return;
-      }
-
       const markers = mapMarkers.markers || [];
 
       // Determine presence of each tracked entity
-      const cargoPresent   = markers.some((m) => m.type === MARKER_TYPE.CARGO_SHIP);
+      const cargo          = markers.find((m) => m.type === MARKER_TYPE.CARGO_SHIP);
+      const cargoPresent   = !!cargo;
       const heliPresent    = markers.some((m) => m.type === MARKER_TYPE.PATROL_HELICOPTER);
-      const bradleyPresent = markers.some((m) => m.type === MARKER_TYPE.EXPLOSION);
-      const oilrigPresent  = markers.some(_isOilrigMarker);
+      const explosion      = _processExplosions(connection, state, markers, !state.initialized);
+      const vendor         = markers.find((m) => m.type === MARKER_TYPE.TRAVELLING_VENDOR);
+      const drops          = _classifyDrops(connection, state, markers, cargo);
+      const bradleyPresent = !!explosion;
 
       // Process each tracked event.
       // On the very first tick after connect we just seed the baseline state
       // without announcing anything — things already on the map aren't "new".
       const isFirstTick = !state.initialized;
-      _processEvent(connection, state.timers.cargo,   'cargo',   cargoPresent,   isFirstTick);
-      _processEvent(connection, state.timers.heli,    'heli',    heliPresent,    isFirstTick);
-      _processEvent(connection, state.timers.bradley, 'bradley', bradleyPresent, isFirstTick);
-      _processEvent(connection, state.timers.oilrig,  'oilrig',  oilrigPresent,  isFirstTick);
+      _processEvent(connection, state.timers.cargo,   'cargo',   cargoPresent,    isFirstTick, cargo);
+      _processEvent(connection, state.timers.heli,    'heli',    heliPresent,     isFirstTick);
+      _processEvent(connection, state.timers.bradley, 'bradley', bradleyPresent,  isFirstTick, explosion);
+      _processEvent(connection, state.timers.chinook, 'chinook', !!drops.chinook, isFirstTick, drops.chinook);
+      _processEvent(connection, state.timers.supply,  'supply',  !!drops.supply,  isFirstTick, drops.supply);
+      _processEvent(connection, state.timers.vendor,  'vendor',  !!vendor,        isFirstTick, vendor);
+      _trackVendor(connection, state, vendor);
+      _trackCargo(connection, state, cargo, isFirstTick);
+      const oilRig = _trackOilRigs(connection, state, markers, isFirstTick);
+      _processEvent(connection, state.timers.oilrig,  'oilrig',  !!oilRig,        isFirstTick, oilRig);
+      _trackHelis(connection, state, markers);
+
+      // Raw marker changes go out last, so a failing listener can't hold up
+      // the event detection above
+      _diffMarkers(connection, state, markers, isFirstTick);
 
       if (isFirstTick) {
         state.initialized = true;
-        console.log(`[MapPoller] Baseline set (${connection.serverIp}:${connection.serverPort}) — cargo=${cargoPresent} heli=${heliPresent} bradley=${bradleyPresent} oilrig=${oilrigPresent}`);
+        console.log(
+          `[MapPoller] Baseline set (${connection.serverIp}:${connection.serverPort}) — ` +
+          `cargo=${cargoPresent} heli=${heliPresent} bradley=${bradleyPresent} oilrig=${!!oilRig} ` +
+          `chinook=${!!drops.chinook} supply=${!!drops.supply} vendor=${!!vendor}`
+        );
       }
 
     } catch (err) {
@@ -232,23 +709,756 @@ function _tick(connection, state) {
         err.message
       );
     }
+  }).catch((err) => {
+    // Stale = dropped from a backed-up request queue; the next tick replaces it
+    if (err.code === 'stale') return;
+    console.warn(`[MapPoller] getMapMarkers failed (${connection.serverIp}:${connection.serverPort}): ${err.message}`);
+  });
+}
+
+/**
+ * Load the server's map size and monuments (grid.js), or join the load
+ * already in flight. loadServerGrid() logs and swallows its own errors, so
+ * the promise always resolves. While the map size stays unknown, each failure
+ * doubles the wait before _tick retries, up to GRID_RETRY_MAX_MS.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {PollerState} state
+ * @returns {Promise<void>}
+ */
+function _loadGrid(connection, state) {
+  if (!state.gridLoading) {
+    const { serverIp, serverPort } = connection;
+    state.gridLoading = loadServerGrid(connection).then(() => {
+      state.gridLoading = null;
+      if (getMapSize(serverIp, serverPort)) {
+        state.gridRetryAt    = 0;
+        state.gridRetryDelay = GRID_RETRY_MIN_MS;
+        return;
+      }
+      state.gridRetryAt    = Date.now() + state.gridRetryDelay;
+      console.log(`[MapPoller] Map not loaded (${serverIp}:${serverPort}) — retrying in ${state.gridRetryDelay / 1000}s`);
+      state.gridRetryDelay = Math.min(state.gridRetryDelay * 2, GRID_RETRY_MAX_MS);
+    });
+  }
+  return state.gridLoading;
+}
+
+/**
+ * Compare a poll's markers with the previous set and emit 'markerAdded',
+ * 'markerMoved' and 'markerRemoved' for the differences. A listener that
+ * throws is logged and the remaining events still go out.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {PollerState} state
+ * @param {object[]} markers     — AppMarker[]
+ * @param {boolean}  isFirstTick — everything is added, flagged initial
+ */
+function _diffMarkers(connection, state, markers, isFirstTick) {
+  const previous = state.markers;
+  const current  = new Map(markers.map((m) => [m.id, m]));
+  const time     = new Date();
+  state.markers  = current;
+
+  for (const marker of current.values()) {
+    const before = previous.get(marker.id);
+    if (!before) {
+      /**
+       * @event RustPlusConnection#markerAdded
+       * @type {{ marker: object, initial: boolean, time: Date }}
+       */
+      _safeEmit(connection, 'markerAdded', { marker, initial: isFirstTick, time });
+      continue;
+    }
+
+    const distance = Math.hypot(marker.x - before.x, marker.y - before.y);
+    if (distance >= MARKER_MOVE_DISTANCE) {
+      /**
+       * @event RustPlusConnection#markerMoved
+       * @type {{ marker: object, previous: object, distance: number, time: Date }}
+       */
+      _safeEmit(connection, 'markerMoved', { marker, previous: before, distance, time });
+    }
+  }
+
+  for (const [id, marker] of previous) {
+    if (current.has(id)) continue;
+    /**
+     * @event RustPlusConnection#markerRemoved
+     * @type {{ marker: object, time: Date }}
+     */
+    _safeEmit(connection, 'markerRemoved', { marker, time });
+  }
+}
+
+/**
+ * Classify explosion markers that appeared since the last tick and raise raid
+ * alerts for the ones near a saved base. Returns a Bradley explosion marker
+ * currently on the map, if any.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {PollerState} state
+ * @param {object[]} markers      — AppMarker[]
+ * @param {boolean}  isFirstTick  — classify silently (already on the map at connect)
+ * @returns {object|undefined}
+ */
+function _processExplosions(connection, state, markers, isFirstTick) {
+  const { serverIp, serverPort } = connection;
+  const explosions = markers.filter((m) => m.type === MARKER_TYPE.EXPLOSION);
+
+  // Forget explosions that have faded from the map
+  const present = new Set(explosions.map((m) => m.id));
+  for (const id of state.explosions.keys()) {
+    if (!present.has(id)) state.explosions.delete(id);
+  }
+
+  const fresh = explosions.filter((m) => !state.explosions.has(m.id));
+  if (fresh.length > 0) {
+    const monuments   = getMonuments(serverIp, serverPort);
+    const launchSites = monuments.filter((m) => m.token === 'launchsite');
+    const bases       = _loadBases(connection);
+
+    for (const m of fresh) {
+      let kind = 'other';
+      let base = null;
+      if (monuments.length === 0 || nearestMonument(m.x, m.y, launchSites, LAUNCH_SITE_RADIUS)) {
+        kind = 'bradley';
+      } else {
+        base = _nearestBase(bases, m.x, m.y);
+        if (base) kind = 'raid';
+      }
+      state.explosions.set(m.id, { kind, rowId: _logExplosion(connection, m, kind) });
+      if (isFirstTick) continue;
+
+      const location = describeLocation(serverIp, serverPort, m.x, m.y);
+      /**
+       * @event RustPlusConnection#explosion
+       * @type {{ kind: string, x: number, y: number, location: string, time: Date }}
+       */
+      connection.emit('explosion', { kind, x: m.x, y: m.y, location, time: new Date() });
+
+      if (base) _raidHit(connection, state, base, m, location);
+    }
+  }
+
+  // Explosions still on the map extend their (and their raid cluster's) duration
+  const stillPresent = explosions
+    .filter((m) => !fresh.includes(m))
+    .map((m) => state.explosions.get(m.id).rowId)
+    .filter((id) => id !== null);
+  try {
+    touchExplosions(stillPresent);
+  } catch (err) {
+    console.warn(`[MapPoller] Failed to update explosion log (${serverIp}:${serverPort}): ${err.message}`);
+  }
+
+  return explosions.find((m) => state.explosions.get(m.id).kind === 'bradley');
+}
+
+/**
+ * Write a new explosion to the explosion log. Errors are logged and ignored.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {object} marker — AppMarker
+ * @param {string} kind
+ * @returns {number|null} explosions row id
+ */
+function _logExplosion(connection, marker, kind) {
+  try {
+    return recordExplosion(connection, marker, kind);
+  } catch (err) {
+    console.warn(`[MapPoller] Failed to log explosion (${connection.serverIp}:${connection.serverPort}): ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Saved bases on this server. Errors are logged and treated as no bases.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @returns {object[]}
+ */
+function _loadBases(connection) {
+  try {
+    return getServerBases(connection.serverIp, connection.serverPort);
+  } catch (err) {
+    console.warn(`[MapPoller] Failed to load bases (${connection.serverIp}:${connection.serverPort}): ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * The closest base whose radius contains a position.
+ * @param {object[]} bases
+ * @param {number} x
+ * @param {number} y
+ * @returns {(object & { distance: number })|null}
+ */
+function _nearestBase(bases, x, y) {
+  let best = null;
+  for (const b of bases) {
+    const distance = Math.hypot(b.x - x, b.y - y);
+    if (distance <= b.radius && (!best || distance < best.distance)) {
+      best = Object.assign({}, b, { distance });
+    }
+  }
+  return best;
+}
+
+/**
+ * Count an explosion at a base towards its current raid and raise the alert.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {PollerState} state
+ * @param {object} base      — bases row plus distance
+ * @param {object} marker    — the explosion marker
+ * @param {string} location
+ */
+function _raidHit(connection, state, base, marker, location) {
+  const now = new Date();
+  let raid  = state.raids.get(base.id);
+  if (!raid || now - raid.lastHitAt > RAID_WINDOW_MS) {
+    raid = { startedAt: now, lastHitAt: now, hits: 0, level: null };
+    state.raids.set(base.id, raid);
+  }
+  raid.hits++;
+  raid.lastHitAt = now;
+
+  const reached   = RAID_LEVELS.filter((l) => raid.hits >= l.hits).pop();
+  const escalated = reached.level !== raid.level;
+  raid.level = reached.level;
+
+  // Team chat only on the first hit and escalations — every hit would flood it
+  if (escalated) {
+    const msg = `\uD83D\uDEA8 ${reached.label} at base ${base.name}! Explosion @ ${location} ` +
+      `(${Math.round(base.distance)}m away, hit ${raid.hits})`;
+    _safeSendTeamMessage(connection, msg);
+  }
+  console.log(`[MapPoller] Raid hit on base "${base.name}" (${connection.serverIp}:${connection.serverPort}) — ${raid.hits} hit(s), level ${raid.level}`);
+
+  /**
+   * @event RustPlusConnection#raidAlert
+   * @type {{ base: object, location: string, distance: number, hits: number,
+   *          level: string, label: string, escalated: boolean, startedAt: Date, time: Date }}
+   */
+  connection.emit('raidAlert', {
+    base,
+    location,
+    distance:  base.distance,
+    hits:      raid.hits,
+    level:     raid.level,
+    label:     reached.label,
+    escalated,
+    startedAt: raid.startedAt,
+    time:      now,
+  });
+}
+
+/**
+ * Sort the CH47 and Crate markers into the oil rig, monument Chinook drop and
+ * supply drop events. Returns the first marker of each event (or null).
+ *
+ * A CH47 is classified when first seen and remembered by marker id, since it
+ * flies in from elsewhere and its position says little later on. Crates don't
+ * move, so they are classified on every tick. Cargo Ship's own locked crates
+ * are none of these events and are left out.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {PollerState} state
+ * @param {object[]} markers        — AppMarker[]
+ * @param {object|undefined} cargo  — the cargo ship's marker, if present
+ * @returns {{ oilrig: object|null, chinook: object|null, supply: object|null }}
+ */
+function _classifyDrops(connection, state, markers, cargo) {
+  const monuments = getMonuments(connection.serverIp, connection.serverPort);
+  const drops     = { oilrig: null, chinook: null, supply: null };
+  const seenCh47  = new Set();
+
+  for (const m of markers) {
+    if (m.type === MARKER_TYPE.CH47) seenCh47.add(m.id);
+    const kind = _dropKind(m, monuments, state.ch47Kinds, cargo);
+    if (kind && !drops[kind]) drops[kind] = m;
+  }
+
+  // Forget Chinooks that have left the map
+  for (const id of state.ch47Kinds.keys()) {
+    if (!seenCh47.has(id)) state.ch47Kinds.delete(id);
+  }
+
+  return drops;
+}
+
+/**
+ * Which drop event a marker belongs to: 'oilrig', 'chinook', 'supply', or
+ * null for markers that are not CH47 / Crate and for Cargo Ship's crates.
+ * New CH47s are remembered in ch47Kinds.
+ *
+ * @param {object}              m          — AppMarker
+ * @param {object[]}            monuments  — from grid.getMonuments()
+ * @param {Map<number, string>} ch47Kinds
+ * @param {object}              [cargo]    — the cargo ship's marker, if present
+ * @returns {string|null}
+ */
+function _dropKind(m, monuments, ch47Kinds, cargo) {
+  if (m.type !== MARKER_TYPE.CH47 && m.type !== MARKER_TYPE.CRATE) return null;
+
+  // Locked crates riding on Cargo Ship (checked first: it may be docked at a monument)
+  if (m.type === MARKER_TYPE.CRATE && cargo &&
+      Math.hypot(m.x - cargo.x, m.y - cargo.y) <= CARGO_CRATE_RADIUS) {
+    return null;
+  }
+
+  // Grid not loaded yet — set everything aside as the oil rig's
+  if (monuments.length === 0) return 'oilrig';
+
+  if (m.type === MARKER_TYPE.CH47) {
+    let kind = ch47Kinds.get(m.id);
+    if (!kind) {
+      const oilRigs = monuments.filter((mon) => OIL_RIG_TOKENS.has(mon.token));
+      kind = nearestMonument(m.x, m.y, oilRigs, OIL_RIG_CHINOOK_RADIUS) ? 'oilrig' : 'chinook';
+      ch47Kinds.set(m.id, kind);
+    }
+    return kind;
+  }
+
+  const near = nearestMonument(m.x, m.y, monuments, MONUMENT_CRATE_RADIUS);
+  if (!near) return 'supply';
+  return OIL_RIG_TOKENS.has(near.token) ? 'oilrig' : 'chinook';
+}
+
+/**
+ * Follow the Travelling Vendor while it is on the map: extend its route when
+ * it enters a new grid square and announce when it stops to trade.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {PollerState} state
+ * @param {object|undefined} marker — the vendor's marker, if present
+ */
+function _trackVendor(connection, state, marker) {
+  const track = state.vendor;
+  const timer = state.timers.vendor;
+
+  if (!marker) {
+    if (track.x !== null) state.vendor = _blankVendorTrack();
+    return;
+  }
+
+  const { serverIp, serverPort } = connection;
+  const grid     = getGrid(serverIp, serverPort, marker.x, marker.y);
+  const location = describeLocation(serverIp, serverPort, marker.x, marker.y);
+  const moved    = track.x === null || Math.hypot(marker.x - track.x, marker.y - track.y) > VENDOR_STOP_DISTANCE;
+  const firstFix = track.x === null;
+
+  track.x = marker.x;
+  track.y = marker.y;
+  timer.location = location;
+
+  if (track.route[track.route.length - 1] !== grid) {
+    track.route.push(grid);
+    if (track.route.length > VENDOR_ROUTE_LENGTH) track.route.shift();
+    if (!firstFix) {
+      /**
+       * @event RustPlusConnection#vendorMoved
+       * @type {{ grid: string, location: string, route: string[] }}
+       */
+      connection.emit('vendorMoved', { grid, location, route: track.route.slice() });
+    }
+  }
+
+  if (firstFix) {
+    // Don't announce a stop until it has been seen moving
+    track.stopped = true;
+  } else if (moved) {
+    track.stopped = false;
+  } else if (!track.stopped) {
+    track.stopped = true;
+    _safeSendTeamMessage(connection, `${EVENT_ICONS.vendor} Travelling Vendor stopped @ ${location}`);
+    console.log(`[MapPoller] Vendor stopped at ${grid} (${serverIp}:${serverPort})`);
+
+    /**
+     * @event RustPlusConnection#vendorStopped
+     * @type {{ grid: string, location: string, route: string[] }}
+     */
+    connection.emit('vendorStopped', { grid, location, route: track.route.slice() });
+  }
+}
+
+/**
+ * Work out each oil rig's phase from the Chinook and crate markers at it and
+ * announce phase changes. Returns the monument of a rig with an event in
+ * progress, which drives the 'oilrig' event timer.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {PollerState} state
+ * @param {object[]} markers     — AppMarker[]
+ * @param {boolean}  isFirstTick — take up the current phases silently
+ * @returns {object|null} a rig monument that is not quiet
+ */
+function _trackOilRigs(connection, state, markers, isFirstTick) {
+  // Which rig is which needs the monuments
+  const rigs = getMonuments(connection.serverIp, connection.serverPort).filter((m) => OIL_RIG_SIZES[m.token]);
+  let active = null;
+
+  for (const monument of rigs) {
+    const rig   = OIL_RIG_SIZES[monument.token];
+    const near  = (m, radius) => Math.hypot(m.x - monument.x, m.y - monument.y) <= radius;
+    const crate = markers.find((m) => m.type === MARKER_TYPE.CRATE && near(m, MONUMENT_CRATE_RADIUS));
+    const ch47  = markers.find((m) =>
+      m.type === MARKER_TYPE.CH47 && state.ch47Kinds.get(m.id) === 'oilrig' && near(m, OIL_RIG_CHINOOK_RADIUS)
+    );
+    _updateRig(connection, state.rigs[rig], rig, monument, crate, ch47, isFirstTick);
+    if (state.rigs[rig].phase && !active) active = monument;
+  }
+  return active;
+}
+
+/**
+ * Move one oil rig to its current phase, announcing the change.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {RigTrack} track
+ * @param {string} rig                    — 'large' | 'small'
+ * @param {object} monument               — the rig's monument
+ * @param {object|undefined} crate        — the rig's crate marker, if present
+ * @param {object|undefined} ch47         — an oil rig Chinook at the rig, if present
+ * @param {boolean} isFirstTick
+ */
+function _updateRig(connection, track, rig, monument, crate, ch47, isFirstTick) {
+  const now = new Date();
+  const crateGone = track.crate && !crate;
+  track.crate = Boolean(crate);
+  let phase;
+
+  if (ch47) {
+    // The Chinook arriving starts the countdown, crate or no crate
+    if (track.phase !== 'chinook') track.unlocksAt = new Date(now.getTime() + CRATE_UNLOCK_MS);
+    phase = 'chinook';
+  } else if (!track.unlocksAt || crateGone ||
+             (!crate && now - track.unlocksAt >= RIG_SCIENTISTS_MS)) {
+    // No Chinook seen, the crate was looted / reset, or it never showed up
+    phase = null;
+  } else if (now >= track.unlocksAt) {
+    phase = 'unlocked';
+  } else {
+    phase = crate ? 'locked' : 'scientists';
+  }
+
+  if (phase === null) track.unlocksAt = null;
+  if (phase === track.phase) return;
+  track.phase = phase;
+  track.since = now;
+  if (phase === null || isFirstTick) return;
+
+  const { serverIp, serverPort } = connection;
+  const location = `${OIL_RIG_LABELS[rig]} (${getGrid(serverIp, serverPort, monument.x, monument.y)})`;
+  const icon     = RIG_PHASE_ICONS[phase];
+  let text;
+  switch (phase) {
+    case 'chinook':
+      text = `${icon} Chinook arriving at ${location} — crate unlocks in ${formatDuration(CRATE_UNLOCK_MS)} ` +
+        `(at ${_formatTime(track.unlocksAt)})`;
+      break;
+    case 'scientists':
+      text = `${icon} Scientists dropped on ${location} — crate unlocks at ${_formatTime(track.unlocksAt)}`;
+      break;
+    case 'locked':
+      text = `${icon} ${location} crate locked — unlocks in ~${formatDuration(track.unlocksAt - now)} ` +
+        `(at ${_formatTime(track.unlocksAt)})`;
+      break;
+    default:
+      text = `${icon} ${location} crate is unlocked!`;
+  }
+  _safeSendTeamMessage(connection, text);
+  console.log(`[MapPoller] ${OIL_RIG_LABELS[rig]} ${phase} (${serverIp}:${serverPort})`);
+
+  /**
+   * @event RustPlusConnection#oilRigPhase
+   * @type {{ rig: string, label: string, phase: string, location: string, unlocksAt: Date|null, time: Date }}
+   */
+  connection.emit('oilRigPhase', {
+    rig,
+    label:     OIL_RIG_LABELS[rig],
+    phase,
+    location,
+    unlocksAt: track.unlocksAt,
+    time:      now,
+  });
+}
+
+/**
+ * Follow Cargo Ship while it is on the map: keep its location current and
+ * announce it entering the map, docking at and leaving a harbor, and its
+ * upcoming departure.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {PollerState} state
+ * @param {object|undefined} marker      — the cargo ship's marker, if present
+ * @param {boolean}          isFirstTick — take up the current phase silently
+ */
+function _trackCargo(connection, state, marker, isFirstTick) {
+  const track = state.cargo;
+  const timer = state.timers.cargo;
+
+  if (!marker) {
+    if (track.phase !== null) state.cargo = _blankCargoTrack();
+    return;
+  }
+
+  const { serverIp, serverPort } = connection;
+  const mapSize  = getMapSize(serverIp, serverPort);
+  const inside   = !mapSize || (marker.x >= 0 && marker.x <= mapSize && marker.y >= 0 && marker.y <= mapSize);
+  const firstFix = track.x === null;
+  const moved    = firstFix || Math.hypot(marker.x - track.x, marker.y - track.y) > CARGO_STOP_DISTANCE;
+  const location = describeLocation(serverIp, serverPort, marker.x, marker.y);
+
+  track.x = marker.x;
+  track.y = marker.y;
+  timer.location = location;
+
+  if (firstFix) {
+    // Docking needs a second fix to tell whether it is stopped. After a
+    // restart late in the ship's run the warning is taken as already given.
+    const leavesAt = _cargoLeavesAt(timer);
+    track.phase = inside ? 'sailing' : 'approaching';
+    track.leavingWarned = isFirstTick && !!leavesAt && Date.now() >= leavesAt.getTime() - CARGO_LEAVING_WARN_MS;
+    return;
+  }
+
+  if (track.phase === 'approaching' && inside) {
+    track.phase = 'sailing';
+    _cargoPhase(
+      connection, timer, 'entered',
+      `${EVENT_ICONS.cargo} Cargo Ship has entered the map @ ${location}`,
+      location, null
+    );
+  } else if (track.phase === 'docked' && moved) {
+    const harbor = track.harbor;
+    track.phase    = 'sailing';
+    track.harbor   = null;
+    track.dockedAt = null;
+    _cargoPhase(
+      connection, timer, 'undocked',
+      `${EVENT_ICONS.cargo} Cargo Ship has left ${harbor} @ ${location}`,
+      location, harbor
+    );
+  } else if (track.phase === 'sailing' && !moved) {
+    const harbors = getMonuments(serverIp, serverPort).filter((m) => HARBOR_TOKENS.has(m.token));
+    const harbor  = nearestMonument(marker.x, marker.y, harbors, CARGO_HARBOR_RADIUS);
+    if (harbor) {
+      track.phase    = 'docked';
+      track.harbor   = harbor.name;
+      track.dockedAt = new Date();
+      _cargoPhase(
+        connection, timer, 'docked',
+        `${EVENT_ICONS.cargo} Cargo Ship has docked at ${harbor.name} @ ${location}`,
+        location, harbor.name
+      );
+    }
+  }
+
+  const leavesAt = _cargoLeavesAt(timer);
+  if (!track.leavingWarned && leavesAt && Date.now() >= leavesAt.getTime() - CARGO_LEAVING_WARN_MS) {
+    track.leavingWarned = true;
+    const left = formatDuration(leavesAt.getTime() - Date.now());
+    _cargoPhase(
+      connection, timer, 'leavingSoon',
+      `${EVENT_ICONS.cargo} Cargo Ship leaves the map in ~${left} @ ${location}`,
+      location, track.harbor
+    );
+  }
+}
+
+/**
+ * When the current Cargo Ship is due to leave, from its spawn time.
+ * @param {EventTimer} timer — the cargo timer
+ * @returns {Date|null}
+ */
+function _cargoLeavesAt(timer) {
+  if (!timer.active || !timer.spawnedAt) return null;
+  return new Date(timer.spawnedAt.getTime() + CARGO_LIFETIME_MS);
+}
+
+/**
+ * Announce a Cargo Ship phase change in team chat and emit 'cargoPhase'.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {EventTimer} timer — the cargo timer
+ * @param {string} phase — 'entered' | 'docked' | 'undocked' | 'leavingSoon'
+ * @param {string} text  — team chat message
+ * @param {string} location
+ * @param {string|null} harbor
+ */
+function _cargoPhase(connection, timer, phase, text, location, harbor) {
+  _safeSendTeamMessage(connection, text);
+  console.log(`[MapPoller] Cargo ${phase} at ${location} (${connection.serverIp}:${connection.serverPort})`);
+
+  /**
+   * @event RustPlusConnection#cargoPhase
+   * @type {{ phase: string, location: string, harbor: string|null, leavesAt: Date|null, time: Date }}
+   */
+  connection.emit('cargoPhase', { phase, location, harbor, leavesAt: _cargoLeavesAt(timer), time: new Date() });
+}
+
+/**
+ * Compass point a bearing falls in.
+ * @param {number} dx — east component
+ * @param {number} dy — north component
+ * @returns {string} e.g. "NE"
+ */
+function _compass(dx, dy) {
+  const degrees = (Math.atan2(dx, dy) * 180 / Math.PI + 360) % 360;
+  return COMPASS_POINTS[Math.round(degrees / 45) % COMPASS_POINTS.length];
+}
+
+/**
+ * Follow patrol heli markers across ticks, update their smoothed velocity and
+ * warn about saved bases and team members on their projected path.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {PollerState} state
+ * @param {object[]} markers — AppMarker[]
+ */
+function _trackHelis(connection, state, markers) {
+  const helis = markers.filter((m) => m.type === MARKER_TYPE.PATROL_HELICOPTER);
+  const now   = Date.now();
+
+  const present = new Set(helis.map((m) => m.id));
+  for (const id of state.helis.keys()) {
+    if (!present.has(id)) state.helis.delete(id);
+  }
+
+  for (const m of helis) {
+    const track = state.helis.get(m.id);
+    if (!track) {
+      state.helis.set(m.id, { x: m.x, y: m.y, seenAt: now, vx: null, vy: null, warned: new Map() });
+      continue;
+    }
+
+    const dt = (now - track.seenAt) / 1000;
+    if (dt <= 0) continue;
+    const vx = (m.x - track.x) / dt;
+    const vy = (m.y - track.y) / dt;
+    track.vx = track.vx === null ? vx : track.vx + HELI_VELOCITY_SMOOTHING * (vx - track.vx);
+    track.vy = track.vy === null ? vy : track.vy + HELI_VELOCITY_SMOOTHING * (vy - track.vy);
+    track.x = m.x;
+    track.y = m.y;
+    track.seenAt = now;
+
+    if (Math.hypot(track.vx, track.vy) < HELI_MIN_SPEED) continue;
+
+    const warnings = [];
+    for (const target of _heliTargets(connection)) {
+      const approach = _heliApproach(track, target);
+      if (!approach) continue;
+
+      const last = track.warned.get(target.key);
+      if (last && now - last < HELI_WARN_COOLDOWN_MS) continue;
+      track.warned.set(target.key, now);
+      warnings.push(Object.assign({ target }, approach));
+    }
+
+    if (warnings.length > 0) _heliWarning(connection, track, m, warnings);
+  }
+}
+
+/**
+ * Saved bases and online, alive team members on this server.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @returns {HeliTarget[]}
+ */
+function _heliTargets(connection) {
+  const targets = _loadBases(connection).map((b) => ({
+    key: `base:${b.id}`, type: 'base', name: b.name, x: b.x, y: b.y, base: b,
+  }));
+
+  const team = getTeamState(connection.serverIp, connection.serverPort);
+  for (const member of (team ? team.members : [])) {
+    if (!member.isOnline || !member.isAlive) continue;
+    targets.push({
+      key: `player:${member.steamId}`, type: 'player', name: member.name,
+      x: member.x, y: member.y, steamId: member.steamId,
+    });
+  }
+  return targets;
+}
+
+/**
+ * Closest approach of the heli's projected path to a target within
+ * HELI_LOOKAHEAD_MS, if the heli is heading towards it and passes within
+ * HELI_WARN_RADIUS.
+ *
+ * @param {HeliTrack} track
+ * @param {HeliTarget} target
+ * @returns {{ etaSeconds: number, distance: number, from: string }|null}
+ */
+function _heliApproach(track, target) {
+  const px = target.x - track.x;
+  const py = target.y - track.y;
+  const towards = px * track.vx + py * track.vy;
+  if (towards <= 0) return null;
+
+  const speedSq = track.vx * track.vx + track.vy * track.vy;
+  const t = Math.min(towards / speedSq, HELI_LOOKAHEAD_MS / 1000);
+  const distance = Math.hypot(px - track.vx * t, py - track.vy * t);
+  if (distance > HELI_WARN_RADIUS) return null;
+
+  // Direction of the heli as seen from the target
+  return { etaSeconds: Math.round(t), distance, from: _compass(-px, -py) };
+}
+
+/**
+ * Warn team chat about the heli's approach and emit 'heliApproaching'.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {HeliTrack} track
+ * @param {object} marker — the heli's marker
+ * @param {Array<{ target: HeliTarget, etaSeconds: number, distance: number, from: string }>} warnings
+ */
+function _heliWarning(connection, track, marker, warnings) {
+  const { serverIp, serverPort } = connection;
+  const location = describeLocation(serverIp, serverPort, marker.x, marker.y);
+  const heading  = _compass(track.vx, track.vy);
+  const speed    = Math.hypot(track.vx, track.vy);
+
+  const parts = warnings.map((w) => {
+    const who = w.target.type === 'base' ? `base ${w.target.name}` : w.target.name;
+    return `${who} from the ${w.from} (~${w.etaSeconds}s)`;
   });
+  _safeSendTeamMessage(connection, `${EVENT_ICONS.heli} Patrol Heli inbound @ ${location} — ${parts.join(', ')}`);
+  console.log(`[MapPoller] Heli approaching ${warnings.map((w) => w.target.key).join(', ')} (${serverIp}:${serverPort})`);
+
+  /**
+   * @event RustPlusConnection#heliApproaching
+   * @type {{ location: string, heading: string, speed: number,
+   *          warnings: Array<{ target: HeliTarget, etaSeconds: number, distance: number, from: string }>,
+   *          time: Date }}
+   */
+  connection.emit('heliApproaching', { location, heading, speed, warnings, time: new Date() });
 }
 
 /**
  * Compare current map presence to last known state and emit events/messages on changes.
  * @param {import('./index.js').RustPlusConnection} connection
  * @param {EventTimer} timer
- * @param {string} eventName  — 'cargo' | 'heli' | 'bradley' | 'oilrig'
+ * @param {string} eventName  — a key of EVENT_LABELS
  * @param {boolean} nowPresent  — true if the marker is on the map right now
- * @param {boolean} isFirstTick — when true, silently initialise state without sending messages
+ * @param {boolean} isFirstTick — when true, silently reconcile saved state without sending messages
+ * @param {object} [marker]     — the marker that is present, for a location in the spawn message
  */
-function _processEvent(connection, timer, eventName, nowPresent, isFirstTick) {
+function _processEvent(connection, timer, eventName, nowPresent, isFirstTick, marker) {
   if (isFirstTick) {
-    // First poll after connect — treat whatever is on the map as the baseline.
+    // First poll after connect — reconcile the saved state with the map.
     // Don't announce anything; the player already knows what's active.
-    timer.active    = nowPresent;
-    timer.spawnedAt = nowPresent ? new Date() : null;
+    if (nowPresent && !timer.active) {
+      // Spawned while the bot was down — the exact time is unknown
+      timer.active    = true;
+      timer.spawnedAt = new Date();
+      timer.location  = marker
+        ? describeLocation(connection.serverIp, connection.serverPort, marker.x, marker.y)
+        : null;
+      _recordHistory(connection, eventName, 'spawn', timer.spawnedAt, true);
+    } else if (!nowPresent && timer.active) {
+      // Gone while the bot was down — now is the latest it can have despawned
+      timer.active      = false;
+      timer.despawnedAt = new Date();
+      _recordHistory(connection, eventName, 'despawn', timer.despawnedAt, true);
+      console.log(`[MapPoller] ${eventName} despawned while offline (${connection.serverIp}:${connection.serverPort})`);
+    }
+    _saveTimer(connection, eventName, timer);
     return;
   }
 
@@ -257,20 +1467,31 @@ function _processEvent(connection, timer, eventName, nowPresent, isFirstTick) {
     timer.active     = true;
     timer.spawnedAt  = new Date();
 
-    const msg = _spawnMessage(eventName);
-    _safeSendTeamMessage(connection, msg);
+    const location = marker
+      ? describeLocation(connection.serverIp, connection.serverPort, marker.x, marker.y)
+      : null;
+    timer.location = location;
+
+    _saveTimer(connection, eventName, timer);
+    _recordHistory(connection, eventName, 'spawn', timer.spawnedAt, false);
+
     console.log(`[MapPoller] SPAWN detected: ${eventName} (${connection.serverIp}:${connection.serverPort})`);
+    if (PHASE_ANNOUNCED_EVENTS.has(eventName)) return;
+
+    _safeSendTeamMessage(connection, _spawnMessage(eventName, location));
 
     /**
      * @event RustPlusConnection#spawn
-     * @type {{ event: string, spawnedAt: Date }}
+     * @type {{ event: string, spawnedAt: Date, location: string|null }}
      */
-    connection.emit('spawn', { event: eventName, spawnedAt: timer.spawnedAt });
+    connection.emit('spawn', { event: eventName, spawnedAt: timer.spawnedAt, location });
 
   } else if (!nowPresent && timer.active) {
     // ---- DESPAWN ----
     timer.active      = false;
     timer.despawnedAt = new Date();
+    _saveTimer(connection, eventName, timer);
+    _recordHistory(connection, eventName, 'despawn', timer.despawnedAt, false);
 
     const msg = _despawnMessage(eventName);
     _safeSendTeamMessage(connection, msg);
@@ -289,13 +1510,21 @@ function _processEvent(connection, timer, eventName, nowPresent, isFirstTick) {
 // Message strings
 // ---------------------------------------------------------------------------
 
-/** @param {string} eventName */
-function _spawnMessage(eventName) {
+/**
+ * @param {string} eventName
+ * @param {string|null} [location] — e.g. "G12 near Harbor"
+ */
+function _spawnMessage(eventName, location) {
+  const at = location ? ` @ ${location}` : '';
   switch (eventName) {
     case 'cargo':   return '\uD83D\uDEA2 Cargo Ship has spawned!';
     case 'heli':    return '\uD83D\uDE81 Patrol Helicopter is incoming!';
-    case 'bradley': return '\uD83D\uDCA5 Bradley APC is active at Launch Site!';
-    case 'oilrig':  return '\uD83D\uDEE2\uFE0F Oil Rig is locked! Scientists called.';
+    case 'bradley': return location
+      ? `\uD83D\uDCA5 Explosion${at} — Bradley APC is active!`
+      : '\uD83D\uDCA5 Bradley APC is active at Launch Site!';
+    case 'chinook': return `\uD83D\uDE81 Chinook is dropping a locked crate${at}!`;
+    case 'supply':  return `\uD83D\uDCE6 Supply drop${at}!`;
+    case 'vendor':  return `\uD83D\uDED2 Travelling Vendor has arrived${at}!`;
     default:        return `${eventName} has spawned!`;
   }
 }
@@ -307,6 +1536,9 @@ function _despawnMessage(eventName) {
     case 'heli':    return '\uD83D\uDE81 Patrol Helicopter has been destroyed or left.';
     case 'bradley': return '\uD83D\uDCA5 Bradley APC has been destroyed. Respawns in ~30 min.';
     case 'oilrig':  return '\uD83D\uDEE2\uFE0F Oil Rig crate has been looted or timed out.';
+    case 'chinook': return '\uD83D\uDE81 Chinook crate has been looted or timed out.';
+    case 'supply':  return '\uD83D\uDCE6 Supply drop has been looted or despawned.';
+    case 'vendor':  return '\uD83D\uDED2 Travelling Vendor has left the map.';
     default:        return `${eventName} has despawned.`;
   }
 }
@@ -317,45 +1549,32 @@ function _despawnMessage(eventName) {
 
 /**
  * Build a status line for a single event timer.
- * @param {string} eventName  — 'cargo' | 'heli' | 'bradley' | 'oilrig'
+ * @param {string} ip
+ * @param {number} port
+ * @param {string} eventName  — a key of EVENT_LABELS
  * @param {EventTimer} timer
  * @returns {string}
  */
-function _timerLine(eventName, timer) {
-  const icon = {
-    cargo:   '\uD83D\uDEA2',
-    heli:    '\uD83D\uDE81',
-    bradley: '\uD83D\uDCA5',
-    oilrig:  '\uD83D\uDEE2\uFE0F',
-  }[eventName] || '';
-
-  const label = {
-    cargo:   'Cargo',
-    heli:    'Heli',
-    bradley: 'Bradley',
-    oilrig:  'Oil Rig',
-  }[eventName] || eventName;
+function _timerLine(ip, port, eventName, timer) {
+  const icon  = EVENT_ICONS[eventName] || '';
+  const label = EVENT_LABELS[eventName] || eventName;
 
   if (timer.active) {
+    const at    = timer.location ? ` @ ${timer.location}` : '';
     const since = timer.spawnedAt ? ` (spawned at ${_formatTime(timer.spawnedAt)})` : '';
-    return `${icon} ${label}: **ACTIVE**${since}`;
+    return `${icon} ${label}: **ACTIVE**${at}${since}`;
   }
 
   if (timer.despawnedAt) {
-    const respawnMs  = RESPAWN_MS[eventName];
-    const elapsed    = Date.now() - timer.despawnedAt.getTime();
-    const remaining  = respawnMs - elapsed;
-
     const downAt = _formatTime(timer.despawnedAt);
 
-    if (remaining > 0) {
-      return `${icon} ${label}: down at ${downAt} — next in ~${_formatDuration(remaining)}`;
-    } else {
-      return `${icon} ${label}: down at ${downAt} — may have already respawned`;
+    if (RESPAWN_MS[eventName] === null) {
+      return `${icon} ${label}: last one gone at ${downAt}`;
     }
+    return `${icon} ${label}: down at ${downAt} — ${_nextSpawnText(ip, port, eventName, timer.despawnedAt)}`;
   }
 
-  return `${icon} ${label}: unknown (bot wasn't running at last despawn)`;
+  return `${icon} ${label}: unknown (not seen despawning yet)`;
 }
 
 // ---------------------------------------------------------------------------
@@ -378,15 +1597,21 @@ function startPoller(connection) {
 
   const state = {
     intervalHandle: null,
-    mapSize: 0,
+    onConnected:    null,
+    gridLoading:    null,
+    gridRetryAt:    0,
+    gridRetryDelay: GRID_RETRY_MIN_MS,
     initialized: false, // set to true after first successful tick so we don't
                         // fire spawn events for things already on map at connect
-    timers: {
-      cargo:   _blankTimer(),
-      heli:    _blankTimer(),
-      bradley: _blankTimer(),
-      oilrig:  _blankTimer(),
-    },
+    timers:    _loadTimers(connection.serverIp, connection.serverPort),
+    markers:    new Map(),
+    ch47Kinds:  new Map(),
+    explosions: new Map(),
+    raids:      new Map(),
+    helis:      new Map(),
+    vendor:     _blankVendorTrack(),
+    cargo:      _blankCargoTrack(),
+    rigs:       _blankRigTracks(),
   };
 
   pollerMap.set(key, state);
@@ -395,19 +1620,10 @@ function startPoller(connection) {
     _tick(connection, state);
   }, POLL_INTERVAL_MS);
 
-  // Fetch map size once after connection settles — used for grid coordinate conversion
-  setTimeout(() => {
-    if (!pollerMap.has(key)) return;
-    const client = connection.getClient();
-    if (!client) return;
-    client.getMap((msg) => {
-      try {
-        if (msg.response && msg.response.map && msg.response.map.width) {
-          state.mapSize = msg.response.map.width;
-        }
-      } catch (e) { /* ignore */ }
-    });
-  }, 3000);
+  // Map size + monuments (grid references, monument classification) are
+  // loaded on every (re)connect, and retried by _tick until they arrive
+  state.onConnected = () => _loadGrid(connection, state);
+  connection.on('connected', state.onConnected);
 
   // Run first tick immediately (after a short delay to allow connection to settle)
   setTimeout(() => {
@@ -434,8 +1650,10 @@ function stopPoller(connection) {
     clearInterval(state.intervalHandle);
     state.intervalHandle = null;
   }
+  connection.removeListener('connected', state.onConnected);
 
   pollerMap.delete(key);
+  clearServerGrid(connection.serverIp, connection.serverPort);
   console.log(`[MapPoller] Stopped for ${key}`);
 }
 
@@ -445,7 +1663,7 @@ function stopPoller(connection) {
  *
  * @param {string} ip
  * @param {number} port
- * @returns {{ cargo: EventTimer, heli: EventTimer, bradley: EventTimer, oilrig: EventTimer }|null}
+ * @returns {Object<string, EventTimer>|null} keyed by event name
  */
 function getTimerState(ip, port) {
   const state = pollerMap.get(_key(ip, port));
@@ -453,7 +1671,7 @@ function getTimerState(ip, port) {
 }
 
 /**
- * Get a human-readable summary of all 4 event timers for a connection.
+ * Get a human-readable summary of every event timer for a connection.
  * Returns a string with one line per event, formatted for Discord.
  *
  * @param {string} ip
@@ -467,110 +1685,236 @@ function getTimerSummary(ip, port) {
     return 'No map poller active for this server. The bot may still be connecting.';
   }
 
-  const lines = [
-    _timerLine('cargo',   timers.cargo),
-    _timerLine('heli',    timers.heli),
-    _timerLine('bradley', timers.bradley),
-    _timerLine('oilrig',  timers.oilrig),
-  ];
+  return Object.keys(EVENT_LABELS)
+    .map((name) => _timerLine(ip, port, name, timers[name]))
+    .join('\n');
+}
+
+/**
+ * Forget every event timer for a connection, saved ones included — called
+ * after a wipe, when the old spawn/despawn times no longer mean anything. The
+ * next tick re-seeds the baseline silently, the same as after a fresh connect.
+ *
+ * @param {string} ip
+ * @param {number} port
+ * @returns {boolean} true if a poller was running for this connection
+ */
+function resetTimers(ip, port) {
+  try {
+    deleteEventTimers(ip, port);
+    // Keep the history for learning, but don't pair pre-wipe despawns with post-wipe spawns
+    const now = Math.floor(Date.now() / 1000);
+    for (const name of Object.keys(EVENT_LABELS)) {
+      insertEventHistory(ip, port, name, 'reset', now);
+    }
+  } catch (err) {
+    console.warn(`[MapPoller] Failed to delete saved timers (${_key(ip, port)}): ${err.message}`);
+  }
 
-  return lines.join('\n');
+  const state = pollerMap.get(_key(ip, port));
+  if (!state) return false;
+
+  state.initialized = false;
+  state.timers      = _blankTimers();
+  state.markers     = new Map();
+  state.ch47Kinds   = new Map();
+  state.explosions  = new Map();
+  state.raids       = new Map();
+  state.helis       = new Map();
+  state.vendor      = _blankVendorTrack();
+  state.cargo       = _blankCargoTrack();
+  state.rigs        = _blankRigTracks();
+  console.log(`[MapPoller] Timers reset for ${_key(ip, port)}`);
+  return true;
 }
 
 /**
  * Get a single-event status message suitable for team chat.
- * @param {string} eventName  — 'cargo' | 'heli' | 'bradley' | 'oilrig'
+ * Pass the server's ip/port to use its learned respawn window.
+ * @param {string} eventName  — a key of EVENT_LABELS
  * @param {EventTimer} timer
+ * @param {string} [ip]
+ * @param {number} [port]
  * @returns {string}
  */
-function getSingleTimerMessage(eventName, timer) {
-  const icon = {
-    cargo:   '\uD83D\uDEA2',
-    heli:    '\uD83D\uDE81',
-    bradley: '\uD83D\uDCA5',
-    oilrig:  '\uD83D\uDEE2\uFE0F',
-  }[eventName] || '';
-
-  const label = {
-    cargo:   'Cargo',
-    heli:    'Heli',
-    bradley: 'Bradley',
-    oilrig:  'Oil Rig',
-  }[eventName] || eventName;
+function getSingleTimerMessage(eventName, timer, ip, port) {
+  const icon  = EVENT_ICONS[eventName] || '';
+  const label = EVENT_LABELS[eventName] || eventName;
 
   if (timer.active) {
+    const at    = timer.location ? ` @ ${timer.location}` : '';
     const since = timer.spawnedAt ? ` (spawned at ${_formatTime(timer.spawnedAt)})` : '';
-    return `${icon} ${label} is currently ACTIVE on the map!${since}`;
+    return `${icon} ${label} is currently ACTIVE on the map${at}!${since}`;
   }
 
   if (timer.despawnedAt) {
-    const respawnMs = RESPAWN_MS[eventName];
-    const elapsed   = Date.now() - timer.despawnedAt.getTime();
-    const remaining = respawnMs - elapsed;
-
     const timeStr = _formatTime(timer.despawnedAt);
 
-    if (remaining > 0) {
-      return `${icon} ${label} despawned at ${timeStr} — next spawn in ~${_formatDuration(remaining)}`;
-    } else {
-      return `${icon} ${label} despawned at ${timeStr} — may have already respawned`;
+    if (RESPAWN_MS[eventName] === null) {
+      return `${icon} ${label}: last one gone at ${timeStr}`;
     }
+    return `${icon} ${label} despawned at ${timeStr} — ${_nextSpawnText(ip, port, eventName, timer.despawnedAt)}`;
   }
 
   return `${icon} ${label}: unknown — bot hasn't seen it despawn yet`;
 }
 
-// ---------------------------------------------------------------------------
-// Live crate status query
-// ---------------------------------------------------------------------------
-
 /**
- * Query the live map for locked crate markers and return a status message.
- * Calls getMapMarkers() in real-time rather than relying on cached timer state.
- * Calls back with a string message suitable for team chat.
+ * Respawn window learned from a server's event history: the spread of the
+ * gaps between a despawn and the next spawn over the last LEARNED_CYCLE_LIMIT
+ * cycles. Null until MIN_LEARNED_CYCLES exact cycles have been seen, or for
+ * events without a schedule.
  *
- * @param {import('./index.js').RustPlusConnection} connection
- * @param {function(string): void} callback
+ * @param {string} ip
+ * @param {number} port
+ * @param {string} eventName
+ * @returns {{ minMs: number, maxMs: number, cycles: number }|null}
  */
-function getLiveCrateStatus(connection, callback) {
-  if (!connection.isConnected()) {
-    return callback('🛢️ Oil Rig: not connected to server.');
+function getRespawnWindow(ip, port, eventName) {
+  if (RESPAWN_MS[eventName] === null || RESPAWN_MS[eventName] === undefined) return null;
+
+  let rows;
+  try {
+    rows = getEventHistory(ip, port, eventName, LEARNED_CYCLE_LIMIT * 2 + 10);
+  } catch (err) {
+    console.warn(`[MapPoller] Failed to read ${eventName} history (${_key(ip, port)}): ${err.message}`);
+    return null;
   }
 
-  const client = connection.getClient();
-  if (!client) return callback('🛢️ Oil Rig: client unavailable.');
+  const gaps = [];
+  for (let i = 0; i < rows.length - 1; i++) {
+    const down = rows[i];
+    const up   = rows[i + 1];
+    if (down.kind !== 'despawn' || up.kind !== 'spawn') continue;
+    if (down.approximate || up.approximate) continue;
+    const gapMs = (up.occurred_at - down.occurred_at) * 1000;
+    if (gapMs > 0 && gapMs <= MAX_RESPAWN_GAP_MS) gaps.push(gapMs);
+  }
 
-  const key = _key(connection.serverIp, connection.serverPort);
-  const state = pollerMap.get(key);
-  const mapSize = state ? state.mapSize : 0;
+  const recent = gaps.slice(-LEARNED_CYCLE_LIMIT).sort((a, b) => a - b);
+  if (recent.length < MIN_LEARNED_CYCLES) return null;
 
-  client.getMapMarkers((message) => {
-    try {
-      if (message.response && message.response.error) {
-        return callback('🛢️ Oil Rig: unable to query map right now.');
-      }
+  return {
+    minMs:  _percentile(recent, WINDOW_LOW_PERCENTILE),
+    maxMs:  _percentile(recent, WINDOW_HIGH_PERCENTILE),
+    cycles: recent.length,
+  };
+}
 
-      const markers = (message.response && message.response.mapMarkers && message.response.mapMarkers.markers) || [];
+/**
+ * Team chat status of the Travelling Vendor, with its route while it is on
+ * the map, e.g. "🛒 Travelling Vendor @ G12 near Harbor (stopped) — route: E9 → F10 → G12".
+ *
+ * @param {string} ip
+ * @param {number} port
+ * @returns {string}
+ */
+function getVendorStatus(ip, port) {
+  const state = pollerMap.get(_key(ip, port));
+  if (!state) return `${EVENT_ICONS.vendor} Travelling Vendor: unknown (bot just started)`;
 
-      const oilMarkers = markers.filter(_isOilrigMarker);
+  const timer = state.timers.vendor;
+  if (!timer.active) return getSingleTimerMessage('vendor', timer, ip, port);
 
-      if (oilMarkers.length === 0) {
-        return callback('🛢️ No oil rig events active on the map.');
-      }
+  const track   = state.vendor;
+  const stopped = track.stopped ? ' (stopped)' : '';
+  const route   = track.route.length > 1 ? ` — route: ${track.route.join(' \u2192 ')}` : '';
+  return `${EVENT_ICONS.vendor} Travelling Vendor @ ${timer.location || '??'}${stopped}${route}`;
+}
 
-      const lines = oilMarkers.map((m) => {
-        const grid = _coordToGrid(m.x || 0, m.y || 0, mapSize);
-        if (m.type === MARKER_TYPE.CH47) {
-          return `🚁 Oil Rig Chinook active @ ${grid}`;
-        }
-        return `🛢️ Oil Rig Locked Crate active @ ${grid}`;
-      });
+/**
+ * Markers on the map at the last poll, optionally of one MARKER_TYPE.
+ * Empty until the first poll has completed.
+ *
+ * @param {string} ip
+ * @param {number} port
+ * @param {number} [type] — MARKER_TYPE value
+ * @returns {object[]} AppMarker[]
+ */
+function getMarkers(ip, port, type) {
+  const state = pollerMap.get(_key(ip, port));
+  if (!state) return [];
+  const markers = [...state.markers.values()];
+  return type === undefined ? markers : markers.filter((m) => m.type === type);
+}
 
-      callback(lines.join(' | '));
-    } catch (err) {
-      callback('🛢️ Oil Rig: error reading map markers.');
+/**
+ * Team chat status of Cargo Ship: where it is, its phase and when it is due
+ * to leave, e.g. "🚢 Cargo Ship @ G12 near Harbor — docked at Harbor (12min), leaves in ~20min".
+ *
+ * @param {string} ip
+ * @param {number} port
+ * @returns {string}
+ */
+function getCargoStatus(ip, port) {
+  const state = pollerMap.get(_key(ip, port));
+  if (!state) return `${EVENT_ICONS.cargo} Cargo: unknown (bot just started)`;
+
+  const timer = state.timers.cargo;
+  if (!timer.active) return getSingleTimerMessage('cargo', timer, ip, port);
+
+  const track = state.cargo;
+  let phase = '';
+  if (track.phase === 'approaching') {
+    phase = ' — approaching the map';
+  } else if (track.phase === 'docked') {
+    phase = ` — docked at ${track.harbor} (${formatDuration(Date.now() - track.dockedAt.getTime())})`;
+  } else if (track.phase === 'sailing') {
+    phase = ' — sailing';
+  }
+
+  const leavesAt = _cargoLeavesAt(timer);
+  let leaves = '';
+  if (leavesAt) {
+    const left = leavesAt.getTime() - Date.now();
+    leaves = left > 0 ? `, leaves in ~${formatDuration(left)}` : ', due to leave any moment';
+  }
+
+  return `${EVENT_ICONS.cargo} Cargo Ship @ ${timer.location || '??'}${phase}${leaves}`;
+}
+
+/**
+ * Team chat status of the oil rigs: each rig's phase and how long until its
+ * crate unlocks, e.g. "🔒 Large Oil Rig (B3): crate locked — unlocks in ~12min (9:17am)".
+ *
+ * @param {string} ip
+ * @param {number} port
+ * @param {string} [rig] — 'large' | 'small' (default: both)
+ * @returns {string}
+ */
+function getOilRigStatus(ip, port, rig) {
+  const state = pollerMap.get(_key(ip, port));
+  if (!state) return `${EVENT_ICONS.oilrig} Oil Rig: unknown (bot just started)`;
+
+  const monuments = getMonuments(ip, port);
+  if (monuments.length === 0) return `${EVENT_ICONS.oilrig} Oil Rig: map not loaded yet`;
+
+  const rigs  = rig ? [rig] : Object.keys(OIL_RIG_LABELS);
+  const lines = rigs.map((r) => {
+    const label    = OIL_RIG_LABELS[r];
+    const monument = monuments.find((m) => OIL_RIG_SIZES[m.token] === r);
+    if (!monument) return `${EVENT_ICONS.oilrig} ${label}: not on this map`;
+
+    const track = state.rigs[r];
+    const name  = `${label} (${getGrid(ip, port, monument.x, monument.y)})`;
+    const icon  = RIG_PHASE_ICONS[track.phase];
+    const left  = track.unlocksAt &&
+      `unlocks in ~${formatDuration(track.unlocksAt - Date.now())} (${_formatTime(track.unlocksAt)})`;
+    switch (track.phase) {
+      case 'chinook':
+        return `${icon} ${name}: Chinook arriving (since ${_formatTime(track.since)}) — crate ${left}`;
+      case 'scientists':
+        return `${icon} ${name}: scientists dropped at ${_formatTime(track.since)} — crate ${left}`;
+      case 'locked':
+        return `${icon} ${name}: crate locked — ${left}`;
+      case 'unlocked':
+        return `${icon} ${name}: crate unlocked since ${_formatTime(track.since)}`;
+      default:
+        return `${EVENT_ICONS.oilrig} ${name}: quiet`;
     }
   });
+
+  return lines.join(' | ');
 }
 
 // ---------------------------------------------------------------------------
@@ -583,7 +1927,13 @@ module.exports = {
   getTimerState,
   getTimerSummary,
   getSingleTimerMessage,
-  getLiveCrateStatus,
+  getVendorStatus,
+  getCargoStatus,
+  getOilRigStatus,
+  getMarkers,
+  formatDuration,
+  getRespawnWindow,
+  resetTimers,
   // Exported for testing
   MARKER_TYPE,
   RESPAWN_MS,
@@ -0,0 +1,467 @@
+// src/rustplus/marketPoller.js
+// MyRustLink — Vending machine market poller.
+//
+// Every 5 minutes reads the VendingMachine markers (AppMarkerType 3) from
+// getMapMarkers() for each active RustPlusConnection. Each marker carries the
+// shop's sell orders. The poller:
+//   - replaces the server's rows in market_orders with the fresh snapshot
+//     (used by /shop and !shop)
+//   - appends to market_price_history for the current wipe whenever an item
+//     gets listed, its lowest unit price changes, or it sells out everywhere
+//   - checks the shop watchlist and emits 'shopWatchMatched' on the connection
+//     for each in-stock order at or under a watch's price. Each watch alerts
+//     once per order (shop + item + quantity + currency + price) for as long
+//     as the order stays listed. Blueprints never match a watch.
+//
+// Unit price = costPerItem / quantity (an order sells `quantity` items for
+// `costPerItem` of the currency). Prices in different currencies are tracked
+// separately.
+//
+// Public API:
+//   startMarketPoller(connection)     — begin polling for this connection
+//   stopMarketPoller(connection)      — stop polling for this connection
+//   searchMarket(ip, port, query)     — cheapest in-stock orders + wipe price history
+//   formatOrder(order)                — one-line description of a searchMarket order
+
+'use strict';
+
+const { PRIORITY } = require('./requestQueue.js');
+const { MARKER_TYPE } = require('./mapPoller.js');
+const { describeLocation } = require('./grid.js');
+const { getItemName, findItemIds } = require('./items.js');
+const {
+  getCurrentWipe,
+  replaceMarketOrders,
+  findMarketOrders,
+  insertMarketPrice,
+  getLatestMarketPrices,
+  getMarketPriceHistory,
+  getServerShopWatches,
+  markShopWatchAlerted,
+  pruneShopWatchAlerts,
+} = require('../db/index.js');
+
+// ---------------------------------------------------------------------------
+// Poll interval
+// ---------------------------------------------------------------------------
+
+const POLL_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+// ---------------------------------------------------------------------------
+// Module-level state map
+// Keyed by "ip:port", value is the poller state for that connection.
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} PriceEntry
+ * @property {number}      itemId
+ * @property {boolean}     itemIsBlueprint
+ * @property {number}      currencyId
+ * @property {number|null} minUnitPrice — null when sold out
+ * @property {number}      totalStock   — items available across all shops
+ * @property {number}      sellers      — shops with the item in stock
+ */
+
+/**
+ * @typedef {object} MarketPollerState
+ * @property {NodeJS.Timeout|null} intervalHandle
+ * @property {boolean}     initialized
+ * @property {number|null} wipeTime   — wipe the price history is being written for
+ * @property {Map<string, PriceEntry>} lastPrices — last recorded entry per item/currency
+ */
+
+/** @type {Map<string, MarketPollerState>} */
+const pollerMap = new Map();
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the canonical connection key.
+ * @param {string} ip
+ * @param {number} port
+ * @returns {string}
+ */
+function _key(ip, port) {
+  return `${ip}:${port}`;
+}
+
+/**
+ * Key for one tradable item/currency pair in the price history.
+ * @param {{ itemId: number, itemIsBlueprint: boolean, currencyId: number }} e
+ * @returns {string}
+ */
+function _priceKey(e) {
+  return `${e.itemId}:${e.itemIsBlueprint ? 1 : 0}:${e.currencyId}`;
+}
+
+/**
+ * Flatten VendingMachine markers into sell orders.
+ * @param {object[]} markers — AppMarker[]
+ * @returns {object[]} orders in replaceMarketOrders() shape
+ */
+function _ordersFromMarkers(markers) {
+  const orders = [];
+  for (const m of markers) {
+    if (m.type !== MARKER_TYPE.VENDING_MACHINE) continue;
+    for (const o of m.sellOrders || []) {
+      if (!o.quantity) continue;
+      orders.push({
+        shopId:              m.id,
+        shopName:            m.name || null,
+        x:                   m.x,
+        y:                   m.y,
+        itemId:              o.itemId,
+        quantity:            o.quantity,
+        currencyId:          o.currencyId,
+        costPerItem:         o.costPerItem,
+        amountInStock:       o.amountInStock || 0,
+        itemIsBlueprint:     !!o.itemIsBlueprint,
+        currencyIsBlueprint: !!o.currencyIsBlueprint,
+      });
+    }
+  }
+  return orders;
+}
+
+/**
+ * Aggregate in-stock orders per item/currency.
+ * @param {object[]} orders
+ * @returns {Map<string, PriceEntry>}
+ */
+function _aggregate(orders) {
+  const prices = new Map();
+  const shops  = new Map(); // price key → Set of shop ids
+
+  for (const o of orders) {
+    if (o.amountInStock <= 0) continue;
+    const key  = _priceKey(o);
+    const unit = o.costPerItem / o.quantity;
+
+    let entry = prices.get(key);
+    if (!entry) {
+      entry = {
+        itemId:          o.itemId,
+        itemIsBlueprint: o.itemIsBlueprint,
+        currencyId:      o.currencyId,
+        minUnitPrice:    unit,
+        totalStock:      0,
+        sellers:         0,
+      };
+      prices.set(key, entry);
+      shops.set(key, new Set());
+    }
+    entry.minUnitPrice = Math.min(entry.minUnitPrice, unit);
+    entry.totalStock  += o.amountInStock * o.quantity;
+    shops.get(key).add(o.shopId);
+  }
+
+  for (const [key, entry] of prices) {
+    entry.sellers = shops.get(key).size;
+  }
+  return prices;
+}
+
+/**
+ * Load the last recorded price of every item for a wipe.
+ * @param {string} ip
+ * @param {number} port
+ * @param {number|null} wipeTime
+ * @returns {Map<string, PriceEntry>}
+ */
+function _loadLastPrices(ip, port, wipeTime) {
+  const last = new Map();
+  for (const row of getLatestMarketPrices(ip, port, wipeTime)) {
+    const entry = {
+      itemId:          row.item_id,
+      itemIsBlueprint: !!row.item_is_blueprint,
+      currencyId:      row.currency_id,
+      minUnitPrice:    row.min_unit_price,
+      totalStock:      row.total_stock,
+      sellers:         row.sellers,
+    };
+    last.set(_priceKey(entry), entry);
+  }
+  return last;
+}
+
+// ---------------------------------------------------------------------------
+// Core poll tick
+// ---------------------------------------------------------------------------
+
+/**
+ * Perform one poll tick: call getMapMarkers and store the market snapshot.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {MarketPollerState} state
+ */
+function _tick(connection, state) {
+  if (!connection.isConnected()) return;
+
+  connection.getMapMarkers({ priority: PRIORITY.POLL }).then((mapMarkers) => {
+    try {
+      _processMarkers(connection, state, mapMarkers.markers || []);
+    } catch (err) {
+      console.error(
+        `[MarketPoller] Error processing market (${connection.serverIp}:${connection.serverPort}):`,
+        err.message
+      );
+    }
+  }).catch((err) => {
+    // Stale = dropped from a backed-up request queue; the next tick replaces it
+    if (err.code === 'stale') return;
+    console.warn(`[MarketPoller] getMapMarkers failed (${connection.serverIp}:${connection.serverPort}): ${err.message}`);
+  });
+}
+
+/**
+ * Store the snapshot and record price changes for the current wipe.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {MarketPollerState} state
+ * @param {object[]} markers — AppMarker[]
+ */
+function _processMarkers(connection, state, markers) {
+  const { serverIp, serverPort } = connection;
+
+  const orders = _ordersFromMarkers(markers);
+  replaceMarketOrders(serverIp, serverPort, orders);
+
+  // The price history belongs to a wipe — reload the baseline when it changes
+  const wipe     = getCurrentWipe(serverIp, serverPort);
+  const wipeTime = wipe ? wipe.wipe_time : null;
+  if (!state.initialized || state.wipeTime !== wipeTime) {
+    state.initialized = true;
+    state.wipeTime    = wipeTime;
+    state.lastPrices  = _loadLastPrices(serverIp, serverPort, wipeTime);
+  }
+
+  const current = _aggregate(orders);
+  let changes = 0;
+
+  for (const [key, entry] of current) {
+    const prev = state.lastPrices.get(key);
+    if (!prev || prev.sellers === 0 || prev.minUnitPrice !== entry.minUnitPrice) {
+      insertMarketPrice(serverIp, serverPort, wipeTime, entry);
+      state.lastPrices.set(key, entry);
+      changes++;
+    }
+  }
+
+  for (const [key, prev] of state.lastPrices) {
+    if (prev.sellers > 0 && !current.has(key)) {
+      const soldOut = Object.assign({}, prev, { minUnitPrice: null, totalStock: 0, sellers: 0 });
+      insertMarketPrice(serverIp, serverPort, wipeTime, soldOut);
+      state.lastPrices.set(key, soldOut);
+      changes++;
+    }
+  }
+
+  _checkWatches(connection, orders);
+
+  const shops = new Set(orders.map((o) => o.shopId)).size;
+  console.log(`[MarketPoller] Snapshot ${_key(serverIp, serverPort)} — ${shops} shops, ${orders.length} orders, ${changes} price changes`);
+}
+
+/**
+ * Emit 'shopWatchMatched' for every new order that satisfies a watch.
+ * Must run after replaceMarketOrders() so stale alerts are pruned against
+ * the fresh snapshot.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {object[]} orders — this snapshot's orders
+ */
+function _checkWatches(connection, orders) {
+  const { serverIp, serverPort } = connection;
+
+  pruneShopWatchAlerts(serverIp, serverPort);
+  const watches = getServerShopWatches(serverIp, serverPort);
+  if (watches.length === 0) return;
+
+  for (const o of orders) {
+    if (o.amountInStock <= 0 || o.itemIsBlueprint) continue;
+    const unitPrice = o.costPerItem / o.quantity;
+
+    for (const watch of watches) {
+      if (watch.item_id !== o.itemId || watch.currency_id !== o.currencyId) continue;
+      if (unitPrice > watch.max_price) continue;
+      if (!markShopWatchAlerted(watch.id, o)) continue;
+
+      const order = _describeOrder(serverIp, serverPort, o);
+      console.log(`[MarketPoller] Watch #${watch.id} matched on ${_key(serverIp, serverPort)}: ${formatOrder(order)}`);
+      connection.emit('shopWatchMatched', { time: new Date(), watch, order });
+    }
+  }
+}
+
+/**
+ * Display shape of an order (see searchMarket()).
+ * @param {string} ip
+ * @param {number} port
+ * @param {object} o — order in replaceMarketOrders() shape
+ * @returns {object}
+ */
+function _describeOrder(ip, port, o) {
+  return {
+    shopName:        o.shopName,
+    itemId:          o.itemId,
+    itemName:        getItemName(o.itemId),
+    itemIsBlueprint: o.itemIsBlueprint,
+    quantity:        o.quantity,
+    currencyName:    getItemName(o.currencyId),
+    costPerItem:     o.costPerItem,
+    unitPrice:       o.costPerItem / o.quantity,
+    amountInStock:   o.amountInStock,
+    location:        describeLocation(ip, port, o.x, o.y),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Start polling vending machines for a given connection.
+ * If polling is already active for this connection, it is restarted.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ */
+function startMarketPoller(connection) {
+  const key = _key(connection.serverIp, connection.serverPort);
+
+  if (pollerMap.has(key)) {
+    stopMarketPoller(connection);
+  }
+
+  const state = {
+    intervalHandle: null,
+    initialized:    false,
+    wipeTime:       null,
+    lastPrices:     new Map(),
+  };
+
+  pollerMap.set(key, state);
+
+  state.intervalHandle = setInterval(() => {
+    _tick(connection, state);
+  }, POLL_INTERVAL_MS);
+
+  // First tick once the info poller has had a chance to record the wipe
+  setTimeout(() => {
+    if (pollerMap.get(key) === state) {
+      _tick(connection, state);
+    }
+  }, 5000);
+
+  console.log(`[MarketPoller] Started for ${key} (poll interval: ${POLL_INTERVAL_MS}ms)`);
+}
+
+/**
+ * Stop polling vending machines for a given connection.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ */
+function stopMarketPoller(connection) {
+  const key = _key(connection.serverIp, connection.serverPort);
+  const state = pollerMap.get(key);
+
+  if (!state) return;
+
+  if (state.intervalHandle !== null) {
+    clearInterval(state.intervalHandle);
+    state.intervalHandle = null;
+  }
+
+  pollerMap.delete(key);
+  console.log(`[MarketPoller] Stopped for ${key}`);
+}
+
+/**
+ * Search the latest market snapshot for an item.
+ *
+ * @param {string} ip
+ * @param {number} port
+ * @param {string} query — item name, alias or numeric ID
+ * @returns {{ itemIds: number[], orders: object[], capturedAt: string|null,
+ *             history: Array<{ itemId: number, itemName: string, currencyName: string,
+ *                              firstSeenAt: string, lowest: number, lowestAt: string,
+ *                              changes: number }> }}
+ *   orders are cheapest first, each with itemName, currencyName, unitPrice and location
+ */
+function searchMarket(ip, port, query) {
+  const itemIds = findItemIds(query);
+  if (itemIds.length === 0) return { itemIds, orders: [], capturedAt: null, history: [] };
+
+  const orders = findMarketOrders(ip, port, itemIds).map((row) => Object.assign(
+    _describeOrder(ip, port, {
+      shopName:        row.shop_name,
+      x:               row.x,
+      y:               row.y,
+      itemId:          row.item_id,
+      quantity:        row.quantity,
+      currencyId:      row.currency_id,
+      costPerItem:     row.cost_per_item,
+      amountInStock:   row.amount_in_stock,
+      itemIsBlueprint: !!row.item_is_blueprint,
+    }),
+    { capturedAt: row.captured_at }
+  ));
+
+  const wipe     = getCurrentWipe(ip, port);
+  const wipeTime = wipe ? wipe.wipe_time : null;
+
+  // Summarise the wipe's history per item/currency
+  const summaries = new Map();
+  for (const row of getMarketPriceHistory(ip, port, wipeTime, itemIds)) {
+    const key = `${row.item_id}:${row.item_is_blueprint}:${row.currency_id}`;
+    let s = summaries.get(key);
+    if (!s) {
+      s = {
+        itemId:       row.item_id,
+        itemName:     getItemName(row.item_id) + (row.item_is_blueprint ? ' (BP)' : ''),
+        currencyName: getItemName(row.currency_id),
+        firstSeenAt:  row.captured_at,
+        lowest:       null,
+        lowestAt:     null,
+        changes:      0,
+      };
+      summaries.set(key, s);
+    }
+    s.changes++;
+    if (row.min_unit_price !== null && (s.lowest === null || row.min_unit_price < s.lowest)) {
+      s.lowest   = row.min_unit_price;
+      s.lowestAt = row.captured_at;
+    }
+  }
+
+  return {
+    itemIds,
+    orders,
+    capturedAt: orders.length > 0 ? orders[0].capturedAt : null,
+    history:    [...summaries.values()].filter((s) => s.lowest !== null),
+  };
+}
+
+/**
+ * One-line description of an order from searchMarket(), e.g.
+ * "Rifle Body x1 for 50 Scrap (stock 3) @ G12 near Outpost — Bob's Shop".
+ *
+ * @param {object} order
+ * @returns {string}
+ */
+function formatOrder(order) {
+  const bp    = order.itemIsBlueprint ? ' (BP)' : '';
+  const shop  = order.shopName ? ` — ${order.shopName}` : '';
+  return `${order.itemName}${bp} x${order.quantity} for ${order.costPerItem} ${order.currencyName} ` +
+    `(stock ${order.amountInStock}) @ ${order.location}${shop}`;
+}
+
+// ---------------------------------------------------------------------------
+// Module exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  startMarketPoller,
+  stopMarketPoller,
+  searchMarket,
+  formatOrder,
+};
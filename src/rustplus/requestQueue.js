@@ -0,0 +1,239 @@
+// src/rustplus/requestQueue.js
+// MyRustLink — Per-connection Rust+ request scheduler.
+//
+// Rust+ servers rate-limit each player with a token bucket (25 tokens,
+// refilling at 3 per second) and reject requests once it is empty. Several
+// loops share one connection — the map poller, broadcasters, the BattleMetrics
+// tracker and team-chat ! replies — so bursts are easy to hit.
+//
+// RequestQueue mirrors the server's bucket locally and only sends a request
+// once enough tokens are available. Waiting requests are ordered by priority:
+//
+//   PRIORITY.USER   — slash commands and ! replies (someone is waiting)
+//   PRIORITY.EVENT  — game-event broadcasts (alarm fired, cargo spawned, ...)
+//   PRIORITY.POLL   — background polls (map markers, team info, ...)
+//
+// Poll requests that sit in the queue longer than their max age are dropped
+// with RustPlusStaleRequestError: the next poll tick supersedes them anyway.
+//
+// Usage:
+//   const queue = new RequestQueue();
+//   queue.enqueue({ cost: 1, priority: PRIORITY.POLL, run: () => sendIt() });
+
+'use strict';
+
+const { RustPlusStaleRequestError } = require('./errors.js');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Request priorities — lower number is served first */
+const PRIORITY = {
+  USER:  0,
+  EVENT: 1,
+  POLL:  2,
+};
+
+/** Token cost of each request type (from the Rust+ server's rate limiter) */
+const REQUEST_COST = {
+  getInfo:         1,
+  getTime:         1,
+  getMap:          5,
+  getTeamInfo:     1,
+  getMapMarkers:   1,
+  getEntityInfo:   1,
+  setEntityValue:  1,
+  sendTeamMessage: 2,
+};
+
+/** Per-player bucket defaults (matches the server-side limit) */
+const BUCKET_DEFAULTS = {
+  capacity:     25,
+  refillPerSec: 3,
+};
+
+/** Default max queue wait before a request is dropped, by priority (null = never) */
+const MAX_AGE_MS = {
+  [PRIORITY.USER]:  null,
+  [PRIORITY.EVENT]: null,
+  [PRIORITY.POLL]:  10 * 1000,
+};
+
+// ---------------------------------------------------------------------------
+// RequestQueue class
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} QueuedRequest
+ * @property {number}   cost
+ * @property {number}   enqueuedAt
+ * @property {number|null} maxAgeMs
+ * @property {object}   details   — { method, server } for error messages
+ * @property {function(): Promise<*>} run
+ * @property {function(*): void} resolve
+ * @property {function(Error): void} reject
+ */
+
+class RequestQueue {
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.capacity]      — bucket size in tokens
+   * @param {number} [options.refillPerSec]  — tokens regained per second
+   */
+  constructor(options = {}) {
+    const opts = Object.assign({}, BUCKET_DEFAULTS, options);
+
+    this._capacity     = opts.capacity;
+    this._refillPerSec = opts.refillPerSec;
+    this._tokens       = opts.capacity;
+    this._lastRefill   = Date.now();
+
+    /** One FIFO per priority level, indexed by PRIORITY value @type {QueuedRequest[][]} */
+    this._queues = Object.values(PRIORITY).map(() => []);
+
+    this._wakeTimer = null; // pending setTimeout while waiting for tokens
+    this._sent      = 0;
+    this._dropped   = 0;
+  }
+
+  /**
+   * Queue a request. Resolves/rejects with the result of run() once sent.
+   *
+   * @param {object}   job
+   * @param {function(): Promise<*>} job.run  — performs the actual request
+   * @param {number}   [job.cost=1]
+   * @param {number}   [job.priority=PRIORITY.USER]
+   * @param {number}   [job.maxAgeMs]         — overrides MAX_AGE_MS for this priority
+   * @param {object}   [job.details]          — { method, server } for error messages
+   * @returns {Promise<*>}
+   */
+  enqueue(job) {
+    const priority = job.priority != null ? job.priority : PRIORITY.USER;
+    const maxAgeMs = job.maxAgeMs !== undefined ? job.maxAgeMs : MAX_AGE_MS[priority];
+
+    return new Promise((resolve, reject) => {
+      this._queues[priority].push({
+        cost:       Math.min(job.cost || 1, this._capacity),
+        enqueuedAt: Date.now(),
+        maxAgeMs,
+        details:    job.details || {},
+        run:        job.run,
+        resolve,
+        reject,
+      });
+      this._drain();
+    });
+  }
+
+  /**
+   * Number of requests waiting to be sent.
+   * @returns {number}
+   */
+  depth() {
+    return this._queues.reduce((n, q) => n + q.length, 0);
+  }
+
+  /**
+   * Queue statistics for /status and the dashboard.
+   * @returns {{ depth: number, byPriority: { user: number, event: number, poll: number },
+   *             tokens: number, sent: number, dropped: number }}
+   */
+  getStats() {
+    this._refill();
+    return {
+      depth: this.depth(),
+      byPriority: {
+        user:  this._queues[PRIORITY.USER].length,
+        event: this._queues[PRIORITY.EVENT].length,
+        poll:  this._queues[PRIORITY.POLL].length,
+      },
+      tokens:  Math.floor(this._tokens),
+      sent:    this._sent,
+      dropped: this._dropped,
+    };
+  }
+
+  /**
+   * Reject every waiting request (e.g. on disconnect) and stop the wake timer.
+   * @param {function(QueuedRequest): Error} makeError
+   */
+  clear(makeError) {
+    if (this._wakeTimer !== null) {
+      clearTimeout(this._wakeTimer);
+      this._wakeTimer = null;
+    }
+    for (const q of this._queues) {
+      while (q.length) {
+        const req = q.shift();
+        req.reject(makeError(req));
+      }
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Internal
+  // -------------------------------------------------------------------------
+
+  /** @private */
+  _refill() {
+    const now = Date.now();
+    const gained = ((now - this._lastRefill) / 1000) * this._refillPerSec;
+    this._tokens = Math.min(this._capacity, this._tokens + gained);
+    this._lastRefill = now;
+  }
+
+  /**
+   * Send as many queued requests as the bucket allows, highest priority first.
+   * Schedules a wake-up when the next request has to wait for tokens.
+   * @private
+   */
+  _drain() {
+    if (this._wakeTimer !== null) return; // already waiting for tokens
+
+    for (;;) {
+      const queue = this._queues.find((q) => q.length > 0);
+      if (!queue) return;
+
+      const req    = queue[0];
+      const waited = Date.now() - req.enqueuedAt;
+
+      if (req.maxAgeMs != null && waited > req.maxAgeMs) {
+        queue.shift();
+        this._dropped++;
+        req.reject(new RustPlusStaleRequestError(waited, req.details));
+        continue;
+      }
+
+      this._refill();
+      if (this._tokens < req.cost) {
+        const waitMs = Math.ceil(((req.cost - this._tokens) / this._refillPerSec) * 1000);
+        this._wakeTimer = setTimeout(() => {
+          this._wakeTimer = null;
+          this._drain();
+        }, waitMs);
+        return;
+      }
+
+      this._tokens -= req.cost;
+      this._sent++;
+      queue.shift();
+
+      Promise.resolve()
+        .then(req.run)
+        .then(req.resolve, req.reject);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Module exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  RequestQueue,
+  PRIORITY,
+  REQUEST_COST,
+  BUCKET_DEFAULTS,
+};
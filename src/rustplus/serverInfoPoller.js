@@ -0,0 +1,240 @@
+// src/rustplus/serverInfoPoller.js
+// MyRustLink — Server info poller and wipe detector.
+//
+// Polls getInfo() every minute for each active RustPlusConnection, keeps the
+// latest AppInfo in memory (population, queue, map size/seed, wipe time) and
+// stores a snapshot in server_info_snapshots every 10 minutes.
+//
+// Wipe detection: AppInfo.wipeTime is compared with the latest server_wipes
+// row for the server. The table survives restarts, so a wipe that happened
+// while the bot was offline is still caught on the next connect. When the
+// wipe time moves forward:
+//   - the new wipe is recorded in server_wipes (starts a fresh history)
+//   - mapPoller timers are reset
+//   - the map size and monuments used for grid references are reloaded
+//   - devices paired before the wipe are marked 'unreachable'
+//   - the entity type cache is cleared
+//   - 'wipeDetected' is emitted on the connection (bot posts a Discord notice)
+//
+// The very first wipe time seen for a server is recorded silently.
+//
+// Public API:
+//   startInfoPoller(connection)   — begin polling for this connection
+//   stopInfoPoller(connection)    — stop polling for this connection
+//   getServerInfo(ip, port)       — latest AppInfo (plus fetchedAt) or null
+
+'use strict';
+
+const { PRIORITY } = require('./requestQueue.js');
+const { resetTimers } = require('./mapPoller.js');
+const { loadServerGrid } = require('./grid.js');
+const {
+  logEvent,
+  getCurrentWipe,
+  recordWipe,
+  insertServerInfoSnapshot,
+  markDevicesGoneBefore,
+} = require('../db/index.js');
+
+// ---------------------------------------------------------------------------
+// Intervals
+// ---------------------------------------------------------------------------
+
+const POLL_INTERVAL_MS     = 60 * 1000;       // 1 minute
+const SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;  // 10 minutes
+
+// ---------------------------------------------------------------------------
+// Module-level state map
+// Keyed by "ip:port", value is the poller state for that connection.
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} InfoPollerState
+ * @property {NodeJS.Timeout|null} intervalHandle
+ * @property {object|null} info             — latest AppInfo, plus fetchedAt: Date
+ * @property {number}      lastSnapshotAt   — ms timestamp of the last stored snapshot
+ */
+
+/** @type {Map<string, InfoPollerState>} */
+const pollerMap = new Map();
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the canonical connection key.
+ * @param {string} ip
+ * @param {number} port
+ * @returns {string}
+ */
+function _key(ip, port) {
+  return `${ip}:${port}`;
+}
+
+// ---------------------------------------------------------------------------
+// Core poll tick
+// ---------------------------------------------------------------------------
+
+/**
+ * Perform one poll tick: call getInfo, store a snapshot if due, check for a wipe.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {InfoPollerState} state
+ */
+function _tick(connection, state) {
+  if (!connection.isConnected()) return;
+
+  connection.getInfo({ priority: PRIORITY.POLL }).then((info) => {
+    state.info = Object.assign({}, info, { fetchedAt: new Date() });
+
+    try {
+      if (Date.now() - state.lastSnapshotAt >= SNAPSHOT_INTERVAL_MS) {
+        insertServerInfoSnapshot(connection.serverIp, connection.serverPort, info);
+        state.lastSnapshotAt = Date.now();
+      }
+      _checkWipe(connection, Number(info.wipeTime) || 0);
+    } catch (err) {
+      console.error(
+        `[InfoPoller] Error processing server info (${connection.serverIp}:${connection.serverPort}):`,
+        err.message
+      );
+    }
+  }).catch((err) => {
+    // Stale = dropped from a backed-up request queue; the next tick replaces it
+    if (err.code === 'stale') return;
+    console.warn(`[InfoPoller] getInfo failed (${connection.serverIp}:${connection.serverPort}): ${err.message}`);
+  });
+}
+
+/**
+ * Compare the server's wipe time with the last recorded wipe and react to a change.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {number} wipeTime — unix seconds
+ */
+function _checkWipe(connection, wipeTime) {
+  if (!wipeTime) return;
+
+  const { serverIp, serverPort } = connection;
+  const current = getCurrentWipe(serverIp, serverPort);
+
+  if (!current) {
+    // First time we've seen this server — nothing to compare against
+    recordWipe(serverIp, serverPort, wipeTime);
+    return;
+  }
+
+  if (wipeTime <= current.wipe_time) return;
+
+  recordWipe(serverIp, serverPort, wipeTime);
+  resetTimers(serverIp, serverPort);
+  loadServerGrid(connection);
+  const devicesGone = markDevicesGoneBefore(serverIp, serverPort, wipeTime);
+  connection.clearEntityTypes();
+
+  const payload = {
+    wipeTime:         new Date(wipeTime * 1000),
+    previousWipeTime: new Date(current.wipe_time * 1000),
+    devicesGone,
+  };
+
+  console.log(`[InfoPoller] Wipe detected on ${_key(serverIp, serverPort)} — wiped at ${payload.wipeTime.toISOString()}, ${devicesGone} devices marked gone`);
+
+  try {
+    logEvent(connection.steamId, 'wipe_detected', JSON.stringify({
+      server:           _key(serverIp, serverPort),
+      wipeTime,
+      previousWipeTime: current.wipe_time,
+      devicesGone,
+    }));
+  } catch (err) {
+    console.error('[InfoPoller][DB] Failed to write event log:', err.message);
+  }
+
+  /**
+   * @event RustPlusConnection#wipeDetected
+   * @type {{ wipeTime: Date, previousWipeTime: Date, devicesGone: number }}
+   */
+  connection.emit('wipeDetected', payload);
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Start polling server info for a given connection.
+ * If polling is already active for this connection, it is restarted.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ */
+function startInfoPoller(connection) {
+  const key = _key(connection.serverIp, connection.serverPort);
+
+  if (pollerMap.has(key)) {
+    stopInfoPoller(connection);
+  }
+
+  const state = {
+    intervalHandle: null,
+    info:           null,
+    lastSnapshotAt: 0,
+  };
+
+  pollerMap.set(key, state);
+
+  state.intervalHandle = setInterval(() => {
+    _tick(connection, state);
+  }, POLL_INTERVAL_MS);
+
+  // First tick shortly after the connection settles
+  setTimeout(() => {
+    if (pollerMap.get(key) === state) {
+      _tick(connection, state);
+    }
+  }, 2000);
+
+  console.log(`[InfoPoller] Started for ${key} (poll interval: ${POLL_INTERVAL_MS}ms)`);
+}
+
+/**
+ * Stop polling server info for a given connection.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ */
+function stopInfoPoller(connection) {
+  const key = _key(connection.serverIp, connection.serverPort);
+  const state = pollerMap.get(key);
+
+  if (!state) return;
+
+  if (state.intervalHandle !== null) {
+    clearInterval(state.intervalHandle);
+    state.intervalHandle = null;
+  }
+
+  pollerMap.delete(key);
+  console.log(`[InfoPoller] Stopped for ${key}`);
+}
+
+/**
+ * Get the latest server info fetched for a connection.
+ * Returns null until the first successful poll.
+ *
+ * @param {string} ip
+ * @param {number} port
+ * @returns {object|null} AppInfo fields plus fetchedAt: Date
+ */
+function getServerInfo(ip, port) {
+  const state = pollerMap.get(_key(ip, port));
+  return state ? state.info : null;
+}
+
+// ---------------------------------------------------------------------------
+// Module exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  startInfoPoller,
+  stopInfoPoller,
+  getServerInfo,
+};
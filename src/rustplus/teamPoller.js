@@ -0,0 +1,305 @@
+// src/rustplus/teamPoller.js
+// MyRustLink — Team state poller.
+//
+// Polls getTeamInfo() every 15 seconds for each active RustPlusConnection and
+// diffs the member list against the previous poll. Changes are emitted on the
+// connection and written to event_logs:
+//
+//   memberOnline      — a member connected to the server
+//   memberOffline     — a member disconnected
+//   memberDied        — a member died (payload includes the grid and nearest monument)
+//   memberRespawned   — a dead member spawned again
+//   leaderChanged     — team leadership moved to another member
+//
+// The first poll after connect only records a baseline — whoever is already
+// online or dead at that moment is not announced.
+//
+// Public API:
+//   startTeamPoller(connection)   — begin polling for this connection
+//   stopTeamPoller(connection)    — stop polling for this connection
+//   getTeamState(ip, port)        — returns { leaderSteamId, members } or null
+
+'use strict';
+
+const { PRIORITY } = require('./requestQueue.js');
+const { getGrid, describeLocation } = require('./grid.js');
+const { logEvent } = require('../db/index.js');
+
+// ---------------------------------------------------------------------------
+// Poll interval
+// ---------------------------------------------------------------------------
+
+const POLL_INTERVAL_MS = 15 * 1000; // 15 seconds
+
+// ---------------------------------------------------------------------------
+// Module-level state map
+// Keyed by "ip:port", value is the poller state for that connection.
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} MemberState
+ * @property {string}  steamId
+ * @property {string}  name
+ * @property {boolean} isOnline
+ * @property {boolean} isAlive
+ * @property {number}  spawnTime   — unix seconds of the last spawn
+ * @property {number}  deathTime   — unix seconds of the last death
+ * @property {number}  x
+ * @property {number}  y
+ */
+
+/**
+ * @typedef {object} TeamPollerState
+ * @property {NodeJS.Timeout|null} intervalHandle
+ * @property {boolean} initialized
+ * @property {string|null} leaderSteamId
+ * @property {Map<string, MemberState>} members — keyed by steamId
+ */
+
+/** @type {Map<string, TeamPollerState>} */
+const pollerMap = new Map();
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the canonical connection key.
+ * @param {string} ip
+ * @param {number} port
+ * @returns {string}
+ */
+function _key(ip, port) {
+  return `${ip}:${port}`;
+}
+
+/**
+ * Write an event_log row without throwing.
+ * @param {string} steamId
+ * @param {string} eventType
+ * @param {object} data
+ */
+function _safeLog(steamId, eventType, data) {
+  try {
+    logEvent(steamId, eventType, JSON.stringify(data));
+  } catch (err) {
+    console.error('[TeamPoller][DB] Failed to write event log:', err.message);
+  }
+}
+
+/**
+ * Normalise an AppTeamInfo.Member into a MemberState.
+ * steamId arrives as a Long/number — always key by its string form.
+ * @param {object} m
+ * @returns {MemberState}
+ */
+function _toMemberState(m) {
+  return {
+    steamId:   String(m.steamId),
+    name:      m.name || String(m.steamId),
+    isOnline:  !!m.isOnline,
+    isAlive:   !!m.isAlive,
+    spawnTime: Number(m.spawnTime) || 0,
+    deathTime: Number(m.deathTime) || 0,
+    x:         m.x || 0,
+    y:         m.y || 0,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Core poll tick
+// ---------------------------------------------------------------------------
+
+/**
+ * Perform one poll tick: call getTeamInfo and diff against the last state.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {TeamPollerState} state
+ */
+function _tick(connection, state) {
+  if (!connection.isConnected()) return;
+
+  connection.getTeamInfo({ priority: PRIORITY.POLL }).then((teamInfo) => {
+    try {
+      _processTeamInfo(connection, state, teamInfo);
+    } catch (err) {
+      console.error(
+        `[TeamPoller] Error processing team info (${connection.serverIp}:${connection.serverPort}):`,
+        err.message
+      );
+    }
+  }).catch((err) => {
+    // Stale = dropped from a backed-up request queue; the next tick replaces it
+    if (err.code === 'stale') return;
+    console.warn(`[TeamPoller] getTeamInfo failed (${connection.serverIp}:${connection.serverPort}): ${err.message}`);
+  });
+}
+
+/**
+ * Diff a fresh AppTeamInfo against the stored state and emit change events.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {TeamPollerState} state
+ * @param {object} teamInfo — AppTeamInfo
+ */
+function _processTeamInfo(connection, state, teamInfo) {
+  const leaderSteamId = teamInfo.leaderSteamId ? String(teamInfo.leaderSteamId) : null;
+  const current       = new Map((teamInfo.members || []).map((m) => {
+    const member = _toMemberState(m);
+    return [member.steamId, member];
+  }));
+
+  if (!state.initialized) {
+    state.initialized   = true;
+    state.leaderSteamId = leaderSteamId;
+    state.members       = current;
+    const online = [...current.values()].filter((m) => m.isOnline).length;
+    console.log(`[TeamPoller] Baseline set (${connection.serverIp}:${connection.serverPort}) — ${current.size} members, ${online} online`);
+    return;
+  }
+
+  for (const member of current.values()) {
+    const prev = state.members.get(member.steamId);
+    // Someone who just joined the team has no history to diff against
+    if (!prev) continue;
+
+    if (member.isOnline && !prev.isOnline) {
+      _emit(connection, 'memberOnline', 'member_online', { steamId: member.steamId, name: member.name });
+    } else if (!member.isOnline && prev.isOnline) {
+      _emit(connection, 'memberOffline', 'member_offline', { steamId: member.steamId, name: member.name });
+    }
+
+    // A new deathTime catches deaths that happened between two polls even if
+    // the member already respawned by the time we look.
+    const died = (prev.isAlive && !member.isAlive) || member.deathTime > prev.deathTime;
+    if (died) {
+      // The server keeps reporting the corpse position while the member is
+      // dead; if they already respawned, the last position we saw is closest.
+      const pos = member.isAlive ? prev : member;
+      _emit(connection, 'memberDied', 'member_died', {
+        steamId: member.steamId,
+        name:    member.name,
+        x:       pos.x,
+        y:       pos.y,
+        grid:     getGrid(connection.serverIp, connection.serverPort, pos.x, pos.y),
+        location: describeLocation(connection.serverIp, connection.serverPort, pos.x, pos.y),
+      });
+    }
+
+    const respawned = member.isAlive && (!prev.isAlive || (died && member.spawnTime > prev.spawnTime));
+    if (respawned) {
+      _emit(connection, 'memberRespawned', 'member_respawned', { steamId: member.steamId, name: member.name });
+    }
+  }
+
+  if (leaderSteamId && state.leaderSteamId && leaderSteamId !== state.leaderSteamId) {
+    const leader = current.get(leaderSteamId);
+    _emit(connection, 'leaderChanged', 'leader_changed', {
+      steamId:         leaderSteamId,
+      name:            leader ? leader.name : leaderSteamId,
+      previousSteamId: state.leaderSteamId,
+    });
+  }
+
+  state.leaderSteamId = leaderSteamId;
+  state.members       = current;
+}
+
+/**
+ * Emit a team event on the connection and record it in event_logs.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {string} eventName  — connection event, e.g. 'memberDied'
+ * @param {string} logType    — event_logs.event_type, e.g. 'member_died'
+ * @param {object} payload    — must include steamId
+ */
+function _emit(connection, eventName, logType, payload) {
+  const server = `${connection.serverIp}:${connection.serverPort}`;
+  console.log(`[TeamPoller] ${eventName}: ${payload.name} (${server})`);
+  _safeLog(payload.steamId, logType, Object.assign({ server }, payload));
+  connection.emit(eventName, Object.assign({ time: new Date() }, payload));
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Start polling team info for a given connection.
+ * If polling is already active for this connection, it is restarted.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ */
+function startTeamPoller(connection) {
+  const key = _key(connection.serverIp, connection.serverPort);
+
+  if (pollerMap.has(key)) {
+    stopTeamPoller(connection);
+  }
+
+  const state = {
+    intervalHandle: null,
+    initialized:    false,
+    leaderSteamId:  null,
+    members:        new Map(),
+  };
+
+  pollerMap.set(key, state);
+
+  state.intervalHandle = setInterval(() => {
+    _tick(connection, state);
+  }, POLL_INTERVAL_MS);
+
+  // First tick shortly after the connection settles
+  setTimeout(() => {
+    if (pollerMap.get(key) === state) {
+      _tick(connection, state);
+    }
+  }, 2500);
+
+  console.log(`[TeamPoller] Started for ${key} (poll interval: ${POLL_INTERVAL_MS}ms)`);
+}
+
+/**
+ * Stop polling team info for a given connection.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ */
+function stopTeamPoller(connection) {
+  const key = _key(connection.serverIp, connection.serverPort);
+  const state = pollerMap.get(key);
+
+  if (!state) return;
+
+  if (state.intervalHandle !== null) {
+    clearInterval(state.intervalHandle);
+    state.intervalHandle = null;
+  }
+
+  pollerMap.delete(key);
+  console.log(`[TeamPoller] Stopped for ${key}`);
+}
+
+/**
+ * Get the last known team state for a connection.
+ * Returns null if no poller is running or the first poll hasn't completed.
+ *
+ * @param {string} ip
+ * @param {number} port
+ * @returns {{ leaderSteamId: string|null, members: MemberState[] }|null}
+ */
+function getTeamState(ip, port) {
+  const state = pollerMap.get(_key(ip, port));
+  if (!state || !state.initialized) return null;
+  return {
+    leaderSteamId: state.leaderSteamId,
+    members:       [...state.members.values()],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Module exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  startTeamPoller,
+  stopTeamPoller,
+  getTeamState,
+};
@@ -0,0 +1,371 @@
+// src/rustplus/timePoller.js
+// MyRustLink — In-game clock poller.
+//
+// Polls getTime() every 30 seconds for each active RustPlusConnection and keeps
+// a model of the server's day/night cycle (sunrise, sunset, current time).
+//
+// Day and night run at different real-time speeds on most servers, so the
+// real seconds per in-game hour are learned separately for each phase from
+// consecutive polls. Until a phase has been observed, the rate falls back to
+// dayLengthMinutes / timeScale spread evenly over 24 hours.
+//
+// Events emitted on the connection:
+//   nightApproaching  — { minutesUntilDark }  (NIGHT_WARNING_MINUTES real minutes before sunset)
+//   nightStarted      — {}
+//   dayStarted        — {}
+//
+// The first poll after connect only records a baseline.
+//
+// Public API:
+//   startTimePoller(connection)   — begin polling for this connection
+//   stopTimePoller(connection)    — stop polling for this connection
+//   getTimeState(ip, port)        — current model or null
+//   getTimeSummary(ip, port)      — one-line status for team chat / Discord
+
+'use strict';
+
+const { PRIORITY } = require('./requestQueue.js');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const POLL_INTERVAL_MS = 30 * 1000; // 30 seconds
+
+/** Real minutes before sunset that nightApproaching fires (env override) */
+const DEFAULT_NIGHT_WARNING_MINUTES = 5;
+
+/** Weight of a new observation when smoothing the learned phase rates */
+const RATE_SMOOTHING = 0.3;
+
+// ---------------------------------------------------------------------------
+// Module-level state map
+// Keyed by "ip:port", value is the poller state for that connection.
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} TimePollerState
+ * @property {NodeJS.Timeout|null} intervalHandle
+ * @property {boolean}     initialized
+ * @property {number|null} time         — in-game hour (0–24, fractional) at the last poll
+ * @property {number}      polledAt     — ms timestamp of the last poll
+ * @property {number}      sunrise      — in-game hour
+ * @property {number}      sunset       — in-game hour
+ * @property {number}      fallbackRate — real seconds per in-game hour from dayLengthMinutes
+ * @property {{ day: number|null, night: number|null }} rate — learned real seconds per in-game hour
+ * @property {boolean}     isDay
+ * @property {boolean}     warnedNight  — nightApproaching already sent for this day
+ */
+
+/** @type {Map<string, TimePollerState>} */
+const pollerMap = new Map();
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the canonical connection key.
+ * @param {string} ip
+ * @param {number} port
+ * @returns {string}
+ */
+function _key(ip, port) {
+  return `${ip}:${port}`;
+}
+
+/**
+ * Lead time for nightApproaching in real minutes.
+ * @returns {number}
+ */
+function _nightWarningMinutes() {
+  const n = parseFloat(process.env.NIGHT_WARNING_MINUTES);
+  return Number.isFinite(n) && n >= 0 ? n : DEFAULT_NIGHT_WARNING_MINUTES;
+}
+
+/**
+ * @param {number} time
+ * @param {number} sunrise
+ * @param {number} sunset
+ * @returns {boolean}
+ */
+function _isDay(time, sunrise, sunset) {
+  return time >= sunrise && time < sunset;
+}
+
+/**
+ * In-game hours from one clock time to another, wrapping past midnight.
+ * @param {number} from
+ * @param {number} to
+ * @returns {number}
+ */
+function _hoursUntil(from, to) {
+  const diff = to - from;
+  return diff >= 0 ? diff : diff + 24;
+}
+
+/**
+ * Real seconds per in-game hour for the given phase.
+ * @param {TimePollerState} state
+ * @param {boolean} isDay
+ * @returns {number}
+ */
+function _rate(state, isDay) {
+  const learned = isDay ? state.rate.day : state.rate.night;
+  return learned || state.fallbackRate;
+}
+
+/**
+ * Format an in-game hour as "HH:MM".
+ * @param {number} time
+ * @returns {string}
+ */
+function _formatClock(time) {
+  const totalMinutes = Math.floor(time * 60) % (24 * 60);
+  const hh = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+  const mm = String(totalMinutes % 60).padStart(2, '0');
+  return `${hh}:${mm}`;
+}
+
+// ---------------------------------------------------------------------------
+// Core poll tick
+// ---------------------------------------------------------------------------
+
+/**
+ * Perform one poll tick: call getTime and update the model.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {TimePollerState} state
+ */
+function _tick(connection, state) {
+  if (!connection.isConnected()) return;
+
+  connection.getTime({ priority: PRIORITY.POLL }).then((appTime) => {
+    try {
+      _processTime(connection, state, appTime);
+    } catch (err) {
+      console.error(
+        `[TimePoller] Error processing time (${connection.serverIp}:${connection.serverPort}):`,
+        err.message
+      );
+    }
+  }).catch((err) => {
+    // Stale = dropped from a backed-up request queue; the next tick replaces it
+    if (err.code === 'stale') return;
+    console.warn(`[TimePoller] getTime failed (${connection.serverIp}:${connection.serverPort}): ${err.message}`);
+  });
+}
+
+/**
+ * Fold a fresh AppTime into the model and emit transition events.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {TimePollerState} state
+ * @param {object} appTime — AppTime
+ */
+function _processTime(connection, state, appTime) {
+  const now   = Date.now();
+  const time  = appTime.time;
+  const isDay = _isDay(time, appTime.sunrise, appTime.sunset);
+
+  // Learn the phase rate from the previous poll, if both polls sit in the same phase
+  if (state.time !== null && isDay === state.isDay) {
+    const hours   = _hoursUntil(state.time, time);
+    const seconds = (now - state.polledAt) / 1000;
+    // Ignore no-op polls and implausible jumps (admin time changes, long gaps)
+    if (hours > 0 && hours < 2) {
+      const observed = seconds / hours;
+      const key      = isDay ? 'day' : 'night';
+      state.rate[key] = state.rate[key]
+        ? state.rate[key] * (1 - RATE_SMOOTHING) + observed * RATE_SMOOTHING
+        : observed;
+    }
+  }
+
+  const dayLengthMinutes = appTime.dayLengthMinutes || 60;
+  const timeScale        = appTime.timeScale || 1;
+  state.fallbackRate = (dayLengthMinutes * 60 / 24) / timeScale;
+  state.sunrise      = appTime.sunrise;
+  state.sunset       = appTime.sunset;
+  state.time         = time;
+  state.polledAt     = now;
+
+  const leadSeconds = _nightWarningMinutes() * 60;
+  const secondsToDark = isDay ? _hoursUntil(time, state.sunset) * _rate(state, true) : null;
+
+  if (!state.initialized) {
+    state.initialized = true;
+    state.isDay       = isDay;
+    // Don't warn about a sunset that's already inside the lead window at connect
+    state.warnedNight = isDay && secondsToDark <= leadSeconds;
+    console.log(`[TimePoller] Baseline set (${connection.serverIp}:${connection.serverPort}) — ${_formatClock(time)} (${isDay ? 'day' : 'night'})`);
+    return;
+  }
+
+  const wasDay = state.isDay;
+  state.isDay = isDay;
+
+  if (isDay && !wasDay) {
+    state.warnedNight = false;
+    _emit(connection, 'dayStarted', {});
+  } else if (!isDay && wasDay) {
+    _emit(connection, 'nightStarted', {});
+  }
+
+  if (isDay && !state.warnedNight && secondsToDark <= leadSeconds) {
+    state.warnedNight = true;
+    _emit(connection, 'nightApproaching', { minutesUntilDark: Math.max(1, Math.round(secondsToDark / 60)) });
+  }
+}
+
+/**
+ * Emit a clock event on the connection.
+ * @param {import('./index.js').RustPlusConnection} connection
+ * @param {string} eventName
+ * @param {object} payload
+ */
+function _emit(connection, eventName, payload) {
+  console.log(`[TimePoller] ${eventName} (${connection.serverIp}:${connection.serverPort})`);
+  connection.emit(eventName, payload);
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Start polling the in-game clock for a given connection.
+ * If polling is already active for this connection, it is restarted.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ */
+function startTimePoller(connection) {
+  const key = _key(connection.serverIp, connection.serverPort);
+
+  if (pollerMap.has(key)) {
+    stopTimePoller(connection);
+  }
+
+  const state = {
+    intervalHandle: null,
+    initialized:    false,
+    time:           null,
+    polledAt:       0,
+    sunrise:        0,
+    sunset:         0,
+    fallbackRate:   150, // 60-minute day cycle until the first poll says otherwise
+    rate:           { day: null, night: null },
+    isDay:          true,
+    warnedNight:    false,
+  };
+
+  pollerMap.set(key, state);
+
+  state.intervalHandle = setInterval(() => {
+    _tick(connection, state);
+  }, POLL_INTERVAL_MS);
+
+  // First tick shortly after the connection settles
+  setTimeout(() => {
+    if (pollerMap.get(key) === state) {
+      _tick(connection, state);
+    }
+  }, 3000);
+
+  console.log(`[TimePoller] Started for ${key} (poll interval: ${POLL_INTERVAL_MS}ms)`);
+}
+
+/**
+ * Stop polling the in-game clock for a given connection.
+ *
+ * @param {import('./index.js').RustPlusConnection} connection
+ */
+function stopTimePoller(connection) {
+  const key = _key(connection.serverIp, connection.serverPort);
+  const state = pollerMap.get(key);
+
+  if (!state) return;
+
+  if (state.intervalHandle !== null) {
+    clearInterval(state.intervalHandle);
+    state.intervalHandle = null;
+  }
+
+  pollerMap.delete(key);
+  console.log(`[TimePoller] Stopped for ${key}`);
+}
+
+/**
+ * Get the current clock model for a connection, extrapolated to now.
+ * Returns null until the first successful poll.
+ *
+ * @param {string} ip
+ * @param {number} port
+ * @returns {{ time: number, clock: string, isDay: boolean, sunrise: number, sunset: number,
+ *             realSecondsToDark: number|null, realSecondsToDawn: number|null }|null}
+ */
+function getTimeState(ip, port) {
+  const state = pollerMap.get(_key(ip, port));
+  if (!state || !state.initialized) return null;
+
+  // Advance the last polled time by the real time elapsed since, at each
+  // phase's rate, crossing into the next phase when the last poll is older
+  // than the transition (polls dropped, or the connection parked). Whole
+  // day/night cycles bring the clock back to where it was, so skip them.
+  let remaining = (Date.now() - state.polledAt) / 1000;
+  const cycle   = _hoursUntil(state.sunrise, state.sunset) * _rate(state, true) +
+                  _hoursUntil(state.sunset, state.sunrise) * _rate(state, false);
+  if (cycle > 0) remaining %= cycle;
+
+  let time  = state.time;
+  let isDay = state.isDay;
+  for (let crossed = 0; crossed < 2; crossed++) {
+    const untilBoundary = _hoursUntil(time, isDay ? state.sunset : state.sunrise) * _rate(state, isDay);
+    if (remaining < untilBoundary) break;
+    remaining -= untilBoundary;
+    time  = isDay ? state.sunset : state.sunrise;
+    isDay = !isDay;
+  }
+  time = (time + remaining / _rate(state, isDay)) % 24;
+
+  const boundary = isDay ? state.sunset : state.sunrise;
+  const realSecondsToBoundary = _hoursUntil(time, boundary) * _rate(state, isDay);
+
+  return {
+    time,
+    clock:             _formatClock(time),
+    isDay,
+    sunrise:           state.sunrise,
+    sunset:            state.sunset,
+    realSecondsToDark: isDay ? realSecondsToBoundary : null,
+    realSecondsToDawn: isDay ? null : realSecondsToBoundary,
+  };
+}
+
+/**
+ * One-line in-game time summary, e.g. "☀️ 14:32 — dark in ~12 min".
+ *
+ * @param {string} ip
+ * @param {number} port
+ * @returns {string}
+ */
+function getTimeSummary(ip, port) {
+  const t = getTimeState(ip, port);
+  if (!t) return '🕒 In-game time unknown (bot just started)';
+
+  if (t.isDay) {
+    const mins = Math.max(1, Math.round(t.realSecondsToDark / 60));
+    return `☀️ ${t.clock} — dark in ~${mins} min`;
+  }
+  const mins = Math.max(1, Math.round(t.realSecondsToDawn / 60));
+  return `🌙 ${t.clock} — dawn in ~${mins} min`;
+}
+
+// ---------------------------------------------------------------------------
+// Module exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  startTimePoller,
+  stopTimePoller,
+  getTimeState,
+  getTimeSummary,
+};
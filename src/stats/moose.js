@@ -17,38 +17,9 @@
 
 'use strict';
 
-const MOOSE_URL = 'https://moose.gg/stats';
-
-/** @type {import('puppeteer').Browser|null} */
-let _browser = null;
-
-// ---------------------------------------------------------------------------
-// Browser lifecycle
-// ---------------------------------------------------------------------------
+const { getBrowser } = require('../browser/index.js');
 
-async function getBrowser() {
-  if (_browser && _browser.isConnected()) return _browser;
-
-  const puppeteer = require('puppeteer');
-  _browser = await puppeteer.launch({
-    headless: 'new',
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-gpu',
-    ],
-  });
-  _browser.on('disconnected', () => { _browser = null; });
-  return _browser;
-}
-
-async function closeBrowser() {
-  if (_browser) {
-    await _browser.close().catch(() => {});
-    _browser = null;
-  }
-}
+const MOOSE_URL = 'https://moose.gg/stats';
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -232,4 +203,4 @@ async function getMooseStats(playerName, bmServerName) {
   }
 }
 
-module.exports = { getMooseStats, extractServerType, closeBrowser };
+module.exports = { getMooseStats, extractServerType };
@@ -16,9 +16,11 @@ const session       = require('express-session');
 const passport      = require('passport');
 const SteamStrategy = require('passport-steam').Strategy;
 
-const { db, logEvent, getRecentEvents } = require('../db/index.js');
-const { connections, createConnection, removeConnection } = require('../rustplus/index.js');
+const { db, logEvent, getRecentEvents, addPairingToken } = require('../db/index.js');
+const { connections, createConnection, removeConnection, CONNECTION_MODES } = require('../rustplus/index.js');
 const { isFcmListening, hasFcmConfig } = require('../rustplus/fcmListener.js');
+const { getHeatmap } = require('../rustplus/explosionLog.js');
+const { coordToGrid, gridCells } = require('../rustplus/grid.js');
 
 // ---------------------------------------------------------------------------
 // Minimal HTML escape utility
@@ -275,7 +277,8 @@ function dashboardPage(title, playerName, body, flashHtml = '') {
 
     /* Form inputs shared */
     input[type="text"],
-    input[type="number"] {
+    input[type="number"],
+    select {
       background: #0d1117;
       border: 1px solid #2a2a4e;
       border-radius: 5px;
@@ -286,7 +289,8 @@ function dashboardPage(title, playerName, body, flashHtml = '') {
       transition: border-color 0.15s;
     }
     input[type="text"]:focus,
-    input[type="number"]:focus {
+    input[type="number"]:focus,
+    select:focus {
       outline: none;
       border-color: #7289da;
     }
@@ -331,6 +335,7 @@ function dashboardPage(title, playerName, body, flashHtml = '') {
     .event-disconnected { background: #3a1a1a; color: #f87171; }
     .event-reconnecting { background: #3a2a00; color: #fbbf24; }
     .event-reconnect_failed { background: #3a1a1a; color: #f87171; }
+    .event-connection_parked { background: #3a1a1a; color: #f87171; }
     .event-alarm_triggered  { background: #3a1a00; color: #fb923c; }
     .event-switch_changed   { background: #1e2a3a; color: #818cf8; }
     .event-storage_updated  { background: #1e3a2a; color: #34d399; }
@@ -646,6 +651,14 @@ function renderAddServerPanel(user) {
           <label for="serverName">Server Name (optional)</label>
           <input type="text" id="serverName" name="serverName" placeholder="My Rust Server">
         </div>
+        <div class="field">
+          <label for="connectionMode">Connection Mode</label>
+          <select id="connectionMode" name="connectionMode">
+            <option value="direct" selected>Direct</option>
+            <option value="proxy">Facepunch proxy</option>
+            <option value="auto">Auto (proxy if direct fails)</option>
+          </select>
+        </div>
         <div class="field" style="display:flex; align-items:flex-end;">
           <button type="submit" class="btn btn-primary" style="width:100%;">
             Add Pairing
@@ -670,11 +683,18 @@ function getConnectionStatus(ip, port) {
   if (!conn) {
     return { label: 'Offline', dotClass: 'status-offline' };
   }
-  if (conn.isConnected()) {
-    return { label: 'Online', dotClass: 'status-online' };
+  switch (conn.getState()) {
+    case 'connected':
+      return { label: conn.isUsingProxy() ? 'Online (proxy)' : 'Online', dotClass: 'status-online' };
+    case 'parked':
+      return { label: 'Parked', dotClass: 'status-offline' };
+    case 'auth_failed':
+      return { label: 'Auth failed', dotClass: 'status-offline' };
+    case 'stopped':
+      return { label: 'Stopped', dotClass: 'status-offline' };
+    default:
+      return { label: 'Reconnecting', dotClass: 'status-unknown' };
   }
-  // Connection object exists but isConnected is false — likely reconnecting
-  return { label: 'Reconnecting', dotClass: 'status-unknown' };
 }
 
 /**
@@ -714,11 +734,16 @@ function renderServersPanel() {
       <td class="mono">${escapeHtml(p.rust_server_ip)}:${escapeHtml(String(p.rust_server_port))}</td>
       <td class="mono">${escapeHtml(p.discord_guild_id || '—')}</td>
       <td class="mono">${escapeHtml(p.discord_channel_id || '—')}</td>
+      <td>${escapeHtml(p.connection_mode || 'direct')}</td>
       <td>
         <span class="status-dot ${dotClass}"></span>${escapeHtml(label)}
       </td>
-      <td>
-        <form method="POST" action="/dashboard/pairings/delete"
+      <td style="white-space:nowrap;">
+        <form method="POST" action="/dashboard/pairings/reconnect" style="display:inline;">
+          <input type="hidden" name="id" value="${escapeHtml(String(p.id))}">
+          <button type="submit" class="btn btn-secondary btn-sm">Reconnect</button>
+        </form>
+        <form method="POST" action="/dashboard/pairings/delete" style="display:inline;"
               onsubmit="return confirm('Delete pairing for ${escapeHtml(p.rust_server_ip)}:${escapeHtml(String(p.rust_server_port))}?');">
           <input type="hidden" name="id" value="${escapeHtml(String(p.id))}">
           <button type="submit" class="btn btn-danger btn-sm">Delete</button>
@@ -741,6 +766,7 @@ function renderServersPanel() {
             <th>IP : Port</th>
             <th>Guild ID</th>
             <th>Channel ID</th>
+            <th>Mode</th>
             <th>Status</th>
             <th>Actions</th>
           </tr>
@@ -791,9 +817,13 @@ function renderDevicesPanel() {
       ? escapeHtml(d.device_type)
       : `<span style="color:#555;">—</span>`;
 
+    const unreachable = d.status === 'unreachable'
+      ? ` <span style="color:#ed4245;" title="The Rust server no longer knows this entity">(unreachable)</span>`
+      : '';
+
     return `
     <tr>
-      <td>${displayName}</td>
+      <td>${displayName}${unreachable}</td>
       <td>${deviceType}</td>
       <td>${serverStr}</td>
       <td>
@@ -839,7 +869,7 @@ function renderDevicesPanel() {
 function eventBadgeClass(eventType) {
   const known = [
     'login', 'pair', 'connected', 'disconnected', 'reconnecting',
-    'reconnect_failed', 'alarm_triggered', 'switch_changed',
+    'reconnect_failed', 'connection_parked', 'alarm_triggered', 'switch_changed',
     'storage_updated', 'team_chat',
   ];
   return known.includes(eventType) ? `event-${eventType}` : 'event-default';
@@ -916,6 +946,98 @@ function renderEventLogPanel() {
   </div>`;
 }
 
+/** Pixel size of one grid square in the explosion heatmap */
+const HEATMAP_CELL_PX = 18;
+
+/**
+ * Render one server's explosion heatmap as an inline SVG grid: each square is
+ * shaded by how many explosions (Bradley excluded) were seen in it this wipe.
+ * @param {{ mapSize: number, cells: Map<string, number> }} heatmap
+ * @returns {string} SVG markup
+ */
+function renderHeatmapSvg(heatmap) {
+  const { mapSize, cells } = heatmap;
+  const { cells: count, cellSize } = gridCells(mapSize);
+  const max   = Math.max(1, ...cells.values());
+  const size  = count * HEATMAP_CELL_PX;
+  const rects = [];
+
+  for (let col = 0; col < count; col++) {
+    for (let row = 0; row < count; row++) {
+      const grid  = coordToGrid((col + 0.5) * cellSize, mapSize - (row + 0.5) * cellSize, mapSize);
+      const booms = cells.get(grid) || 0;
+      const fill  = booms > 0
+        ? `rgba(239,68,68,${(0.2 + 0.8 * booms / max).toFixed(2)})`
+        : 'rgba(255,255,255,0.03)';
+      rects.push(
+        `<rect x="${col * HEATMAP_CELL_PX}" y="${row * HEATMAP_CELL_PX}" ` +
+        `width="${HEATMAP_CELL_PX}" height="${HEATMAP_CELL_PX}" fill="${fill}" stroke="#2a2a4e">` +
+        `<title>${escapeHtml(grid)}: ${booms} explosion${booms === 1 ? '' : 's'}</title></rect>`
+      );
+    }
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" ` +
+    `viewBox="0 0 ${size} ${size}" style="max-width:100%; height:auto; background:#0f0f23;">${rects.join('')}</svg>`;
+}
+
+/**
+ * Render the Explosion Heatmap panel: where explosions (raids) happened this
+ * wipe on each paired server, from the explosion log.
+ * @returns {string} HTML string
+ */
+function renderExplosionHeatmapPanel() {
+  const servers = db.prepare(
+    `SELECT rust_server_ip, rust_server_port, MAX(rust_server_name) AS rust_server_name
+     FROM server_pairings GROUP BY rust_server_ip, rust_server_port`
+  ).all();
+
+  if (servers.length === 0) {
+    return `
+    <div class="panel">
+      <div class="panel-title">Explosion Heatmap</div>
+      <div class="empty-state">
+        <div class="empty-icon">&#128165;</div>
+        No servers paired yet.
+      </div>
+    </div>`;
+  }
+
+  const sections = servers.map(s => {
+    const name = s.rust_server_name
+      ? escapeHtml(s.rust_server_name)
+      : `<span class="mono">${escapeHtml(s.rust_server_ip)}:${escapeHtml(String(s.rust_server_port))}</span>`;
+
+    let content;
+    try {
+      const heatmap = getHeatmap(s.rust_server_ip, s.rust_server_port);
+      if (!heatmap.mapSize) {
+        content = '<div style="color:#888; font-size:0.85rem;">Map not loaded yet — the server must be connected.</div>';
+      } else {
+        content =
+          `<div style="color:#888; font-size:0.85rem; margin-bottom:0.5rem;">` +
+          `${heatmap.total} explosion${heatmap.total === 1 ? '' : 's'} this wipe (Bradley excluded)</div>` +
+          renderHeatmapSvg(heatmap);
+      }
+    } catch (err) {
+      console.error('[Web] Explosion heatmap error:', err.message);
+      content = '<div style="color:#888; font-size:0.85rem;">Could not load the explosion log.</div>';
+    }
+
+    return `
+      <div style="margin-bottom:1.25rem;">
+        <div style="font-weight:600; margin-bottom:0.5rem;">${name}</div>
+        ${content}
+      </div>`;
+  }).join('');
+
+  return `
+  <div class="panel">
+    <div class="panel-title">Explosion Heatmap</div>
+    ${sections}
+  </div>`;
+}
+
 /**
  * Build the full dashboard HTML body for GET /dashboard.
  * @param {Object} user       - Authenticated user row
@@ -928,6 +1050,7 @@ function buildDashboardBody(user) {
     renderAddServerPanel(user),
     renderServersPanel(),
     renderDevicesPanel(),
+    renderExplosionHeatmapPanel(),
     renderEventLogPanel(),
   ].join('\n');
 }
@@ -1017,6 +1140,10 @@ function mountRoutes(app) {
       flashHtml = '<div class="flash flash-success">Server pairing added successfully.</div>';
     } else if (req.query.deleted === '1') {
       flashHtml = '<div class="flash flash-success">Server pairing deleted.</div>';
+    } else if (req.query.reconnected === '1') {
+      flashHtml = '<div class="flash flash-success">Reconnect started.</div>';
+    } else if (req.query.error === 'no_connection') {
+      flashHtml = '<div class="flash flash-error">No Rust+ connection is registered for that server.</div>';
     } else if (req.query.revoked === '1') {
       flashHtml = '<div class="flash flash-success">Device access revoked.</div>';
     } else if (req.query.error === 'invalid_ip') {
@@ -1117,7 +1244,7 @@ function mountRoutes(app) {
       return res.redirect('/dashboard?error=pair_first');
     }
 
-    const { ip, port: portRaw, guildId, channelId, serverName } = req.body;
+    const { ip, port: portRaw, guildId, channelId, serverName, connectionMode } = req.body;
 
     // Validate IP
     if (!ip || typeof ip !== 'string' || ip.trim() === '') {
@@ -1134,14 +1261,18 @@ function mountRoutes(app) {
     const cleanGuildId    = (guildId    || '').trim();
     const cleanChannelId  = (channelId  || '').trim();
     const cleanServerName = (serverName || '').trim() || null;
+    const cleanMode       = CONNECTION_MODES.includes(connectionMode) ? connectionMode : 'direct';
 
+    let pairingId;
     try {
       // Insert the pairing record
-      db.prepare(`
+      pairingId = db.prepare(`
         INSERT INTO server_pairings
-          (user_steam_id, rust_server_ip, rust_server_port, rust_server_name, discord_guild_id, discord_channel_id)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `).run(user.steam_id, cleanIp, portNum, cleanServerName, cleanGuildId, cleanChannelId);
+          (user_steam_id, rust_server_ip, rust_server_port, rust_server_name, discord_guild_id, discord_channel_id, connection_mode)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(user.steam_id, cleanIp, portNum, cleanServerName, cleanGuildId, cleanChannelId, cleanMode).lastInsertRowid;
+
+      addPairingToken(pairingId, user.steam_id, 0);
 
       logEvent(user.steam_id, 'pairing_added',
         `Server pairing added: ${cleanIp}:${portNum} guild=${cleanGuildId}`);
@@ -1160,8 +1291,10 @@ function mountRoutes(app) {
           ip:   cleanIp,
           port: portNum,
         },
+        pairingId,
         guildId:   cleanGuildId   || undefined,
         channelId: cleanChannelId || undefined,
+        connectionMode: cleanMode,
       });
 
       // Wire Discord event-forwarding for this new connection.
@@ -1204,10 +1337,11 @@ function mountRoutes(app) {
     ).get(idNum);
 
     if (pairing) {
-      // Disconnect the WebSocket if it exists (removeConnection is safe to call
-      // even if no connection is active — it returns false without throwing)
+      // Drop this pairing from the server's connection. The socket itself is
+      // only closed once no other pairing uses it (removeConnection is safe to
+      // call even if no connection is active — it returns false without throwing)
       try {
-        removeConnection(pairing.rust_server_ip, pairing.rust_server_port);
+        removeConnection(pairing.rust_server_ip, pairing.rust_server_port, { pairingId: pairing.id });
       } catch (connErr) {
         console.error('[Dashboard] Error removing connection during pairing delete:', connErr);
       }
@@ -1226,6 +1360,33 @@ function mountRoutes(app) {
     return res.redirect('/dashboard?deleted=1');
   }));
 
+  // -- Dashboard: reconnect a server pairing ----------------------------------
+  // Revives the pairing's shared connection — a parked or auth-failed socket
+  // gets a fresh attempt, a live one reconnects.
+  app.post('/dashboard/pairings/reconnect', requireAuth, asyncHandler(async (req, res) => {
+    const idNum = parseInt(req.body.id, 10);
+    if (isNaN(idNum)) {
+      return res.redirect('/dashboard');
+    }
+
+    const pairing = db.prepare(
+      'SELECT * FROM server_pairings WHERE id = ?'
+    ).get(idNum);
+    if (!pairing) {
+      return res.redirect('/dashboard');
+    }
+
+    const conn = connections.get(`${pairing.rust_server_ip}:${pairing.rust_server_port}`);
+    if (!conn) {
+      return res.redirect('/dashboard?error=no_connection');
+    }
+
+    const previous = conn.revive(`dashboard:${req.user.steam_id}`);
+    console.log(`[Dashboard] Reconnect requested for ${pairing.rust_server_ip}:${pairing.rust_server_port} (was ${previous})`);
+
+    return res.redirect('/dashboard?reconnected=1');
+  }));
+
   // -- Dashboard: revoke device access ----------------------------------------
   // Removes the device row from the devices table.
   // Note: there is no active "device connection" to tear down (devices are
@@ -1268,8 +1429,14 @@ function mountRoutes(app) {
         serverIp:    conn.serverIp,
         serverPort:  conn.serverPort,
         isConnected: conn.isConnected(),
+        state:       conn.getState(),
         guildId:     conn.guildId   || null,
         channelId:   conn.channelId || null,
+        subscribers: conn.getSubscribers().map((sub) => ({
+          pairingId: sub.pairingId,
+          guildId:   sub.guildId,
+          channelId: sub.channelId,
+        })),
       });
     }
     res.json(result);